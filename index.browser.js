@@ -0,0 +1,6 @@
+/**
+ * Entry point for browsers, Deno, Cloudflare Workers and other runtimes
+ * without Node built-ins. Everything index.js exports is available, except
+ * createAnonymizerStream(), which needs Node.js streams.
+ */
+export * from './src/api.js';
@@ -0,0 +1,44 @@
+import { Transform } from 'stream';
+import { StringDecoder } from 'string_decoder';
+import { createAnonymizer } from './anonymizer.js';
+
+export { anonymize, createAnonymizer } from './anonymizer.js';
+
+/**
+ * Creates a Transform stream that replaces IP addresses in the text flowing
+ * through it, e.g. to scrub nginx, syslog or JSON logs:
+ *
+ *     fs.createReadStream('access.log')
+ *         .pipe(createAnonymizerStream({ mode: 'pfx', key }))
+ *         .pipe(process.stdout);
+ *
+ * Input is decoded as UTF-8, including multi-byte characters split across
+ * chunks, and addresses split across chunks are recognized as a whole.
+ *
+ * @param {Object} options - Anonymizer options (see createAnonymizer())
+ * @param {string} [options.encoding='utf8'] - Encoding of the input bytes
+ * @returns {Transform} Transform stream producing the anonymized text
+ * @throws {Error} If the options are invalid
+ */
+export function createAnonymizerStream(options) {
+    const anonymizer = createAnonymizer(options);
+    const decoder = new StringDecoder(options.encoding || 'utf8');
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            try {
+                const text = typeof chunk === 'string' ? chunk : decoder.write(chunk);
+                callback(null, anonymizer.push(text));
+            } catch (e) {
+                callback(e);
+            }
+        },
+        flush(callback) {
+            try {
+                callback(null, anonymizer.push(decoder.end()) + anonymizer.flush());
+            } catch (e) {
+                callback(e);
+            }
+        }
+    });
+}
@@ -0,0 +1,196 @@
+import { ipToBytes } from './utils.js';
+import { createContext as createDeterministic } from './ipcrypt-deterministic.js';
+import { createContext as createDeterministicV4 } from './ipcrypt-deterministic-v4.js';
+import { createContext as createNd } from './ipcrypt-nd.js';
+import { createContext as createNdx } from './ipcrypt-ndx.js';
+import { createContext as createPfx } from './ipcrypt-pfx.js';
+import { createContext as createScoped } from './ipcrypt-scoped.js';
+
+/**
+ * Finds IP addresses in arbitrary text (log lines, JSON, ...) and replaces
+ * them with their encrypted form, leaving everything else intact.
+ *
+ * IPv4 addresses, IPv6 addresses (including embedded IPv4 such as
+ * ::ffff:192.0.2.1), and the bracketed [v6]:port and v4:port forms are
+ * recognized. Candidates are validated with ipToBytes(), so strings that
+ * merely look like addresses (timestamps, MAC addresses, version numbers)
+ * are left alone.
+ */
+
+const IPV4_OCTET = '(?:25[0-5]|2[0-4]\\d|1\\d\\d|[1-9]?\\d)';
+const IPV4 = `${IPV4_OCTET}(?:\\.${IPV4_OCTET}){3}`;
+
+// An address never starts right after a word character, a colon or a dot,
+// and never ends right before one (a trailing dot ending a sentence is fine)
+const ADDRESS_REGEX = new RegExp(
+    `(?<![\\w:.])(?:((?:[0-9a-f]{0,4}:){2,7}(?:${IPV4}|[0-9a-f]{1,4})?)(?!\\.?[\\w:])|(${IPV4})(?!\\.?\\w))`,
+    'gi'
+);
+
+// Characters that can continue an address, or prevent one from starting
+const RUN_CHAR_REGEX = /[\w:.]/;
+
+// Longest run of such characters that can still be completed into an
+// address by the next chunk: a full IPv6 address with embedded IPv4 plus
+// the two characters checked after it
+const MAX_PENDING_RUN = 48;
+
+/**
+ * Creates the function replacing a single address for the chosen mode.
+ * Modes whose output is binary (nd, ndx) replace addresses with the hex
+ * encoding of the ciphertext.
+ *
+ * @param {Object} options - Anonymizer options (see createAnonymizer())
+ * @returns {function(string): string} Address replacement function
+ * @throws {Error} If the mode is unknown or the key is invalid
+ */
+function createReplacer(options) {
+    const { mode = 'deterministic', key, backend, format } = options;
+
+    switch (mode) {
+    case 'deterministic':
+        return createDeterministic(key, { backend, format }).encrypt;
+    case 'deterministic-v4':
+        return createDeterministicV4(key, { backend, format }).encrypt;
+    case 'pfx': {
+        const cacheSize = options.cacheSize === undefined ? 4096 : options.cacheSize;
+        return createPfx(key, { backend, cacheSize, format }).encrypt;
+    }
+    case 'scoped':
+        return createScoped(key, { backend, format }).encrypt;
+    case 'nd':
+        return createNd(key, { backend, encoding: 'hex' }).encrypt;
+    case 'ndx':
+        return createNdx(key, { backend, encoding: 'hex' }).encrypt;
+    default:
+        throw new Error(`Unknown mode: ${mode}`);
+    }
+}
+
+/**
+ * Creates an anonymizer replacing IP addresses in text.
+ *
+ * Text can be anonymized at once with anonymize(), or as a sequence of
+ * chunks with push() and flush(). In the latter case, a trailing piece of
+ * text that could be the beginning of an address is held back until the next
+ * chunk shows where it ends, so addresses split across chunks are still
+ * recognized.
+ *
+ * @param {Object} options - Anonymizer options
+ * @param {string} [options.mode='deterministic'] - Encryption mode: 'deterministic', 'deterministic-v4',
+ *     'pfx', 'scoped', 'nd' or 'ndx'
+ * @param {Uint8Array} options.key - Key for the chosen mode
+ * @param {string|Object} [options.backend] - AES backend; defaults to the global default
+ * @param {number} [options.cacheSize=4096] - Prefix cache size for the pfx mode
+ * @param {Object} [options.format] - Formatting of the replacement addresses (see bytesToIp());
+ *     ignored by the nd and ndx modes
+ * @returns {{anonymize: function(string): string, push: function(string): string, flush: function(): string}}
+ *     Anonymizer
+ * @throws {Error} If the mode is unknown or the key is invalid
+ */
+export function createAnonymizer(options) {
+    if (!options || typeof options !== 'object') {
+        throw new Error('Options must be an object');
+    }
+
+    const replaceAddress = createReplacer(options);
+
+    // Text held back from the previous chunk, and the last character
+    // before it, which decides whether an address can start there
+    let pending = '';
+    let lookbehind = '';
+
+    /**
+     * Replaces the addresses in text, starting at the given offset.
+     * Characters before the offset are only used as lookbehind context.
+     *
+     * @param {string} text - Text to scan
+     * @param {number} start - Offset of the first character to output
+     * @returns {string} Text from the offset on, with addresses replaced
+     */
+    function replaceFrom(text, start) {
+        const regex = new RegExp(ADDRESS_REGEX.source, ADDRESS_REGEX.flags);
+        regex.lastIndex = start;
+
+        let output = '';
+        let last = start;
+        let match;
+        while ((match = regex.exec(text)) !== null) {
+            const candidate = match[0];
+            if (match[1] !== undefined) {
+                // IPv6 candidates are only shaped like addresses; validate them
+                try {
+                    ipToBytes(candidate);
+                } catch (e) {
+                    continue;
+                }
+                if (!/[0-9a-f]/i.test(candidate)) {
+                    continue;
+                }
+            }
+
+            let replacement = replaceAddress(candidate);
+
+            // An IPv4 address followed by a port may be replaced by an IPv6
+            // address; bracket it so that the port remains unambiguous
+            if (!candidate.includes(':') && replacement.includes(':') &&
+                text[regex.lastIndex] === ':') {
+                replacement = `[${replacement}]`;
+            }
+
+            output += text.slice(last, match.index) + replacement;
+            last = regex.lastIndex;
+        }
+        return output + text.slice(last);
+    }
+
+    return {
+        anonymize(text) {
+            if (typeof text !== 'string') {
+                throw new Error('Text must be a string');
+            }
+            return replaceFrom(text, 0);
+        },
+        push(chunk) {
+            if (typeof chunk !== 'string') {
+                throw new Error('Text must be a string');
+            }
+            const text = pending + chunk;
+
+            // Hold back the trailing run of characters that could still be
+            // part of an address, unless it is too long to be one
+            let cut = text.length;
+            while (cut > 0 && RUN_CHAR_REGEX.test(text[cut - 1])) {
+                cut--;
+            }
+            if (text.length - cut > MAX_PENDING_RUN) {
+                cut = text.length;
+            }
+
+            const output = replaceFrom(lookbehind + text.slice(0, cut), lookbehind.length);
+            if (cut > 0) {
+                lookbehind = text[cut - 1];
+            }
+            pending = text.slice(cut);
+            return output;
+        },
+        flush() {
+            const output = replaceFrom(lookbehind + pending, lookbehind.length);
+            pending = '';
+            lookbehind = '';
+            return output;
+        }
+    };
+}
+
+/**
+ * Replaces every IP address in a string with its encrypted form.
+ *
+ * @param {string} text - Text containing IP addresses
+ * @param {Object} options - Anonymizer options (see createAnonymizer())
+ * @returns {string} Text with the addresses replaced
+ * @throws {Error} If the options are invalid
+ */
+export function anonymize(text, options) {
+    return createAnonymizer(options).anonymize(text);
+}
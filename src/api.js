@@ -0,0 +1,117 @@
+import * as det from './ipcrypt-deterministic.js';
+import * as detV4 from './ipcrypt-deterministic-v4.js';
+import * as nd from './ipcrypt-nd.js';
+import * as ndx from './ipcrypt-ndx.js';
+import * as pfx from './ipcrypt-pfx.js';
+import * as scopedMode from './ipcrypt-scoped.js';
+import { ipToBytes, bytesToIp, parseIp, toBytes16, parseCidr, formatCidr } from './utils.js';
+import { setDefaultBackend } from './core/backends.js';
+import { anonymize, createAnonymizer } from './anonymizer.js';
+import { createEndpointContext, encryptEndpoint, decryptEndpoint, parseEndpoint, formatEndpoint } from './endpoint.js';
+import { encodeCiphertext, decodeCiphertext } from './encoding.js';
+import { getKeyId, wrapEnvelope, parseEnvelope, encryptEnvelope, decryptEnvelope } from './envelope.js';
+import { createKeyring, isKeyring, acceptKeyring } from './keyring.js';
+import { hkdf, deriveKey, deriveKeyFromPassphrase } from './kdf.js';
+import { generateKey, validateKey, exportKey, importKey } from './keys.js';
+import { AuthenticationError } from './authentication.js';
+
+/**
+ * Public API shared by every platform. index.js adds the Node.js stream
+ * anonymizer, index.browser.js exports this as it is.
+ */
+
+export const deterministic = {
+    encrypt: acceptKeyring('deterministic', det.encrypt),
+    decrypt: acceptKeyring('deterministic', det.decrypt, true),
+    encryptMany: acceptKeyring('deterministic', det.encryptMany),
+    decryptMany: acceptKeyring('deterministic', det.decryptMany),
+    encryptBytes: acceptKeyring('deterministic', det.encryptBytes),
+    decryptBytes: acceptKeyring('deterministic', det.decryptBytes)
+};
+
+export const nonDeterministic = {
+    encrypt: acceptKeyring('nd', nd.encrypt),
+    decrypt: acceptKeyring('nd', nd.decrypt, true),
+    encryptMany: acceptKeyring('nd', nd.encryptMany),
+    decryptMany: acceptKeyring('nd', nd.decryptMany),
+    encryptBytes: acceptKeyring('nd', nd.encryptBytes),
+    decryptBytes: acceptKeyring('nd', nd.decryptBytes),
+    pseudonymize: acceptKeyring('nd', nd.pseudonymize),
+    depseudonymize: acceptKeyring('nd', nd.depseudonymize)
+};
+
+export const nonDeterministicExtended = {
+    encrypt: acceptKeyring('ndx', ndx.encrypt),
+    decrypt: acceptKeyring('ndx', ndx.decrypt, true),
+    encryptMany: acceptKeyring('ndx', ndx.encryptMany),
+    decryptMany: acceptKeyring('ndx', ndx.decryptMany),
+    encryptBytes: acceptKeyring('ndx', ndx.encryptBytes),
+    decryptBytes: acceptKeyring('ndx', ndx.decryptBytes),
+    pseudonymize: acceptKeyring('ndx', ndx.pseudonymize),
+    depseudonymize: acceptKeyring('ndx', ndx.depseudonymize)
+};
+
+export const prefixPreserving = {
+    encrypt: acceptKeyring('pfx', pfx.encrypt),
+    decrypt: acceptKeyring('pfx', pfx.decrypt, true),
+    encryptMany: acceptKeyring('pfx', pfx.encryptMany),
+    decryptMany: acceptKeyring('pfx', pfx.decryptMany),
+    encryptBytes: acceptKeyring('pfx', pfx.encryptBytes),
+    decryptBytes: acceptKeyring('pfx', pfx.decryptBytes),
+    encryptPrefix: acceptKeyring('pfx', pfx.encryptPrefix),
+    decryptPrefix: acceptKeyring('pfx', pfx.decryptPrefix)
+};
+
+export const deterministicV4 = {
+    encrypt: acceptKeyring('deterministic-v4', detV4.encrypt),
+    decrypt: acceptKeyring('deterministic-v4', detV4.decrypt, true),
+    encryptMany: acceptKeyring('deterministic-v4', detV4.encryptMany),
+    decryptMany: acceptKeyring('deterministic-v4', detV4.decryptMany),
+    encryptBytes: acceptKeyring('deterministic-v4', detV4.encryptBytes),
+    decryptBytes: acceptKeyring('deterministic-v4', detV4.decryptBytes)
+};
+
+export const scoped = {
+    encrypt: acceptKeyring('scoped', scopedMode.encrypt),
+    decrypt: acceptKeyring('scoped', scopedMode.decrypt, true),
+    encryptMany: acceptKeyring('scoped', scopedMode.encryptMany),
+    decryptMany: acceptKeyring('scoped', scopedMode.decryptMany),
+    encryptBytes: acceptKeyring('scoped', scopedMode.encryptBytes),
+    decryptBytes: acceptKeyring('scoped', scopedMode.decryptBytes)
+};
+
+export const createDeterministic = det.createContext;
+export const createDeterministicV4 = detV4.createContext;
+export const createNd = nd.createContext;
+export const createNdx = ndx.createContext;
+export const createPfx = pfx.createContext;
+export const createScoped = scopedMode.createContext;
+
+export { setDefaultBackend };
+
+export { anonymize, createAnonymizer };
+
+export { createEndpointContext, encryptEndpoint, decryptEndpoint };
+
+export { getKeyId, wrapEnvelope, parseEnvelope, encryptEnvelope, decryptEnvelope };
+
+export { createKeyring, isKeyring };
+
+export { hkdf, deriveKey, deriveKeyFromPassphrase };
+
+export { generateKey, validateKey, exportKey, importKey };
+
+export { AuthenticationError };
+
+export const utils = {
+    ipToBytes,
+    bytesToIp,
+    parseIp,
+    toBytes16,
+    parseCidr,
+    formatCidr,
+    parseEndpoint,
+    formatEndpoint,
+    encodeCiphertext,
+    decodeCiphertext
+};
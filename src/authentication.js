@@ -0,0 +1,92 @@
+import { hmacSha256, createHmacSha256 } from './core/hmac.js';
+
+/**
+ * Ciphertext authentication for the non-deterministic modes.
+ *
+ * Authenticated ciphertexts are the regular output followed by a tag, the
+ * truncated HMAC-SHA256 of the output and the tag length (encrypt-then-MAC):
+ *
+ *   tweak || ciphertext || tag (4-32 bytes)
+ *
+ * The MAC key is derived from the encryption key and the mode name, so one
+ * key per mode is still all that has to be managed.
+ */
+
+export const MIN_TAG_LENGTH = 4;
+export const MAX_TAG_LENGTH = 32;
+
+/**
+ * Error thrown when an authenticated ciphertext fails verification, because
+ * it was corrupted, forged, or encrypted with another key.
+ */
+export class AuthenticationError extends Error {
+    /**
+     * @param {string} [message] - Error message
+     */
+    constructor(message = 'Authentication failed: the ciphertext was corrupted or forged, or the key is wrong') {
+        super(message);
+        this.name = 'AuthenticationError';
+    }
+}
+
+/**
+ * Checks a tag length.
+ *
+ * @param {number} tagLength - Tag length in bytes
+ * @returns {number} The tag length
+ * @throws {Error} If the tag length is not an integer between 4 and 32
+ */
+export function checkTagLength(tagLength) {
+    if (!Number.isInteger(tagLength) || tagLength < MIN_TAG_LENGTH || tagLength > MAX_TAG_LENGTH) {
+        throw new Error(`Tag length must be an integer between ${MIN_TAG_LENGTH} and ${MAX_TAG_LENGTH} bytes`);
+    }
+    return tagLength;
+}
+
+/**
+ * Creates the functions adding and checking the tags of a mode's ciphertexts.
+ *
+ * @param {string} mode - Mode name ('nd' or 'ndx')
+ * @param {Uint8Array} key - Encryption key of the mode
+ * @param {number} tagLength - Tag length in bytes (4-32)
+ * @returns {{seal: function(Uint8Array): Uint8Array, open: function(Uint8Array): Uint8Array}}
+ *     seal() appends the tag to a ciphertext, open() checks and removes it
+ * @throws {Error} If the tag length is invalid
+ */
+export function createAuthenticator(mode, key, tagLength) {
+    checkTagLength(tagLength);
+    const mac = createHmacSha256(hmacSha256(key, new TextEncoder().encode(`ipcrypt ${mode} mac`)));
+    const lengthByte = new Uint8Array([tagLength]);
+
+    /**
+     * Computes the tag of a ciphertext.
+     * @param {Uint8Array} ciphertext - Ciphertext
+     * @returns {Uint8Array} Tag
+     */
+    function tagOf(ciphertext) {
+        return mac(lengthByte, ciphertext).subarray(0, tagLength);
+    }
+
+    return {
+        seal(ciphertext) {
+            const sealed = new Uint8Array(ciphertext.length + tagLength);
+            sealed.set(ciphertext);
+            sealed.set(tagOf(ciphertext), ciphertext.length);
+            return sealed;
+        },
+        open(sealed) {
+            const ciphertext = sealed.subarray(0, sealed.length - tagLength);
+            const expected = tagOf(ciphertext);
+
+            // Compare in constant time
+            let diff = 0;
+            for (let i = 0; i < tagLength; i++) {
+                diff |= expected[i] ^ sealed[ciphertext.length + i];
+            }
+            if (diff !== 0) {
+                throw new AuthenticationError();
+            }
+            return ciphertext;
+        }
+    };
+}
@@ -0,0 +1,60 @@
+/**
+ * Helpers for the encryptMany()/decryptMany() batch APIs.
+ *
+ * A batch is either an array, processed item by item, or a packed Uint8Array
+ * of fixed-size records (e.g. N×16 bytes of addresses), processed record by
+ * record into a single packed output.
+ */
+
+/**
+ * Checks that a batch is an array or a packed Uint8Array.
+ *
+ * @param {Array|Uint8Array} input - Batch to check
+ * @returns {boolean} True if the batch is packed
+ * @throws {Error} If the batch is neither an array nor a Uint8Array
+ */
+export function isPacked(input) {
+    if (input instanceof Uint8Array) {
+        return true;
+    }
+    if (!Array.isArray(input)) {
+        throw new Error('Input must be an array or a Uint8Array');
+    }
+    return false;
+}
+
+/**
+ * Returns the number of records in a packed batch.
+ *
+ * @param {Uint8Array} packed - Packed records
+ * @param {number} recordSize - Size of a record in bytes
+ * @returns {number} Number of records
+ * @throws {Error} If the length is not a multiple of the record size
+ */
+export function countRecords(packed, recordSize) {
+    if (packed.length % recordSize !== 0) {
+        throw new Error(`Packed input length must be a multiple of ${recordSize} bytes`);
+    }
+    return packed.length / recordSize;
+}
+
+/**
+ * Transforms every record of a packed batch into a packed output.
+ *
+ * @param {Uint8Array} packed - Packed input records
+ * @param {number} inputSize - Size of an input record in bytes
+ * @param {number} outputSize - Size of an output record in bytes
+ * @param {function(Uint8Array, number): Uint8Array} transform - Maps an input
+ *     record and its index to an output record
+ * @returns {Uint8Array} Packed output records
+ * @throws {Error} If the length is not a multiple of the input record size
+ */
+export function mapRecords(packed, inputSize, outputSize, transform) {
+    const count = countRecords(packed, inputSize);
+    const output = new Uint8Array(count * outputSize);
+    for (let i = 0; i < count; i++) {
+        const record = packed.subarray(i * inputSize, (i + 1) * inputSize);
+        output.set(transform(record, i), i * outputSize);
+    }
+    return output;
+}
@@ -0,0 +1,46 @@
+/**
+ * Create a bounded least-recently-used cache.
+ * Relies on Map preserving insertion order: a hit moves the entry to the
+ * end, and the first entry is evicted when the cache is full.
+ *
+ * @param {number} capacity - Maximum number of entries (0 disables caching)
+ * @returns {{get: function(string): *, set: function(string, *): void, clear: function(): void,
+ *     size: function(): number, capacity: number}}
+ *     LRU cache
+ * @throws {Error} If the capacity is not a non-negative integer
+ */
+export function createLruCache(capacity) {
+    if (!Number.isInteger(capacity) || capacity < 0) {
+        throw new Error('Cache size must be a non-negative integer');
+    }
+
+    const entries = new Map();
+
+    return {
+        capacity,
+        get(key) {
+            const value = entries.get(key);
+            if (value !== undefined) {
+                entries.delete(key);
+                entries.set(key, value);
+            }
+            return value;
+        },
+        set(key, value) {
+            if (capacity === 0) {
+                return;
+            }
+            entries.delete(key);
+            if (entries.size >= capacity) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, value);
+        },
+        clear() {
+            entries.clear();
+        },
+        size() {
+            return entries.size;
+        }
+    };
+}
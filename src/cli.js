@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+import fs from 'fs';
+import readline from 'readline';
+import { ENCODINGS, toHex } from './encoding.js';
+import { createAnonymizerStream } from './anonymizer-stream.js';
+import { MODES } from './modes.js';
+import { generateKey, validateKey } from './keys.js';
+
+const USAGE = `Usage: ipcrypt <command> <mode> [options] [address...]
+
+Commands:
+  encrypt <mode> [ip...]        Encrypt addresses (read from stdin, one per line, if none given)
+  decrypt <mode> [value...]     Decrypt values (read from stdin, one per line, if none given)
+  rewrite <mode>                Copy stdin to stdout, encrypting every IP address found in the text
+  keygen <mode>                 Print a new random key for the mode, in hex
+
+Modes:
+  deterministic                 AES-128, 16-byte key, output is an IP address
+  deterministic-v4              Like deterministic, but IPv4 addresses encrypt
+                                to IPv4 addresses
+  pfx                           Prefix-preserving, 32-byte key, output is an IP address
+  scoped                        Format-preserving, 16-byte key, only encrypts the
+                                interface identifier of IPv6 addresses
+  nd                            KIASU-BC, 16-byte key, output is 24 bytes
+  ndx                           AES-XTS, 32-byte key, output is 32 bytes
+
+Options:
+  -k, --key <hex>               Key as a hex string
+  --key-file <path>             Read the key from a file (hex, or raw bytes)
+  --key-env <name>              Read the hex key from an environment variable
+                                (default: IPCRYPT_KEY)
+  -f, --format <encoding>       Output encoding for nd and ndx: hex, base64,
+                                base64url or prefixed (default: hex);
+                                decrypt accepts all of them
+  -h, --help                    Show this help
+`;
+
+/**
+ * Error caused by invalid command-line usage; printed with a pointer to --help.
+ */
+class UsageError extends Error {}
+
+/**
+ * Parses command-line arguments.
+ *
+ * @param {string[]} args - Arguments, without the node executable and script
+ * @returns {{command: string, mode: string, values: string[], options: Object}} Parsed arguments
+ * @throws {UsageError} If an option is unknown or lacks its value
+ */
+function parseArgs(args) {
+    const options = { format: 'hex' };
+    const positional = [];
+
+    const optionNames = {
+        '-k': 'key',
+        '--key': 'key',
+        '--key-file': 'keyFile',
+        '--key-env': 'keyEnv',
+        '-f': 'format',
+        '--format': 'format'
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--') {
+            positional.push(...args.slice(i + 1));
+            break;
+        } else if (arg.startsWith('-') && arg.length > 1) {
+            const eq = arg.indexOf('=');
+            const name = eq === -1 ? arg : arg.slice(0, eq);
+            if (!optionNames[name]) {
+                throw new UsageError(`Unknown option: ${name}`);
+            }
+            const value = eq === -1 ? args[++i] : arg.slice(eq + 1);
+            if (value === undefined) {
+                throw new UsageError(`Missing value for ${name}`);
+            }
+            options[optionNames[name]] = value;
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    const [command, mode, ...values] = positional;
+    return { command, mode, values, options };
+}
+
+/**
+ * Decodes a hex string.
+ *
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array|null} Decoded bytes, or null if the string is not valid hex
+ */
+function fromHex(hex) {
+    if (hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+        return null;
+    }
+    return new Uint8Array(Buffer.from(hex, 'hex'));
+}
+
+/**
+ * Loads the key from the command-line options or the environment.
+ *
+ * @param {Object} options - Parsed options
+ * @param {number} keySize - Expected key size in bytes
+ * @param {Object} env - Environment variables
+ * @returns {Uint8Array} Key
+ * @throws {Error} If no key is given or it has the wrong size
+ */
+function loadKey(options, keySize, env) {
+    let key;
+    if (options.key !== undefined) {
+        key = fromHex(options.key.trim());
+    } else if (options.keyFile !== undefined) {
+        const contents = fs.readFileSync(options.keyFile);
+        // Accept a hex key (with optional trailing newline) or raw key bytes
+        key = fromHex(contents.toString('latin1').trim());
+        if (!key && contents.length === keySize) {
+            key = new Uint8Array(contents);
+        }
+    } else {
+        const name = options.keyEnv || 'IPCRYPT_KEY';
+        if (!env[name]) {
+            throw new UsageError(`No key given: use --key, --key-file or set ${name}`);
+        }
+        key = fromHex(env[name].trim());
+    }
+
+    if (!key || key.length !== keySize) {
+        throw new Error(`Key must be ${keySize} bytes (${keySize * 2} hex characters)`);
+    }
+    return key;
+}
+
+/**
+ * Creates the function applied to each encrypt/decrypt input value.
+ *
+ * @param {string} command - 'encrypt' or 'decrypt'
+ * @param {string} mode - Mode name
+ * @param {Uint8Array} key - Key
+ * @param {Object} options - Parsed options
+ * @returns {function(string): string} Value transformation
+ */
+function createTransform(command, mode, key, options) {
+    const { binary, module } = MODES[mode];
+    if (binary && !ENCODINGS.includes(options.format)) {
+        throw new UsageError(`Unknown format: ${options.format}`);
+    }
+
+    // Binary ciphertexts are encoded by the context itself, and decrypt()
+    // accepts any of the encodings
+    const ctx = module.createContext(key, mode === 'pfx' ? { cacheSize: 4096 } :
+        binary ? { encoding: options.format } : {});
+    return command === 'encrypt' ? ctx.encrypt : ctx.decrypt;
+}
+
+/**
+ * Applies a transformation to every non-empty line of an input stream.
+ *
+ * @param {import('stream').Readable} input - Input stream
+ * @param {import('stream').Writable} output - Output stream
+ * @param {function(string): string} transform - Line transformation
+ * @returns {Promise<void>} Resolves once the input is exhausted
+ */
+async function transformLines(input, output, transform) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+        const value = line.trim();
+        if (value !== '') {
+            output.write(transform(value) + '\n');
+        }
+    }
+}
+
+/**
+ * Runs the command-line tool.
+ *
+ * @param {string[]} args - Arguments, without the node executable and script
+ * @returns {Promise<number>} Exit code
+ */
+async function main(args) {
+    const { stdin, stdout, stderr, env } = process;
+
+    try {
+        const { command, mode, values, options } = parseArgs(args);
+        if (options.help || command === undefined) {
+            stdout.write(USAGE);
+            return 0;
+        }
+        if (!['encrypt', 'decrypt', 'rewrite', 'keygen'].includes(command)) {
+            throw new UsageError(`Unknown command: ${command}`);
+        }
+        if (!Object.prototype.hasOwnProperty.call(MODES, mode)) {
+            throw new UsageError(mode === undefined ? 'Missing mode' : `Unknown mode: ${mode}`);
+        }
+        const { keySize } = MODES[mode];
+
+        if (command === 'keygen') {
+            stdout.write(toHex(generateKey(mode)) + '\n');
+            return 0;
+        }
+
+        const key = validateKey(mode, loadKey(options, keySize, env));
+
+        if (command === 'rewrite') {
+            await new Promise((resolve, reject) => {
+                const anonymizer = createAnonymizerStream({ mode, key });
+                anonymizer.on('error', reject);
+                stdin.on('error', reject);
+                stdin.pipe(anonymizer).pipe(stdout, { end: false });
+                anonymizer.on('end', resolve);
+            });
+            return 0;
+        }
+
+        const transform = createTransform(command, mode, key, options);
+        if (values.length > 0) {
+            for (const value of values) {
+                stdout.write(transform(value) + '\n');
+            }
+        } else {
+            await transformLines(stdin, stdout, transform);
+        }
+        return 0;
+    } catch (e) {
+        stderr.write(`ipcrypt: ${e.message}\n`);
+        if (e instanceof UsageError) {
+            stderr.write('Try \'ipcrypt --help\' for more information.\n');
+            return 2;
+        }
+        return 1;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,255 @@
+import { RCON, shiftRows } from './aes.js';
+
+/**
+ * Table-free AES-128 implementation.
+ *
+ * The S-box is never looked up in a table. Instead, the bytes being
+ * substituted are bitsliced into eight bit planes (plane i holds bit i of
+ * every byte), the multiplicative inverse in GF(2^8) is computed as x^254
+ * with bitsliced field multiplications, and the AES affine transformation is
+ * applied plane by plane. MixColumns uses branch-free doubling. No memory
+ * access or branch depends on key or data, which avoids cache-timing leaks
+ * from secret-dependent table indexes.
+ *
+ * JavaScript engines give no formal constant-time guarantees, but this
+ * removes the data-dependent lookups that make table-based AES observable
+ * from co-located code. It is slower than the table-based implementations.
+ */
+
+const STATE_SIZE = 16;
+const WORD_SIZE = 4;
+const EXPANDED_KEY_SIZE = 176;
+
+/**
+ * Splits bytes into eight bit planes.
+ *
+ * @param {Uint8Array} bytes - Up to 32 bytes
+ * @returns {number[]} Eight planes, bit j of plane i being bit i of bytes[j]
+ */
+function toPlanes(bytes) {
+    const planes = [0, 0, 0, 0, 0, 0, 0, 0];
+    for (let j = 0; j < bytes.length; j++) {
+        const b = bytes[j];
+        for (let i = 0; i < 8; i++) {
+            planes[i] |= ((b >> i) & 1) << j;
+        }
+    }
+    return planes;
+}
+
+/**
+ * Reassembles bytes from eight bit planes.
+ *
+ * @param {number[]} planes - Eight bit planes
+ * @param {Uint8Array} bytes - Destination, one byte per plane bit
+ */
+function fromPlanes(planes, bytes) {
+    for (let j = 0; j < bytes.length; j++) {
+        let b = 0;
+        for (let i = 0; i < 8; i++) {
+            b |= ((planes[i] >>> j) & 1) << i;
+        }
+        bytes[j] = b;
+    }
+}
+
+/**
+ * Multiplies bitsliced elements of GF(2^8) lane by lane.
+ *
+ * @param {number[]} a - First factor (eight planes)
+ * @param {number[]} b - Second factor (eight planes)
+ * @returns {number[]} Product (eight planes)
+ */
+function mulPlanes(a, b) {
+    // Schoolbook product of two degree-7 polynomials
+    const p = new Array(15).fill(0);
+    for (let i = 0; i < 8; i++) {
+        for (let j = 0; j < 8; j++) {
+            p[i + j] ^= a[i] & b[j];
+        }
+    }
+
+    // Reduce modulo x^8 + x^4 + x^3 + x + 1
+    for (let k = 14; k >= 8; k--) {
+        p[k - 4] ^= p[k];
+        p[k - 5] ^= p[k];
+        p[k - 7] ^= p[k];
+        p[k - 8] ^= p[k];
+    }
+    return p.slice(0, 8);
+}
+
+/**
+ * Computes x^254, the multiplicative inverse in GF(2^8) (0 maps to 0).
+ *
+ * @param {number[]} x - Bitsliced input (eight planes)
+ * @returns {number[]} Bitsliced inverse
+ */
+function invertPlanes(x) {
+    const x2 = mulPlanes(x, x);
+    const x3 = mulPlanes(x2, x);
+    const x6 = mulPlanes(x3, x3);
+    const x12 = mulPlanes(x6, x6);
+    const x14 = mulPlanes(x12, x2);
+    const x15 = mulPlanes(x12, x3);
+    const x30 = mulPlanes(x15, x15);
+    const x60 = mulPlanes(x30, x30);
+    const x120 = mulPlanes(x60, x60);
+    const x240 = mulPlanes(x120, x120);
+    return mulPlanes(x240, x14);
+}
+
+/**
+ * Applies the S-box substitution to every byte without table lookups.
+ *
+ * @param {Uint8Array} bytes - Bytes to transform in place (at most 32)
+ * @param {boolean} [inverse=false] - Whether to apply the inverse S-box
+ */
+export function subBytes(bytes, inverse = false) {
+    const ones = bytes.length === 32 ? -1 : (1 << bytes.length) - 1;
+    const x = toPlanes(bytes);
+    let y;
+
+    if (inverse) {
+        // Inverse affine transformation, then field inversion
+        const a = new Array(8);
+        for (let i = 0; i < 8; i++) {
+            a[i] = x[(i + 2) % 8] ^ x[(i + 5) % 8] ^ x[(i + 7) % 8] ^ ((0x05 >> i) & 1 ? ones : 0);
+        }
+        y = invertPlanes(a);
+    } else {
+        // Field inversion, then affine transformation
+        const inv = invertPlanes(x);
+        y = new Array(8);
+        for (let i = 0; i < 8; i++) {
+            y[i] = inv[i] ^ inv[(i + 4) % 8] ^ inv[(i + 5) % 8] ^ inv[(i + 6) % 8] ^
+                inv[(i + 7) % 8] ^ ((0x63 >> i) & 1 ? ones : 0);
+        }
+    }
+
+    fromPlanes(y, bytes);
+}
+
+/**
+ * Multiplies a byte by x in GF(2^8) without branching on its value.
+ *
+ * @param {number} a - Byte
+ * @returns {number} 2 * a
+ */
+function xtime(a) {
+    return ((a << 1) ^ (-(a >> 7) & 0x1b)) & 0xff;
+}
+
+/**
+ * Performs MixColumns (or its inverse) with branch-free field arithmetic.
+ *
+ * @param {Uint8Array} state - The state array to transform
+ * @param {boolean} [inverse=false] - Whether to use inverse coefficients
+ */
+function mixColumns(state, inverse = false) {
+    for (let col = 0; col < STATE_SIZE; col += 4) {
+        let s0 = state[col];
+        let s1 = state[col + 1];
+        let s2 = state[col + 2];
+        let s3 = state[col + 3];
+
+        if (inverse) {
+            // Precondition with {04}x^2 + {05}, after which the forward matrix
+            // yields the inverse transformation
+            const u = xtime(xtime(s0 ^ s2));
+            const v = xtime(xtime(s1 ^ s3));
+            s0 ^= u;
+            s1 ^= v;
+            s2 ^= u;
+            s3 ^= v;
+        }
+
+        const all = s0 ^ s1 ^ s2 ^ s3;
+        state[col] = s0 ^ all ^ xtime(s0 ^ s1);
+        state[col + 1] = s1 ^ all ^ xtime(s1 ^ s2);
+        state[col + 2] = s2 ^ all ^ xtime(s2 ^ s3);
+        state[col + 3] = s3 ^ all ^ xtime(s3 ^ s0);
+    }
+}
+
+/**
+ * Expands a 16-byte key into round keys without S-box table lookups.
+ *
+ * @param {Uint8Array} key - The 16-byte key to expand
+ * @returns {Uint8Array} The expanded key (176 bytes)
+ */
+export function expandKey(key) {
+    const expandedKey = new Uint8Array(EXPANDED_KEY_SIZE);
+    expandedKey.set(key);
+
+    const words = new Uint8Array(WORD_SIZE);
+    let rconIndex = 0;
+    for (let i = STATE_SIZE; i < EXPANDED_KEY_SIZE; i += WORD_SIZE) {
+        const temp = expandedKey.slice(i - WORD_SIZE, i);
+
+        if (i % STATE_SIZE === 0) {
+            // Rotate word, substitute and XOR with round constant
+            words[0] = temp[1];
+            words[1] = temp[2];
+            words[2] = temp[3];
+            words[3] = temp[0];
+            subBytes(words);
+            temp.set(words);
+            temp[0] ^= RCON[rconIndex++];
+        }
+
+        for (let j = 0; j < WORD_SIZE; j++) {
+            expandedKey[i + j] = expandedKey[i - STATE_SIZE + j] ^ temp[j];
+        }
+    }
+
+    return expandedKey;
+}
+
+/**
+ * Creates a block cipher from 176 bytes of AES-128 round keys.
+ *
+ * @param {Uint8Array} roundKeys - 176-byte round keys (e.g. from expandKey())
+ * @returns {{encrypt: function(Uint8Array): Uint8Array, decrypt: function(Uint8Array): Uint8Array}}
+ *     Block cipher operating on 16-byte blocks
+ */
+export function fromRoundKeys(roundKeys) {
+    return {
+        encrypt(block) {
+            const state = new Uint8Array(block);
+
+            for (let i = 0; i < STATE_SIZE; i++) {
+                state[i] ^= roundKeys[i];
+            }
+            for (let round = 1; round <= 10; round++) {
+                subBytes(state);
+                shiftRows(state);
+                if (round < 10) {
+                    mixColumns(state);
+                }
+                for (let i = 0; i < STATE_SIZE; i++) {
+                    state[i] ^= roundKeys[round * STATE_SIZE + i];
+                }
+            }
+            return state;
+        },
+        decrypt(block) {
+            const state = new Uint8Array(block);
+
+            for (let round = 10; round >= 1; round--) {
+                for (let i = 0; i < STATE_SIZE; i++) {
+                    state[i] ^= roundKeys[round * STATE_SIZE + i];
+                }
+                if (round < 10) {
+                    mixColumns(state, true);
+                }
+                shiftRows(state, true);
+                subBytes(state, true);
+            }
+            for (let i = 0; i < STATE_SIZE; i++) {
+                state[i] ^= roundKeys[i];
+            }
+            return state;
+        }
+    };
+}
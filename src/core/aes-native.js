@@ -0,0 +1,66 @@
+import { nodeCrypto } from '#platform';
+
+/**
+ * AES-128 block operations backed by the platform's native implementation
+ * (OpenSSL through node:crypto, usually with AES-NI).
+ *
+ * Each call into node:crypto has a fixed overhead that is larger than a
+ * single table-based block encryption in JavaScript, so the native cipher
+ * pays off when many blocks are processed in one call (encryptBlocks and
+ * decryptBlocks). WebCrypto is not used: it only has an asynchronous API
+ * and no ECB mode, while the encryption modes are synchronous. Outside of
+ * Node.js and Bun, this backend is not available.
+ */
+
+/**
+ * Whether native AES-128-ECB is available in this environment.
+ * @type {boolean}
+ */
+export const isAvailable = (() => {
+    try {
+        return nodeCrypto !== null && typeof nodeCrypto.createCipheriv === 'function' &&
+            nodeCrypto.getCiphers().includes('aes-128-ecb');
+    } catch {
+        return false;
+    }
+})();
+
+/**
+ * Copies a Buffer returned by node:crypto into a plain Uint8Array.
+ *
+ * @param {Uint8Array} buffer - Output of Cipher#update()
+ * @returns {Uint8Array} Copy of the bytes
+ */
+function toBytes(buffer) {
+    return new Uint8Array(buffer);
+}
+
+/**
+ * Creates a native AES-128 block cipher for a 16-byte key.
+ * ECB without padding is used, so every 16-byte input block produces
+ * exactly one 16-byte output block, and the cipher objects can be reused
+ * across calls.
+ *
+ * @param {Uint8Array} key - 16-byte AES key
+ * @returns {{encrypt: function(Uint8Array): Uint8Array, decrypt: function(Uint8Array): Uint8Array,
+ *     encryptBlocks: function(Uint8Array): Uint8Array, decryptBlocks: function(Uint8Array): Uint8Array}}
+ *     Block cipher operating on 16-byte blocks
+ * @throws {Error} If native AES is not available
+ */
+export function createCipher(key) {
+    if (!isAvailable) {
+        throw new Error('Native AES backend is not available in this environment');
+    }
+
+    const encryptor = nodeCrypto.createCipheriv('aes-128-ecb', key, null);
+    encryptor.setAutoPadding(false);
+    const decryptor = nodeCrypto.createDecipheriv('aes-128-ecb', key, null);
+    decryptor.setAutoPadding(false);
+
+    return {
+        encrypt: block => toBytes(encryptor.update(block)),
+        decrypt: block => toBytes(decryptor.update(block)),
+        encryptBlocks: blocks => toBytes(encryptor.update(blocks)),
+        decryptBlocks: blocks => toBytes(decryptor.update(blocks))
+    };
+}
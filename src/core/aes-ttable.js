@@ -0,0 +1,236 @@
+import { SBOX, INV_SBOX } from './aes.js';
+
+/**
+ * Table-based AES-128 implementation.
+ *
+ * SubBytes, ShiftRows and MixColumns are merged into four 256-entry tables of
+ * 32-bit words per direction, so each round is sixteen table lookups and XORs
+ * on four state words instead of byte-by-byte transformations. The results are
+ * identical to the reference implementation in aes.js.
+ */
+
+const ROUNDS = 10;
+const ROUND_KEY_WORDS = 4 * (ROUNDS + 1);
+
+/**
+ * Multiplies two elements of GF(2^8) using the AES field polynomial.
+ * Only used to build the lookup tables.
+ *
+ * @param {number} a - First factor
+ * @param {number} b - Second factor
+ * @returns {number} Product
+ */
+function gmul(a, b) {
+    let product = 0;
+    while (b) {
+        if (b & 1) product ^= a;
+        a = ((a << 1) ^ (a & 0x80 ? 0x1b : 0)) & 0xff;
+        b >>= 1;
+    }
+    return product;
+}
+
+/**
+ * Rotates a 32-bit word right by the given number of bits.
+ *
+ * @param {number} word - 32-bit word
+ * @param {number} bits - Rotation amount
+ * @returns {number} Rotated word
+ */
+function rotr(word, bits) {
+    return (word >>> bits) | (word << (32 - bits));
+}
+
+// Encryption tables: TE0[x] = [2*S[x], S[x], S[x], 3*S[x]]
+const TE0 = new Uint32Array(256);
+const TE1 = new Uint32Array(256);
+const TE2 = new Uint32Array(256);
+const TE3 = new Uint32Array(256);
+
+// Decryption tables: TD0[x] = [14*Si[x], 9*Si[x], 13*Si[x], 11*Si[x]]
+const TD0 = new Uint32Array(256);
+const TD1 = new Uint32Array(256);
+const TD2 = new Uint32Array(256);
+const TD3 = new Uint32Array(256);
+
+for (let x = 0; x < 256; x++) {
+    const s = SBOX[x];
+    const te = (gmul(s, 2) << 24) | (s << 16) | (s << 8) | gmul(s, 3);
+    TE0[x] = te;
+    TE1[x] = rotr(te, 8);
+    TE2[x] = rotr(te, 16);
+    TE3[x] = rotr(te, 24);
+
+    const si = INV_SBOX[x];
+    const td = (gmul(si, 14) << 24) | (gmul(si, 9) << 16) | (gmul(si, 13) << 8) | gmul(si, 11);
+    TD0[x] = td;
+    TD1[x] = rotr(td, 8);
+    TD2[x] = rotr(td, 16);
+    TD3[x] = rotr(td, 24);
+}
+
+/**
+ * Reads a big-endian 32-bit word from a byte array.
+ *
+ * @param {Uint8Array} bytes - Source bytes
+ * @param {number} offset - Offset of the word
+ * @returns {number} 32-bit word
+ */
+function readWord(bytes, offset) {
+    return (bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3];
+}
+
+/**
+ * Writes a big-endian 32-bit word to a byte array.
+ *
+ * @param {Uint8Array} bytes - Destination bytes
+ * @param {number} offset - Offset of the word
+ * @param {number} word - 32-bit word
+ */
+function writeWord(bytes, offset, word) {
+    bytes[offset] = word >>> 24;
+    bytes[offset + 1] = (word >>> 16) & 0xff;
+    bytes[offset + 2] = (word >>> 8) & 0xff;
+    bytes[offset + 3] = word & 0xff;
+}
+
+/**
+ * Converts 176 bytes of round keys into the 44-word encryption schedule.
+ *
+ * @param {Uint8Array} roundKeys - 176-byte round keys
+ * @returns {Uint32Array} 44-word encryption schedule
+ */
+function encryptionSchedule(roundKeys) {
+    const schedule = new Uint32Array(ROUND_KEY_WORDS);
+    for (let i = 0; i < ROUND_KEY_WORDS; i++) {
+        schedule[i] = readWord(roundKeys, i * 4);
+    }
+    return schedule;
+}
+
+/**
+ * Derives the decryption schedule for the equivalent inverse cipher.
+ * Round keys are used in reverse order, and InvMixColumns is applied to
+ * every round key except the first and the last.
+ *
+ * @param {Uint32Array} enc - 44-word encryption schedule
+ * @returns {Uint32Array} 44-word decryption schedule
+ */
+function decryptionSchedule(enc) {
+    const dec = new Uint32Array(ROUND_KEY_WORDS);
+    for (let round = 0; round <= ROUNDS; round++) {
+        for (let j = 0; j < 4; j++) {
+            const w = enc[(ROUNDS - round) * 4 + j];
+            if (round === 0 || round === ROUNDS) {
+                dec[round * 4 + j] = w;
+            } else {
+                dec[round * 4 + j] = TD0[SBOX[w >>> 24]] ^ TD1[SBOX[(w >>> 16) & 0xff]] ^
+                    TD2[SBOX[(w >>> 8) & 0xff]] ^ TD3[SBOX[w & 0xff]];
+            }
+        }
+    }
+    return dec;
+}
+
+/**
+ * Encrypts a single 16-byte block with the encryption schedule.
+ *
+ * @param {Uint32Array} rk - 44-word encryption schedule
+ * @param {Uint8Array} block - 16-byte block to encrypt
+ * @returns {Uint8Array} 16-byte encrypted block
+ */
+function encryptWords(rk, block) {
+    let s0 = readWord(block, 0) ^ rk[0];
+    let s1 = readWord(block, 4) ^ rk[1];
+    let s2 = readWord(block, 8) ^ rk[2];
+    let s3 = readWord(block, 12) ^ rk[3];
+
+    let k = 4;
+    for (let round = 1; round < ROUNDS; round++) {
+        const t0 = TE0[s0 >>> 24] ^ TE1[(s1 >>> 16) & 0xff] ^ TE2[(s2 >>> 8) & 0xff] ^ TE3[s3 & 0xff] ^ rk[k];
+        const t1 = TE0[s1 >>> 24] ^ TE1[(s2 >>> 16) & 0xff] ^ TE2[(s3 >>> 8) & 0xff] ^ TE3[s0 & 0xff] ^ rk[k + 1];
+        const t2 = TE0[s2 >>> 24] ^ TE1[(s3 >>> 16) & 0xff] ^ TE2[(s0 >>> 8) & 0xff] ^ TE3[s1 & 0xff] ^ rk[k + 2];
+        const t3 = TE0[s3 >>> 24] ^ TE1[(s0 >>> 16) & 0xff] ^ TE2[(s1 >>> 8) & 0xff] ^ TE3[s2 & 0xff] ^ rk[k + 3];
+        s0 = t0;
+        s1 = t1;
+        s2 = t2;
+        s3 = t3;
+        k += 4;
+    }
+
+    // Final round: SubBytes and ShiftRows only
+    const out = new Uint8Array(16);
+    writeWord(out, 0, ((SBOX[s0 >>> 24] << 24) | (SBOX[(s1 >>> 16) & 0xff] << 16) |
+        (SBOX[(s2 >>> 8) & 0xff] << 8) | SBOX[s3 & 0xff]) ^ rk[k]);
+    writeWord(out, 4, ((SBOX[s1 >>> 24] << 24) | (SBOX[(s2 >>> 16) & 0xff] << 16) |
+        (SBOX[(s3 >>> 8) & 0xff] << 8) | SBOX[s0 & 0xff]) ^ rk[k + 1]);
+    writeWord(out, 8, ((SBOX[s2 >>> 24] << 24) | (SBOX[(s3 >>> 16) & 0xff] << 16) |
+        (SBOX[(s0 >>> 8) & 0xff] << 8) | SBOX[s1 & 0xff]) ^ rk[k + 2]);
+    writeWord(out, 12, ((SBOX[s3 >>> 24] << 24) | (SBOX[(s0 >>> 16) & 0xff] << 16) |
+        (SBOX[(s1 >>> 8) & 0xff] << 8) | SBOX[s2 & 0xff]) ^ rk[k + 3]);
+    return out;
+}
+
+/**
+ * Decrypts a single 16-byte block with the decryption schedule.
+ *
+ * @param {Uint32Array} dk - 44-word decryption schedule
+ * @param {Uint8Array} block - 16-byte block to decrypt
+ * @returns {Uint8Array} 16-byte decrypted block
+ */
+function decryptWords(dk, block) {
+    let s0 = readWord(block, 0) ^ dk[0];
+    let s1 = readWord(block, 4) ^ dk[1];
+    let s2 = readWord(block, 8) ^ dk[2];
+    let s3 = readWord(block, 12) ^ dk[3];
+
+    let k = 4;
+    for (let round = 1; round < ROUNDS; round++) {
+        const t0 = TD0[s0 >>> 24] ^ TD1[(s3 >>> 16) & 0xff] ^ TD2[(s2 >>> 8) & 0xff] ^ TD3[s1 & 0xff] ^ dk[k];
+        const t1 = TD0[s1 >>> 24] ^ TD1[(s0 >>> 16) & 0xff] ^ TD2[(s3 >>> 8) & 0xff] ^ TD3[s2 & 0xff] ^ dk[k + 1];
+        const t2 = TD0[s2 >>> 24] ^ TD1[(s1 >>> 16) & 0xff] ^ TD2[(s0 >>> 8) & 0xff] ^ TD3[s3 & 0xff] ^ dk[k + 2];
+        const t3 = TD0[s3 >>> 24] ^ TD1[(s2 >>> 16) & 0xff] ^ TD2[(s1 >>> 8) & 0xff] ^ TD3[s0 & 0xff] ^ dk[k + 3];
+        s0 = t0;
+        s1 = t1;
+        s2 = t2;
+        s3 = t3;
+        k += 4;
+    }
+
+    // Final round: InvSubBytes and InvShiftRows only
+    const out = new Uint8Array(16);
+    writeWord(out, 0, ((INV_SBOX[s0 >>> 24] << 24) | (INV_SBOX[(s3 >>> 16) & 0xff] << 16) |
+        (INV_SBOX[(s2 >>> 8) & 0xff] << 8) | INV_SBOX[s1 & 0xff]) ^ dk[k]);
+    writeWord(out, 4, ((INV_SBOX[s1 >>> 24] << 24) | (INV_SBOX[(s0 >>> 16) & 0xff] << 16) |
+        (INV_SBOX[(s3 >>> 8) & 0xff] << 8) | INV_SBOX[s2 & 0xff]) ^ dk[k + 1]);
+    writeWord(out, 8, ((INV_SBOX[s2 >>> 24] << 24) | (INV_SBOX[(s1 >>> 16) & 0xff] << 16) |
+        (INV_SBOX[(s0 >>> 8) & 0xff] << 8) | INV_SBOX[s3 & 0xff]) ^ dk[k + 2]);
+    writeWord(out, 12, ((INV_SBOX[s3 >>> 24] << 24) | (INV_SBOX[(s2 >>> 16) & 0xff] << 16) |
+        (INV_SBOX[(s1 >>> 8) & 0xff] << 8) | INV_SBOX[s0 & 0xff]) ^ dk[k + 3]);
+    return out;
+}
+
+/**
+ * Creates a block cipher from 176 bytes of AES-128 round keys.
+ * The decryption schedule is only derived the first time decrypt() is called.
+ *
+ * @param {Uint8Array} roundKeys - 176-byte round keys (e.g. from expandKey())
+ * @returns {{encrypt: function(Uint8Array): Uint8Array, decrypt: function(Uint8Array): Uint8Array}}
+ *     Block cipher operating on 16-byte blocks
+ */
+export function fromRoundKeys(roundKeys) {
+    const enc = encryptionSchedule(roundKeys);
+    let dec = null;
+
+    return {
+        encrypt(block) {
+            return encryptWords(enc, block);
+        },
+        decrypt(block) {
+            if (!dec) {
+                dec = decryptionSchedule(enc);
+            }
+            return decryptWords(dec, block);
+        }
+    };
+}
@@ -209,27 +209,99 @@ export function expandKey(key) {
     let rconIndex = 0;
     for (let i = STATE_SIZE; i < EXPANDED_KEY_SIZE; i += WORD_SIZE) {
         // Copy previous word
-        const temp = expandedKey.slice(i - WORD_SIZE, i);
+        let t0 = expandedKey[i - 4];
+        let t1 = expandedKey[i - 3];
+        let t2 = expandedKey[i - 2];
+        let t3 = expandedKey[i - 1];
 
         // Key schedule core for first word of each round
         if (i % STATE_SIZE === 0) {
-            // Rotate word
-            const t = temp[0];
-            temp.copyWithin(0, 1);
-            temp[3] = t;
-
-            // Apply S-box and XOR with round constant
-            temp.forEach((byte, j) => {
-                temp[j] = SBOX[byte];
-            });
-            temp[0] ^= RCON[rconIndex++];
+            // Rotate word, apply S-box and XOR with round constant
+            const t = t0;
+            t0 = SBOX[t1] ^ RCON[rconIndex++];
+            t1 = SBOX[t2];
+            t2 = SBOX[t3];
+            t3 = SBOX[t];
         }
 
         // XOR with word 4 positions back
-        for (let j = 0; j < WORD_SIZE; j++) {
-            expandedKey[i + j] = expandedKey[i - STATE_SIZE + j] ^ temp[j];
-        }
+        expandedKey[i] = expandedKey[i - STATE_SIZE] ^ t0;
+        expandedKey[i + 1] = expandedKey[i - STATE_SIZE + 1] ^ t1;
+        expandedKey[i + 2] = expandedKey[i - STATE_SIZE + 2] ^ t2;
+        expandedKey[i + 3] = expandedKey[i - STATE_SIZE + 3] ^ t3;
     }
 
     return expandedKey;
-} 
\ No newline at end of file
+} 
+
+/**
+ * Encrypts a single 16-byte block with AES-128 using an already expanded key.
+ * Expanding the key once and reusing it avoids re-running the key schedule
+ * for every block.
+ * 
+ * @param {Uint8Array} expandedKey - The 176-byte expanded key from expandKey()
+ * @param {Uint8Array} block - The 16-byte block to encrypt
+ * @returns {Uint8Array} The 16-byte encrypted block
+ */
+export function encryptBlock(expandedKey, block) {
+    const state = new Uint8Array(block);
+
+    // Initial round
+    for (let i = 0; i < STATE_SIZE; i++) {
+        state[i] ^= expandedKey[i];
+    }
+
+    // Main rounds
+    for (let round = 1; round < 10; round++) {
+        subBytes(state);
+        shiftRows(state);
+        mixColumns(state);
+        for (let i = 0; i < STATE_SIZE; i++) {
+            state[i] ^= expandedKey[round * STATE_SIZE + i];
+        }
+    }
+
+    // Final round
+    subBytes(state);
+    shiftRows(state);
+    for (let i = 0; i < STATE_SIZE; i++) {
+        state[i] ^= expandedKey[160 + i];
+    }
+
+    return state;
+}
+
+/**
+ * Decrypts a single 16-byte block with AES-128 using an already expanded key.
+ * 
+ * @param {Uint8Array} expandedKey - The 176-byte expanded key from expandKey()
+ * @param {Uint8Array} block - The 16-byte block to decrypt
+ * @returns {Uint8Array} The 16-byte decrypted block
+ */
+export function decryptBlock(expandedKey, block) {
+    const state = new Uint8Array(block);
+
+    // Initial round
+    for (let i = 0; i < STATE_SIZE; i++) {
+        state[i] ^= expandedKey[160 + i];
+    }
+    shiftRows(state, true);
+    subBytes(state, true);
+
+    // Main rounds
+    for (let round = 9; round > 0; round--) {
+        for (let i = 0; i < STATE_SIZE; i++) {
+            state[i] ^= expandedKey[round * STATE_SIZE + i];
+        }
+        mixColumns(state, true);
+        shiftRows(state, true);
+        subBytes(state, true);
+    }
+
+    // Final round
+    for (let i = 0; i < STATE_SIZE; i++) {
+        state[i] ^= expandedKey[i];
+    }
+
+    return state;
+}
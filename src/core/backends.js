@@ -0,0 +1,213 @@
+import { expandKey, encryptBlock, decryptBlock } from './aes.js';
+import { fromRoundKeys as ttableFromRoundKeys } from './aes-ttable.js';
+import { expandKey as ctExpandKey, fromRoundKeys as ctFromRoundKeys } from './aes-ct.js';
+import { isAvailable as nativeAvailable, createCipher as createNativeCipher } from './aes-native.js';
+
+/**
+ * A block cipher bound to a single AES-128 key.
+ *
+ * @typedef {Object} BlockCipher
+ * @property {function(Uint8Array): Uint8Array} encrypt - Encrypts a 16-byte block
+ * @property {function(Uint8Array): Uint8Array} decrypt - Decrypts a 16-byte block
+ * @property {function(Uint8Array): Uint8Array} encryptBlocks - Encrypts consecutive 16-byte blocks independently
+ * @property {function(Uint8Array): Uint8Array} decryptBlocks - Decrypts consecutive 16-byte blocks independently
+ */
+
+/**
+ * An AES-128 implementation that the encryption modes can run on.
+ * JavaScript backends expose the round keys (expandKey and fromRoundKeys),
+ * which KIASU-BC needs to inject its tweak. Backends that cannot expose
+ * round keys, such as the native one, only provide createCipher.
+ *
+ * @typedef {Object} Backend
+ * @property {string} name - Backend name
+ * @property {function(Uint8Array): Uint8Array} [expandKey] - Expands a 16-byte key into 176 bytes of round keys
+ * @property {function(Uint8Array): BlockCipher} [fromRoundKeys] - Creates a block cipher from 176 bytes of round keys
+ * @property {function(Uint8Array): BlockCipher} [createCipher] - Creates a block cipher from a 16-byte key
+ */
+
+/**
+ * Byte-oriented reference implementation from aes.js.
+ * @type {Backend}
+ */
+const reference = {
+    name: 'reference',
+    expandKey,
+    fromRoundKeys(roundKeys) {
+        return {
+            encrypt: block => encryptBlock(roundKeys, block),
+            decrypt: block => decryptBlock(roundKeys, block)
+        };
+    }
+};
+
+/**
+ * 32-bit word, T-table implementation from aes-ttable.js.
+ * @type {Backend}
+ */
+const ttable = {
+    name: 'ttable',
+    expandKey,
+    fromRoundKeys: ttableFromRoundKeys
+};
+
+/**
+ * Bitsliced, table-free implementation from aes-ct.js.
+ * Slower, but without secret-dependent memory accesses.
+ * @type {Backend}
+ */
+const constantTime = {
+    name: 'constant-time',
+    expandKey: ctExpandKey,
+    fromRoundKeys: ctFromRoundKeys
+};
+
+/**
+ * Native implementation from aes-native.js.
+ * @type {Backend}
+ */
+const native = {
+    name: 'native',
+    createCipher: createNativeCipher
+};
+
+/**
+ * Uses the native implementation for multi-block operations, where the
+ * per-call overhead is amortized, and the T-table implementation for single
+ * blocks. Falls back to the T-table implementation entirely when native AES
+ * is not available.
+ * @type {Backend}
+ */
+const auto = {
+    name: 'auto',
+    expandKey,
+    fromRoundKeys: ttableFromRoundKeys,
+    createCipher(key) {
+        const cipher = withBlockOperations(ttableFromRoundKeys(expandKey(key)));
+        if (!nativeAvailable) {
+            return cipher;
+        }
+        // Native cipher objects are only created once a multi-block
+        // operation needs them; keep a copy of the key until then
+        const nativeKey = new Uint8Array(key);
+        let nativeCipher = null;
+        const getNativeCipher = () => {
+            if (!nativeCipher) {
+                nativeCipher = createNativeCipher(nativeKey);
+            }
+            return nativeCipher;
+        };
+        return {
+            encrypt: cipher.encrypt,
+            decrypt: cipher.decrypt,
+            encryptBlocks: blocks => getNativeCipher().encryptBlocks(blocks),
+            decryptBlocks: blocks => getNativeCipher().decryptBlocks(blocks)
+        };
+    }
+};
+
+const BACKENDS = {
+    auto,
+    native,
+    reference,
+    ttable,
+    'constant-time': constantTime
+};
+
+let defaultBackend = auto;
+
+/**
+ * Adds multi-block operations to a cipher that only processes single blocks.
+ *
+ * @param {{encrypt: function(Uint8Array): Uint8Array, decrypt: function(Uint8Array): Uint8Array}} cipher
+ *     Single-block cipher
+ * @returns {BlockCipher} Cipher with encryptBlocks and decryptBlocks
+ */
+function withBlockOperations(cipher) {
+    if (cipher.encryptBlocks && cipher.decryptBlocks) {
+        return cipher;
+    }
+
+    const forEachBlock = transform => blocks => {
+        if (blocks.length % 16 !== 0) {
+            throw new Error('Input length must be a multiple of 16 bytes');
+        }
+        const out = new Uint8Array(blocks.length);
+        for (let i = 0; i < blocks.length; i += 16) {
+            out.set(transform(blocks.subarray(i, i + 16)), i);
+        }
+        return out;
+    };
+
+    return {
+        encrypt: cipher.encrypt,
+        decrypt: cipher.decrypt,
+        encryptBlocks: forEachBlock(cipher.encrypt),
+        decryptBlocks: forEachBlock(cipher.decrypt)
+    };
+}
+
+/**
+ * Resolves a backend from its name or returns a backend object unchanged.
+ * When no backend is given, the current default backend is returned.
+ *
+ * @param {string|Backend} [backend] - Backend name ('auto', 'native', 'reference', 'ttable',
+ *     'constant-time') or object
+ * @returns {Backend} Resolved backend
+ * @throws {Error} If the backend name is unknown or the backend is unusable
+ */
+export function getBackend(backend) {
+    if (backend === undefined || backend === null) {
+        return defaultBackend;
+    }
+    if (typeof backend === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(BACKENDS, backend)) {
+            throw new Error(`Unknown AES backend: ${backend}`);
+        }
+        return BACKENDS[backend];
+    }
+    const hasRoundKeys = typeof backend.expandKey === 'function' && typeof backend.fromRoundKeys === 'function';
+    if (!hasRoundKeys && typeof backend.createCipher !== 'function') {
+        throw new Error('AES backend must provide expandKey and fromRoundKeys, or createCipher');
+    }
+    return backend;
+}
+
+/**
+ * Resolves a backend that exposes round keys, as required by KIASU-BC.
+ * Backends without round key access (native) fall back to the T-table
+ * implementation.
+ *
+ * @param {string|Backend} [backend] - Backend name or object
+ * @returns {Backend} Backend providing expandKey and fromRoundKeys
+ */
+export function getRoundKeyBackend(backend) {
+    const impl = getBackend(backend);
+    return impl.fromRoundKeys ? impl : ttable;
+}
+
+/**
+ * Sets the backend used when a context or function is not given one explicitly.
+ *
+ * @param {string|Backend} backend - Backend name ('auto', 'native', 'reference', 'ttable',
+ *     'constant-time') or object
+ * @throws {Error} If the backend is invalid
+ */
+export function setDefaultBackend(backend) {
+    defaultBackend = getBackend(backend);
+}
+
+/**
+ * Returns a block cipher for a 16-byte AES key.
+ *
+ * @param {Uint8Array} key - 16-byte AES key
+ * @param {string|Backend} [backend] - Backend to use (default backend if omitted)
+ * @returns {BlockCipher} Block cipher bound to the key
+ */
+export function createBlockCipher(key, backend) {
+    const impl = getBackend(backend);
+    if (impl.createCipher) {
+        return withBlockOperations(impl.createCipher(key));
+    }
+    return withBlockOperations(impl.fromRoundKeys(impl.expandKey(key)));
+}
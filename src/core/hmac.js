@@ -0,0 +1,40 @@
+import { createSha256 } from './sha256.js';
+
+const BLOCK_SIZE = 64;
+
+/**
+ * Creates an HMAC-SHA256 function bound to a key. The key is processed once,
+ * so computing many MACs with the same key (PBKDF2, authentication tags)
+ * only costs the hashing of the messages.
+ *
+ * @param {Uint8Array} key - HMAC key
+ * @returns {function(...Uint8Array): Uint8Array} Function computing the 32-byte MAC of a message
+ *     given as consecutive parts
+ */
+export function createHmacSha256(key) {
+    const block = new Uint8Array(BLOCK_SIZE);
+    block.set(key.length > BLOCK_SIZE ? createSha256().update(key).digest() : key);
+
+    const pad = value => block.map(b => b ^ value);
+    const inner = createSha256().update(pad(0x36));
+    const outer = createSha256().update(pad(0x5c));
+
+    return (...parts) => {
+        const hash = inner.clone();
+        for (const part of parts) {
+            hash.update(part);
+        }
+        return outer.clone().update(hash.digest()).digest();
+    };
+}
+
+/**
+ * Computes HMAC-SHA256.
+ *
+ * @param {Uint8Array} key - HMAC key
+ * @param {...Uint8Array} parts - Message, as consecutive parts
+ * @returns {Uint8Array} 32-byte MAC
+ */
+export function hmacSha256(key, ...parts) {
+    return createHmacSha256(key)(...parts);
+}
@@ -1,4 +1,4 @@
-import { subBytes, shiftRows, mixColumns, expandKey } from './aes.js';
+import { getRoundKeyBackend } from './backends.js';
 
 /**
  * Pads an 8-byte tweak to 16 bytes according to KIASU-BC specification.
@@ -27,6 +27,50 @@ function padTweak(tweak) {
     return padded;
 }
 
+/**
+ * Mixes the padded tweak into every round key of an expanded AES key.
+ * KIASU-BC is AES-128 with the same padded tweak XORed into each round key,
+ * so the tweaked schedule can be fed directly to the AES block functions.
+ * 
+ * @param {Uint8Array} expandedKey - 176-byte expanded AES key
+ * @param {Uint8Array} tweak - 8-byte tweak
+ * @returns {Uint8Array} 176-byte tweaked round keys
+ */
+function tweakRoundKeys(expandedKey, tweak) {
+    const paddedTweak = padTweak(tweak);
+    const tweakedKey = new Uint8Array(expandedKey);
+    for (let i = 0; i < tweakedKey.length; i++) {
+        tweakedKey[i] ^= paddedTweak[i % 16];
+    }
+    return tweakedKey;
+}
+
+/**
+ * Encrypts a 16-byte block using KIASU-BC with an already expanded key.
+ * 
+ * @param {Uint8Array} expandedKey - 176-byte expanded key from expandKey()
+ * @param {Uint8Array} tweak - 8-byte tweak
+ * @param {Uint8Array} block - 16-byte block to encrypt
+ * @param {string|Object} [backend] - AES backend with round key access (default backend if omitted)
+ * @returns {Uint8Array} 16-byte encrypted block
+ */
+export function encryptExpanded(expandedKey, tweak, block, backend) {
+    return getRoundKeyBackend(backend).fromRoundKeys(tweakRoundKeys(expandedKey, tweak)).encrypt(block);
+}
+
+/**
+ * Decrypts a 16-byte block using KIASU-BC with an already expanded key.
+ * 
+ * @param {Uint8Array} expandedKey - 176-byte expanded key from expandKey()
+ * @param {Uint8Array} tweak - 8-byte tweak
+ * @param {Uint8Array} block - 16-byte block to decrypt
+ * @param {string|Object} [backend] - AES backend with round key access (default backend if omitted)
+ * @returns {Uint8Array} 16-byte decrypted block
+ */
+export function decryptExpanded(expandedKey, tweak, block, backend) {
+    return getRoundKeyBackend(backend).fromRoundKeys(tweakRoundKeys(expandedKey, tweak)).decrypt(block);
+}
+
 /**
  * Encrypts a 16-byte block using KIASU-BC with the given key and tweak.
  * 
@@ -48,34 +92,7 @@ export function encrypt(key, tweak, block) {
         throw new Error('Block must be a 16-byte Uint8Array');
     }
 
-    // Pad tweak and expand key
-    const paddedTweak = padTweak(tweak);
-    const expandedKey = expandKey(key);
-    const state = new Uint8Array(block);
-
-    // Initial round
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= expandedKey[i] ^ paddedTweak[i];
-    }
-
-    // Main rounds
-    for (let round = 1; round < 10; round++) {
-        subBytes(state);
-        shiftRows(state);
-        mixColumns(state);
-        for (let i = 0; i < 16; i++) {
-            state[i] ^= expandedKey[round * 16 + i] ^ paddedTweak[i];
-        }
-    }
-
-    // Final round
-    subBytes(state);
-    shiftRows(state);
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= expandedKey[160 + i] ^ paddedTweak[i];
-    }
-
-    return state;
+    return encryptExpanded(getRoundKeyBackend().expandKey(key), tweak, block);
 }
 
 /**
@@ -99,32 +116,5 @@ export function decrypt(key, tweak, block) {
         throw new Error('Block must be a 16-byte Uint8Array');
     }
 
-    // Pad tweak and expand key
-    const paddedTweak = padTweak(tweak);
-    const expandedKey = expandKey(key);
-    const state = new Uint8Array(block);
-
-    // Initial round
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= expandedKey[160 + i] ^ paddedTweak[i];
-    }
-    shiftRows(state, true);
-    subBytes(state, true);
-
-    // Main rounds
-    for (let round = 9; round > 0; round--) {
-        for (let i = 0; i < 16; i++) {
-            state[i] ^= expandedKey[round * 16 + i] ^ paddedTweak[i];
-        }
-        mixColumns(state, true);
-        shiftRows(state, true);
-        subBytes(state, true);
-    }
-
-    // Final round
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= expandedKey[i] ^ paddedTweak[i];
-    }
-
-    return state;
-}
\ No newline at end of file
+    return decryptExpanded(getRoundKeyBackend().expandKey(key), tweak, block);
+}
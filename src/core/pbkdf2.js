@@ -0,0 +1,39 @@
+import { createHmacSha256 } from './hmac.js';
+
+const HASH_SIZE = 32;
+
+/**
+ * PBKDF2 with HMAC-SHA256 (RFC 8018), in plain JavaScript.
+ *
+ * @param {Uint8Array} password - Password
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - Iteration count, at least 1
+ * @param {number} length - Output size in bytes
+ * @returns {Uint8Array} Derived key
+ * @throws {Error} If the iteration count or the length is invalid
+ */
+export function pbkdf2Sha256(password, salt, iterations, length) {
+    if (!Number.isInteger(iterations) || iterations < 1) {
+        throw new Error('PBKDF2 iterations must be a positive integer');
+    }
+    if (!Number.isInteger(length) || length < 1) {
+        throw new Error('PBKDF2 output length must be a positive integer');
+    }
+    const prf = createHmacSha256(password);
+    const out = new Uint8Array(length);
+    const counter = new Uint8Array(4);
+
+    for (let block = 1, offset = 0; offset < length; block++, offset += HASH_SIZE) {
+        new DataView(counter.buffer).setUint32(0, block);
+        let u = prf(salt, counter);
+        const t = u.slice();
+        for (let i = 1; i < iterations; i++) {
+            u = prf(u);
+            for (let j = 0; j < HASH_SIZE; j++) {
+                t[j] ^= u[j];
+            }
+        }
+        out.set(t.subarray(0, Math.min(HASH_SIZE, length - offset)), offset);
+    }
+    return out;
+}
@@ -0,0 +1,127 @@
+import { pbkdf2Sha256 } from './pbkdf2.js';
+
+/**
+ * scrypt (RFC 7914) in plain JavaScript, for environments without
+ * node:crypto. Blocks are processed as little-endian 32-bit words.
+ */
+
+/**
+ * Rotates a 32-bit word left.
+ * @param {number} value - Word
+ * @param {number} bits - Rotation count
+ * @returns {number} Rotated word
+ */
+function rotl(value, bits) {
+    return (value << bits) | (value >>> (32 - bits));
+}
+
+/**
+ * Applies the Salsa20/8 core to a 16-word block in place.
+ *
+ * @param {Uint32Array} b - 16-word block
+ * @param {Uint32Array} x - 16-word scratch buffer
+ */
+function salsa208(b, x) {
+    x.set(b);
+    for (let i = 0; i < 8; i += 2) {
+        // Columns
+        x[4] ^= rotl(x[0] + x[12], 7); x[8] ^= rotl(x[4] + x[0], 9);
+        x[12] ^= rotl(x[8] + x[4], 13); x[0] ^= rotl(x[12] + x[8], 18);
+        x[9] ^= rotl(x[5] + x[1], 7); x[13] ^= rotl(x[9] + x[5], 9);
+        x[1] ^= rotl(x[13] + x[9], 13); x[5] ^= rotl(x[1] + x[13], 18);
+        x[14] ^= rotl(x[10] + x[6], 7); x[2] ^= rotl(x[14] + x[10], 9);
+        x[6] ^= rotl(x[2] + x[14], 13); x[10] ^= rotl(x[6] + x[2], 18);
+        x[3] ^= rotl(x[15] + x[11], 7); x[7] ^= rotl(x[3] + x[15], 9);
+        x[11] ^= rotl(x[7] + x[3], 13); x[15] ^= rotl(x[11] + x[7], 18);
+
+        // Rows
+        x[1] ^= rotl(x[0] + x[3], 7); x[2] ^= rotl(x[1] + x[0], 9);
+        x[3] ^= rotl(x[2] + x[1], 13); x[0] ^= rotl(x[3] + x[2], 18);
+        x[6] ^= rotl(x[5] + x[4], 7); x[7] ^= rotl(x[6] + x[5], 9);
+        x[4] ^= rotl(x[7] + x[6], 13); x[5] ^= rotl(x[4] + x[7], 18);
+        x[11] ^= rotl(x[10] + x[9], 7); x[8] ^= rotl(x[11] + x[10], 9);
+        x[9] ^= rotl(x[8] + x[11], 13); x[10] ^= rotl(x[9] + x[8], 18);
+        x[12] ^= rotl(x[15] + x[14], 7); x[13] ^= rotl(x[12] + x[15], 9);
+        x[14] ^= rotl(x[13] + x[12], 13); x[15] ^= rotl(x[14] + x[13], 18);
+    }
+    for (let i = 0; i < 16; i++) {
+        b[i] += x[i];
+    }
+}
+
+/**
+ * scryptBlockMix: mixes a block of 2r 16-word chunks in place.
+ *
+ * @param {Uint32Array} b - Block of 32r words
+ * @param {Uint32Array} y - Scratch buffer of 32r words
+ * @param {Uint32Array} x - Scratch buffer of 16 words
+ * @param {Uint32Array} scratch - Scratch buffer of 16 words for Salsa20/8
+ * @param {number} r - Block size parameter
+ */
+function blockMix(b, y, x, scratch, r) {
+    x.set(b.subarray((2 * r - 1) * 16, 2 * r * 16));
+    for (let i = 0; i < 2 * r; i++) {
+        for (let j = 0; j < 16; j++) {
+            x[j] ^= b[i * 16 + j];
+        }
+        salsa208(x, scratch);
+        // Even chunks go to the first half, odd chunks to the second half
+        y.set(x, ((i & 1) * r + (i >> 1)) * 16);
+    }
+    b.set(y);
+}
+
+/**
+ * Derives a key with scrypt.
+ *
+ * @param {Uint8Array} password - Password
+ * @param {Uint8Array} salt - Salt
+ * @param {number} length - Output size in bytes
+ * @param {{N: number, r: number, p: number}} params - Cost parameter N (a power of 2),
+ *     block size r and parallelization p
+ * @returns {Uint8Array} Derived key
+ * @throws {Error} If a parameter is invalid
+ */
+export function scrypt(password, salt, length, { N, r, p }) {
+    if (!Number.isInteger(N) || N < 2 || (N & (N - 1)) !== 0 || N > 2 ** 24) {
+        throw new Error('scrypt N must be a power of 2 between 2 and 2^24');
+    }
+    if (!Number.isInteger(r) || r < 1 || !Number.isInteger(p) || p < 1 || r * p >= 2 ** 30) {
+        throw new Error('scrypt r and p must be positive integers with r * p < 2^30');
+    }
+
+    const words = 32 * r;
+    const blocks = pbkdf2Sha256(password, salt, 1, p * words * 4);
+    const view = new DataView(blocks.buffer);
+    const b = new Uint32Array(words);
+    const v = new Uint32Array(N * words);
+    const y = new Uint32Array(words);
+    const x = new Uint32Array(16);
+    const scratch = new Uint32Array(16);
+
+    for (let block = 0; block < p; block++) {
+        const offset = block * words * 4;
+        for (let i = 0; i < words; i++) {
+            b[i] = view.getUint32(offset + i * 4, true);
+        }
+
+        // scryptROMix
+        for (let i = 0; i < N; i++) {
+            v.set(b, i * words);
+            blockMix(b, y, x, scratch, r);
+        }
+        for (let i = 0; i < N; i++) {
+            const j = b[words - 16] & (N - 1);
+            for (let k = 0; k < words; k++) {
+                b[k] ^= v[j * words + k];
+            }
+            blockMix(b, y, x, scratch, r);
+        }
+
+        for (let i = 0; i < words; i++) {
+            view.setUint32(offset + i * 4, b[i], true);
+        }
+    }
+
+    return pbkdf2Sha256(password, blocks, 1, length);
+}
@@ -0,0 +1,153 @@
+/**
+ * SHA-256 (FIPS 180-4) in plain JavaScript.
+ *
+ * Hashing is only used on short inputs (key identifiers, key derivation and
+ * authentication tags), so a portable implementation is preferred over
+ * node:crypto: it runs unchanged in browsers and edge runtimes.
+ */
+
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const IV = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+const BLOCK_SIZE = 64;
+
+// Message schedule, shared by all hash objects (compress() is not reentrant)
+const W = new Uint32Array(64);
+
+/**
+ * Processes one 64-byte block.
+ *
+ * @param {Uint32Array} state - 8-word chaining state, updated in place
+ * @param {Uint8Array} data - Input bytes
+ * @param {number} offset - Offset of the block in data
+ */
+function compress(state, data, offset) {
+    const w = W;
+    for (let i = 0; i < 16; i++) {
+        const j = offset + i * 4;
+        w[i] = (data[j] << 24) | (data[j + 1] << 16) | (data[j + 2] << 8) | data[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+        const x = w[i - 15];
+        const y = w[i - 2];
+        const s0 = ((x >>> 7) | (x << 25)) ^ ((x >>> 18) | (x << 14)) ^ (x >>> 3);
+        const s1 = ((y >>> 17) | (y << 15)) ^ ((y >>> 19) | (y << 13)) ^ (y >>> 10);
+        w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let a = state[0], b = state[1], c = state[2], d = state[3];
+    let e = state[4], f = state[5], g = state[6], h = state[7];
+    for (let i = 0; i < 64; i++) {
+        const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+        const t1 = (h + s1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+        const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+        const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        h = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+    }
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+}
+
+/**
+ * Creates an incremental SHA-256 computation.
+ *
+ * @param {Uint32Array} [state] - Chaining state to resume from (internal, see clone())
+ * @param {Uint8Array} [buffer] - Pending bytes of the current block (internal)
+ * @param {number} [length] - Number of bytes hashed so far (internal)
+ * @returns {{update: function(Uint8Array): Object, digest: function(): Uint8Array, clone: function(): Object}}
+ *     Hash object: update() adds data and returns the object, digest() returns the
+ *     32-byte hash, and clone() copies the computation so far
+ */
+export function createSha256(state = Uint32Array.from(IV), buffer = new Uint8Array(BLOCK_SIZE), length = 0) {
+    const hash = {
+        update(data) {
+            let offset = 0;
+            let used = length % BLOCK_SIZE;
+            length += data.length;
+
+            // Complete a pending partial block first
+            if (used > 0) {
+                const take = Math.min(BLOCK_SIZE - used, data.length);
+                buffer.set(data.subarray(0, take), used);
+                offset = take;
+                used += take;
+                if (used < BLOCK_SIZE) {
+                    return hash;
+                }
+                compress(state, buffer, 0);
+            }
+            for (; offset + BLOCK_SIZE <= data.length; offset += BLOCK_SIZE) {
+                compress(state, data, offset);
+            }
+            buffer.set(data.subarray(offset));
+            return hash;
+        },
+        digest() {
+            // Padding: 0x80, zeros, and the message length in bits (64 bits, big-endian).
+            // The hash object is left as it was, so more data can still be added.
+            const used = length % BLOCK_SIZE;
+            const end = used < 56 ? BLOCK_SIZE : 2 * BLOCK_SIZE;
+            const last = new Uint8Array(end);
+            last.set(buffer.subarray(0, used));
+            last[used] = 0x80;
+            const lastView = new DataView(last.buffer);
+            lastView.setUint32(end - 8, Math.floor(length / 0x20000000));
+            lastView.setUint32(end - 4, (length * 8) >>> 0);
+
+            const final = state.slice();
+            for (let offset = 0; offset < end; offset += BLOCK_SIZE) {
+                compress(final, last, offset);
+            }
+            const out = new Uint8Array(32);
+            const outView = new DataView(out.buffer);
+            for (let i = 0; i < 8; i++) {
+                outView.setUint32(i * 4, final[i]);
+            }
+            return out;
+        },
+        clone() {
+            return createSha256(state.slice(), buffer.slice(), length);
+        }
+    };
+
+    return hash;
+}
+
+/**
+ * Computes the SHA-256 hash of a message.
+ *
+ * @param {...Uint8Array} parts - Message, as consecutive parts
+ * @returns {Uint8Array} 32-byte hash
+ */
+export function sha256(...parts) {
+    const hash = createSha256();
+    for (const part of parts) {
+        hash.update(part);
+    }
+    return hash.digest();
+}
@@ -0,0 +1,185 @@
+/**
+ * Text encodings for binary ciphertexts (nd and ndx outputs).
+ *
+ * - hex: lowercase hexadecimal
+ * - base64: standard alphabet, with padding
+ * - base64url: URL-safe alphabet, without padding
+ * - prefixed: self-describing form, the mode name, a colon and the
+ *   base64url encoding (e.g. "nd:...")
+ *
+ * Decoding detects the encoding, so a ciphertext stored in any of these
+ * forms can be passed back to decrypt().
+ */
+
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const BASE64URL_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+// Reverse lookup accepting both alphabets
+const BASE64_VALUES = new Map();
+for (let i = 0; i < 64; i++) {
+    BASE64_VALUES.set(BASE64_ALPHABET[i], i);
+    BASE64_VALUES.set(BASE64URL_ALPHABET[i], i);
+}
+
+/**
+ * Supported ciphertext encodings.
+ * @type {string[]}
+ */
+export const ENCODINGS = ['hex', 'base64', 'base64url', 'prefixed'];
+
+/**
+ * Checks that an encoding is supported.
+ *
+ * @param {string} encoding - Encoding name
+ * @throws {Error} If the encoding is unknown
+ */
+export function checkEncoding(encoding) {
+    if (!ENCODINGS.includes(encoding)) {
+        throw new Error(`Unknown encoding: ${encoding} (expected one of ${ENCODINGS.join(', ')})`);
+    }
+}
+
+/**
+ * Encodes bytes as lowercase hex.
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Hex string
+ */
+export function toHex(bytes) {
+    let hex = '';
+    for (let i = 0; i < bytes.length; i++) {
+        hex += bytes[i].toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+/**
+ * Decodes a hex string (either case).
+ *
+ * @param {string} hex - Hex string
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the string is not valid hex
+ */
+export function fromHex(hex) {
+    if (typeof hex !== 'string' || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+        throw new Error('Invalid hex string');
+    }
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Encodes bytes as base64.
+ *
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @param {boolean} [url=false] - Use the URL-safe alphabet without padding
+ * @returns {string} Base64 string
+ */
+export function toBase64(bytes, url = false) {
+    const alphabet = url ? BASE64URL_ALPHABET : BASE64_ALPHABET;
+    let text = '';
+    for (let i = 0; i < bytes.length; i += 3) {
+        const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+        const chars = Math.min(4, Math.ceil((bytes.length - i) * 4 / 3));
+        for (let j = 0; j < chars; j++) {
+            text += alphabet[(n >> (18 - j * 6)) & 63];
+        }
+    }
+    if (!url) {
+        text += '='.repeat((4 - (text.length % 4)) % 4);
+    }
+    return text;
+}
+
+/**
+ * Decodes base64, in the standard or URL-safe alphabet, with or without padding.
+ *
+ * @param {string} text - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ * @throws {Error} If the string is not valid base64
+ */
+export function fromBase64(text) {
+    if (typeof text !== 'string') {
+        throw new Error('Invalid base64 string');
+    }
+    const data = text.replace(/={1,2}$/, '');
+    if (data.length % 4 === 1 || (data.length !== text.length && text.length % 4 !== 0)) {
+        throw new Error('Invalid base64 string');
+    }
+
+    const bytes = new Uint8Array(Math.floor(data.length * 3 / 4));
+    let buffer = 0;
+    let bits = 0;
+    let offset = 0;
+    for (const char of data) {
+        const value = BASE64_VALUES.get(char);
+        if (value === undefined) {
+            throw new Error('Invalid base64 string');
+        }
+        buffer = ((buffer << 6) | value) & 0xffffff;
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes[offset++] = (buffer >> bits) & 0xff;
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Encodes a ciphertext as text.
+ *
+ * @param {Uint8Array} bytes - Ciphertext
+ * @param {string} encoding - 'hex', 'base64', 'base64url' or 'prefixed'
+ * @param {string} mode - Mode name used by the prefixed form ('nd' or 'ndx')
+ * @returns {string} Encoded ciphertext
+ * @throws {Error} If the encoding is unknown
+ */
+export function encodeCiphertext(bytes, encoding, mode) {
+    checkEncoding(encoding);
+    switch (encoding) {
+    case 'hex':
+        return toHex(bytes);
+    case 'base64':
+        return toBase64(bytes);
+    case 'base64url':
+        return toBase64(bytes, true);
+    default:
+        return `${mode}:${toBase64(bytes, true)}`;
+    }
+}
+
+/**
+ * Decodes a ciphertext given in any of the supported encodings.
+ * Hex and base64 are told apart by their length, which differs for the
+ * ciphertext sizes in use.
+ *
+ * @param {string} text - Encoded ciphertext
+ * @param {number} size - Expected ciphertext size in bytes
+ * @param {string} mode - Expected mode name for the prefixed form ('nd' or 'ndx')
+ * @returns {Uint8Array} Ciphertext
+ * @throws {Error} If the text is malformed, has the wrong size or the wrong prefix
+ */
+export function decodeCiphertext(text, size, mode) {
+    const prefix = /^([a-z]+):/.exec(text);
+    if (prefix) {
+        if (prefix[1] !== mode) {
+            throw new Error(`Expected a ${mode} ciphertext, got a ${prefix[1]} ciphertext`);
+        }
+        text = text.slice(prefix[0].length);
+    }
+
+    let bytes;
+    try {
+        bytes = !prefix && text.length === size * 2 ? fromHex(text) : fromBase64(text);
+    } catch (e) {
+        throw new Error(`Malformed ${mode} ciphertext: expected hex, base64, base64url or ${mode}:base64url`);
+    }
+    if (bytes.length !== size) {
+        throw new Error(`Malformed ${mode} ciphertext: expected ${size} bytes, got ${bytes.length}`);
+    }
+    return bytes;
+}
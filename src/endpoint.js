@@ -0,0 +1,235 @@
+import { getMode } from './modes.js';
+import { createBlockCipher } from './core/backends.js';
+import { createFeistel } from './fpe.js';
+
+/**
+ * Encryption of transport endpoints: an IP address and a port, written as
+ * 192.0.2.1:443 or [2001:db8::1]:443, or given as { address, port } objects.
+ *
+ * The address is encrypted with any of the modes. The port is kept as it is,
+ * or encrypted with a keyed permutation of 16-bit integers (see fpe.js) when
+ * a port key is given. Ports are not tweaked by the address, so a port
+ * encrypts to the same value on every host, and traffic can still be
+ * grouped by service.
+ *
+ * Addresses encrypted with the nd and ndx modes are written as text, and
+ * the endpoint is written as ciphertext:port. Zone IDs are dropped, like
+ * the encryption functions do.
+ */
+
+const PORT_REGEX = /^\d{1,5}$/;
+const MAX_PORT = 65535;
+
+// Tweak of the port permutation, separating it from other uses of the port key
+const PORT_TWEAK = new TextEncoder().encode('port');
+
+// Encodings of nd and ndx ciphertexts that cannot be confused with a port
+const ENDPOINT_ENCODINGS = ['hex', 'base64', 'base64url'];
+
+/**
+ * Checks a port number.
+ * @param {number} port - Port number
+ * @returns {number} The port
+ * @throws {Error} If the port is not an integer between 0 and 65535
+ */
+function checkPort(port) {
+    if (!Number.isInteger(port) || port < 0 || port > MAX_PORT) {
+        throw new Error(`Invalid port: ${port}`);
+    }
+    return port;
+}
+
+/**
+ * Splits an endpoint into its address and its port.
+ *
+ * IPv6 addresses followed by a port must be written in brackets
+ * ([2001:db8::1]:443), as in URIs. Text with a single colon is read as
+ * address:port, and text with more colons as an IPv6 address without a
+ * port. Surrounding whitespace is ignored. The address itself is not
+ * validated.
+ *
+ * @param {string} endpoint - Endpoint, with or without a port
+ * @returns {{address: string, port: (number|null)}} Address text (without brackets), and
+ *     port, or null if there is none
+ * @throws {Error} If the endpoint or the port is malformed
+ */
+export function parseEndpoint(endpoint) {
+    if (typeof endpoint !== 'string') {
+        throw new Error('Endpoint must be a string');
+    }
+    const text = endpoint.trim();
+
+    let address;
+    let port = null;
+    if (text.startsWith('[')) {
+        const end = text.indexOf(']');
+        if (end < 0 || (end + 1 < text.length && text[end + 1] !== ':')) {
+            throw new Error(`Invalid endpoint: ${endpoint}`);
+        }
+        address = text.slice(1, end);
+        if (end + 1 < text.length) {
+            port = text.slice(end + 2);
+        }
+    } else {
+        const colon = text.indexOf(':');
+        if (colon >= 0 && colon === text.lastIndexOf(':')) {
+            address = text.slice(0, colon);
+            port = text.slice(colon + 1);
+        } else {
+            address = text;
+        }
+    }
+
+    if (address === '') {
+        throw new Error(`Invalid endpoint: ${endpoint}`);
+    }
+    if (port !== null) {
+        if (!PORT_REGEX.test(port)) {
+            throw new Error(`Invalid port: ${port}`);
+        }
+        port = checkPort(parseInt(port, 10));
+    }
+    return { address, port };
+}
+
+/**
+ * Writes an endpoint. IPv6 addresses are put in brackets when followed by a port.
+ *
+ * @param {string} address - IP address, or ciphertext text
+ * @param {number|null} [port=null] - Port number, or null for none
+ * @returns {string} Endpoint
+ * @throws {Error} If the port is invalid
+ */
+export function formatEndpoint(address, port = null) {
+    if (typeof address !== 'string' || address === '') {
+        throw new Error('Address must be a non-empty string');
+    }
+    if (port === null) {
+        return address;
+    }
+    checkPort(port);
+    return address.includes(':') ? `[${address}]:${port}` : `${address}:${port}`;
+}
+
+/**
+ * Creates a context encrypting and decrypting endpoints.
+ *
+ * Endpoints are given either as text (192.0.2.1:443, [2001:db8::1]:443, or
+ * an address alone), or as { address, port } objects, such as the source and
+ * destination of a flow record. Results have the same shape as the input.
+ *
+ * @param {Object} options - Endpoint options
+ * @param {string} [options.mode='deterministic'] - Address encryption mode: 'deterministic',
+ *     'deterministic-v4', 'pfx', 'scoped', 'nd' or 'ndx'
+ * @param {Uint8Array} options.key - Key for the chosen mode
+ * @param {Uint8Array} [options.portKey] - 16-byte key encrypting ports; ports are kept as they are
+ *     without one. Use a key independent of the address key
+ * @param {string|Object} [options.backend] - AES backend; defaults to the global default
+ * @param {Object} [options.format] - Formatting of the returned addresses (see bytesToIp())
+ * @param {number} [options.cacheSize] - Prefix cache size for the pfx mode
+ * @param {string} [options.encoding='hex'] - Text encoding of nd and ndx ciphertexts: 'hex',
+ *     'base64' or 'base64url'
+ * @param {number} [options.tagLength] - Authentication tag size for the nd and ndx modes
+ * @returns {{encrypt: function((string|Object)): (string|Object), decrypt: function((string|Object)): (string|Object),
+ *     encryptMany: function(Array): Array, decryptMany: function(Array): Array}}
+ *     Context with encrypt/decrypt methods bound to the keys
+ * @throws {Error} If the mode, a key or an option is invalid
+ */
+export function createEndpointContext(options) {
+    if (!options || typeof options !== 'object') {
+        throw new Error('Options must be an object');
+    }
+    const { mode = 'deterministic', key, portKey, backend, format } = options;
+    const { module, binary } = getMode(mode);
+
+    const contextOptions = { backend, format };
+    if (binary) {
+        const { encoding = 'hex' } = options;
+        if (!ENDPOINT_ENCODINGS.includes(encoding)) {
+            throw new Error(`Unsupported endpoint encoding: ${encoding} (expected ${ENDPOINT_ENCODINGS.join(', ')})`);
+        }
+        contextOptions.encoding = encoding;
+        contextOptions.tagLength = options.tagLength;
+    } else if (mode === 'pfx') {
+        contextOptions.cacheSize = options.cacheSize;
+    }
+    const addressContext = module.createContext(key, contextOptions);
+
+    let ports = null;
+    if (portKey !== undefined) {
+        if (!(portKey instanceof Uint8Array) || portKey.length !== 16) {
+            throw new Error('Port key must be 16 bytes');
+        }
+        ports = createFeistel(createBlockCipher(portKey, backend), 16);
+    }
+
+    /**
+     * Applies the address and port transformations to an endpoint.
+     * @param {string|Object} endpoint - Endpoint text or { address, port } object
+     * @param {function(string): string} transformAddress - Address transformation
+     * @param {function(number): number} transformPort - Port transformation
+     * @returns {string|Object} Transformed endpoint, of the same shape
+     * @throws {Error} If the endpoint is malformed
+     */
+    function transform(endpoint, transformAddress, transformPort) {
+        if (typeof endpoint === 'string') {
+            const { address, port } = parseEndpoint(endpoint);
+            return formatEndpoint(transformAddress(address), port === null ? null : transformPort(port));
+        }
+        if (!endpoint || typeof endpoint !== 'object' || typeof endpoint.address !== 'string') {
+            throw new Error('Endpoint must be a string or an object with an address and a port');
+        }
+        const { address, port = null } = endpoint;
+        return { address: transformAddress(address), port: port === null ? null : transformPort(checkPort(port)) };
+    }
+
+    const encryptPort = port => ports ? Number(ports.encrypt(BigInt(port), PORT_TWEAK)) : port;
+    const decryptPort = port => ports ? Number(ports.decrypt(BigInt(port), PORT_TWEAK)) : port;
+
+    const context = {
+        encrypt(endpoint) {
+            return transform(endpoint, address => addressContext.encrypt(address), encryptPort);
+        },
+        decrypt(endpoint) {
+            return transform(endpoint, address => addressContext.decrypt(address), decryptPort);
+        },
+        encryptMany(endpoints) {
+            if (!Array.isArray(endpoints)) {
+                throw new Error('Endpoints must be an array');
+            }
+            return endpoints.map(context.encrypt);
+        },
+        decryptMany(endpoints) {
+            if (!Array.isArray(endpoints)) {
+                throw new Error('Endpoints must be an array');
+            }
+            return endpoints.map(context.decrypt);
+        }
+    };
+
+    return context;
+}
+
+/**
+ * Encrypts an endpoint.
+ *
+ * @param {string|Object} endpoint - Endpoint text or { address, port } object
+ * @param {Object} options - Endpoint options (see createEndpointContext())
+ * @returns {string|Object} Encrypted endpoint, of the same shape
+ * @throws {Error} If the endpoint or the options are invalid
+ */
+export function encryptEndpoint(endpoint, options) {
+    return createEndpointContext(options).encrypt(endpoint);
+}
+
+/**
+ * Decrypts an endpoint.
+ *
+ * @param {string|Object} endpoint - Encrypted endpoint text or { address, port } object
+ * @param {Object} options - Endpoint options (see createEndpointContext())
+ * @returns {string|Object} Decrypted endpoint, of the same shape
+ * @throws {Error} If the endpoint or the options are invalid
+ */
+export function decryptEndpoint(endpoint, options) {
+    return createEndpointContext(options).decrypt(endpoint);
+}
@@ -0,0 +1,183 @@
+import { ipToBytes, bytesToIp, toBytes16, checkFormatOptions } from './utils.js';
+import { toHex, fromHex, decodeCiphertext } from './encoding.js';
+import { getMode, getModeById } from './modes.js';
+import { sha256 } from './core/sha256.js';
+
+/**
+ * Self-describing ciphertext envelopes.
+ *
+ * An envelope wraps the binary output of any mode with enough information
+ * to decrypt it later, even after keys have been rotated:
+ *
+ *   version (1 byte) || mode identifier (1 byte) || key ID (4 bytes) || ciphertext
+ *
+ * The ciphertext is the 16-byte encrypted address for the deterministic and
+ * prefix-preserving modes, and the 24-byte (nd) or 32-byte (ndx) output of
+ * the non-deterministic modes. The key ID is derived from the key with
+ * SHA-256 and does not reveal it.
+ */
+
+/**
+ * Current envelope format version.
+ * @type {number}
+ */
+export const ENVELOPE_VERSION = 1;
+
+const HEADER_SIZE = 6;
+const KEY_ID_SIZE = 4;
+const KEY_ID_LABEL = 'ipcrypt key id';
+
+/**
+ * Computes the short identifier of a key, as stored in envelopes.
+ * The mode is part of the computation, so the same bytes used as keys for
+ * different modes have different identifiers.
+ *
+ * @param {string} mode - Mode name: 'deterministic', 'nd', 'ndx', 'pfx', 'deterministic-v4' or 'scoped'
+ * @param {Uint8Array} key - Key for the mode
+ * @returns {string} Key ID, as 8 hex characters
+ * @throws {Error} If the mode is unknown or the key has the wrong size
+ */
+export function getKeyId(mode, key) {
+    const { id, keySize } = getMode(mode);
+    if (!(key instanceof Uint8Array) || key.length !== keySize) {
+        throw new Error(`Key must be a ${keySize}-byte Uint8Array`);
+    }
+    const digest = sha256(new TextEncoder().encode(KEY_ID_LABEL), new Uint8Array([id]), key);
+    return toHex(digest.subarray(0, KEY_ID_SIZE));
+}
+
+/**
+ * Wraps an existing ciphertext into an envelope.
+ *
+ * @param {string} mode - Mode that produced the ciphertext
+ * @param {Uint8Array|string} ciphertext - Encrypted address (string or bytes) for the deterministic
+ *     and pfx modes; output bytes, or their text encoding, for nd and ndx
+ * @param {Uint8Array} key - Key the ciphertext was produced with
+ * @returns {Uint8Array} Envelope
+ * @throws {Error} If the mode is unknown or an input is invalid
+ */
+export function wrapEnvelope(mode, ciphertext, key) {
+    const entry = getMode(mode);
+    const keyId = getKeyId(mode, key);
+
+    let payload;
+    if (typeof ciphertext === 'string') {
+        payload = entry.binary ? decodeCiphertext(ciphertext, entry.outputSize, mode) : ipToBytes(ciphertext);
+    } else if (entry.binary) {
+        if (!(ciphertext instanceof Uint8Array) || ciphertext.length !== entry.outputSize) {
+            throw new Error(`Ciphertext must be a ${entry.outputSize}-byte Uint8Array`);
+        }
+        payload = ciphertext;
+    } else {
+        payload = toBytes16(ciphertext);
+    }
+
+    const envelope = new Uint8Array(HEADER_SIZE + payload.length);
+    envelope[0] = ENVELOPE_VERSION;
+    envelope[1] = entry.id;
+    envelope.set(fromHex(keyId), 2);
+    envelope.set(payload, HEADER_SIZE);
+    return envelope;
+}
+
+/**
+ * Parses an envelope without decrypting it.
+ *
+ * @param {Uint8Array} envelope - Envelope
+ * @returns {{version: number, mode: string, keyId: string, ciphertext: Uint8Array}} Envelope fields
+ * @throws {Error} If the envelope is malformed or has an unsupported version
+ */
+export function parseEnvelope(envelope) {
+    if (!(envelope instanceof Uint8Array) || envelope.length < HEADER_SIZE) {
+        throw new Error('Envelope must be a Uint8Array of at least 6 bytes');
+    }
+    const version = envelope[0];
+    if (version !== ENVELOPE_VERSION) {
+        throw new Error(`Unsupported envelope version: ${version}`);
+    }
+    const { name, outputSize } = getModeById(envelope[1]);
+    if (envelope.length !== HEADER_SIZE + outputSize) {
+        throw new Error(`Malformed ${name} envelope: expected ${HEADER_SIZE + outputSize} bytes, got ${envelope.length}`);
+    }
+    return {
+        version,
+        mode: name,
+        keyId: toHex(envelope.subarray(2, HEADER_SIZE)),
+        ciphertext: envelope.subarray(HEADER_SIZE)
+    };
+}
+
+/**
+ * Checks whether data looks like an envelope of the given mode: the right
+ * size, and a header with the current version and the mode's identifier.
+ * Raw ciphertexts of every mode have a different size than envelopes.
+ *
+ * @param {*} data - Data to check
+ * @param {string} mode - Mode name
+ * @returns {boolean} True if the data is an envelope of the mode
+ * @throws {Error} If the mode is unknown
+ */
+export function isEnvelope(data, mode) {
+    const { id, outputSize } = getMode(mode);
+    return data instanceof Uint8Array && data.length === HEADER_SIZE + outputSize &&
+        data[0] === ENVELOPE_VERSION && data[1] === id;
+}
+
+/**
+ * Encrypts an IP address and wraps the result into an envelope.
+ *
+ * @param {string} ip - IP address to encrypt
+ * @param {string} mode - Mode name: 'deterministic', 'nd', 'ndx', 'pfx', 'deterministic-v4' or 'scoped'
+ * @param {Uint8Array} key - Key for the mode
+ * @returns {Uint8Array} Envelope
+ * @throws {Error} If the mode is unknown or an input is invalid
+ */
+export function encryptEnvelope(ip, mode, key) {
+    const { module } = getMode(mode);
+    // Reject keys of the wrong size with the same error as wrapEnvelope()
+    getKeyId(mode, key);
+    return wrapEnvelope(mode, module.encryptBytes(ipToBytes(ip), key), key);
+}
+
+/**
+ * Looks up the key with the given ID in a keyring.
+ *
+ * @param {Uint8Array[]|Object} keyring - Candidate keys, or a keyring created by createKeyring()
+ * @param {string} mode - Mode name
+ * @param {string} keyId - Key ID
+ * @returns {Uint8Array|undefined} Matching key, if any
+ * @throws {Error} If the keyring is neither an array nor a keyring
+ */
+function findKey(keyring, mode, keyId) {
+    if (keyring && typeof keyring.findKey === 'function') {
+        return keyring.findKey(mode, keyId);
+    }
+    if (!Array.isArray(keyring)) {
+        throw new Error('Keyring must be an array of keys or a keyring');
+    }
+    const { keySize } = getMode(mode);
+    return keyring.find(key => key instanceof Uint8Array && key.length === keySize && getKeyId(mode, key) === keyId);
+}
+
+/**
+ * Decrypts an envelope, using the key of the keyring whose ID matches the
+ * one recorded in the envelope and the mode the envelope names.
+ *
+ * Key IDs are short, so two keys may share one; the first matching key of
+ * the keyring is used.
+ *
+ * @param {Uint8Array} envelope - Envelope
+ * @param {Uint8Array[]|Object} keyring - Candidate keys, of any mode, or a keyring created by createKeyring()
+ * @param {Object} [format] - Formatting of the decrypted address (see bytesToIp())
+ * @returns {string} Decrypted IP address
+ * @throws {Error} If the envelope is malformed, no key matches or the formatting options are invalid
+ */
+export function decryptEnvelope(envelope, keyring, format) {
+    const formatOptions = checkFormatOptions(format);
+    const { mode, keyId, ciphertext } = parseEnvelope(envelope);
+    const key = findKey(keyring, mode, keyId);
+    if (!key) {
+        throw new Error(`No ${mode} key with ID ${keyId} in the keyring`);
+    }
+    return bytesToIp(getMode(mode).module.decryptBytes(ciphertext, key), formatOptions);
+}
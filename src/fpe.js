@@ -0,0 +1,135 @@
+/**
+ * Small-domain format-preserving encryption.
+ *
+ * A keyed permutation of n-bit integers (8 <= n <= 128), built as a Feistel
+ * network in the style of NIST SP 800-38G FF1 for radix 2: the value is split
+ * into halves of floor(n/2) and ceil(n/2) bits, and each round XORs one half
+ * with a truncated AES-128 output computed from the other half.
+ *
+ * The AES input of a round is:
+ *
+ *   width (1) || round (1) || tweak (6, zero-padded) || other half (8, big-endian)
+ *
+ * so permutations of different widths and tweaks are independent. Callers
+ * using the same key for different purposes must use distinct tweaks.
+ */
+
+export const FEISTEL_ROUNDS = 10;
+export const MAX_TWEAK_SIZE = 6;
+
+const NO_TWEAK = new Uint8Array(0);
+
+/**
+ * Creates a permutation of n-bit integers.
+ *
+ * @param {import('./core/backends.js').BlockCipher} cipher - AES-128 block cipher
+ * @param {number} bits - Width of the domain in bits (8-128)
+ * @returns {{encrypt: function(bigint, Uint8Array=): bigint, decrypt: function(bigint, Uint8Array=): bigint}}
+ *     Permutation and its inverse, with an optional tweak of up to 6 bytes
+ * @throws {Error} If the width is out of range
+ */
+export function createFeistel(cipher, bits) {
+    if (!Number.isInteger(bits) || bits < 8 || bits > 128) {
+        throw new Error('FPE domain must be between 8 and 128 bits');
+    }
+    const leftBits = BigInt(bits >> 1);
+    const rightBits = BigInt(bits - (bits >> 1));
+
+    /**
+     * Checks a tweak.
+     * @param {Uint8Array} tweak - Tweak
+     * @returns {Uint8Array} The tweak
+     * @throws {Error} If the tweak is not a Uint8Array of up to 6 bytes
+     */
+    function checkTweak(tweak) {
+        if (!(tweak instanceof Uint8Array) || tweak.length > MAX_TWEAK_SIZE) {
+            throw new Error(`FPE tweak must be a Uint8Array of at most ${MAX_TWEAK_SIZE} bytes`);
+        }
+        return tweak;
+    }
+
+    /**
+     * Round function: the first 64 bits of the AES output, truncated.
+     * @param {number} round - Round number
+     * @param {Uint8Array} tweak - Tweak
+     * @param {bigint} half - Input half (at most 64 bits)
+     * @param {bigint} outBits - Output width
+     * @returns {bigint} Round output
+     */
+    function roundFunction(round, tweak, half, outBits) {
+        const block = new Uint8Array(16);
+        block[0] = bits;
+        block[1] = round;
+        block.set(tweak, 2);
+        for (let i = 15; i >= 8; i--) {
+            block[i] = Number(half & 0xffn);
+            half >>= 8n;
+        }
+        const output = cipher.encrypt(block);
+        let value = 0n;
+        for (let i = 0; i < 8; i++) {
+            value = (value << 8n) | BigInt(output[i]);
+        }
+        return value & ((1n << outBits) - 1n);
+    }
+
+    return {
+        encrypt(value, tweak = NO_TWEAK) {
+            checkTweak(tweak);
+            let a = value >> rightBits;
+            let b = value & ((1n << rightBits) - 1n);
+            for (let round = 0; round < FEISTEL_ROUNDS; round++) {
+                // a and b swap widths every round
+                const outBits = round % 2 === 0 ? leftBits : rightBits;
+                const c = a ^ roundFunction(round, tweak, b, outBits);
+                a = b;
+                b = c;
+            }
+            return (a << rightBits) | b;
+        },
+        decrypt(value, tweak = NO_TWEAK) {
+            checkTweak(tweak);
+            let a = value >> rightBits;
+            let b = value & ((1n << rightBits) - 1n);
+            for (let round = FEISTEL_ROUNDS - 1; round >= 0; round--) {
+                const outBits = round % 2 === 0 ? leftBits : rightBits;
+                const c = b;
+                b = a;
+                a = c ^ roundFunction(round, tweak, b, outBits);
+            }
+            return (a << rightBits) | b;
+        }
+    };
+}
+
+/**
+ * Reads a range of bits of a byte array as an integer.
+ *
+ * @param {Uint8Array} bytes - Byte array
+ * @param {number} start - First bit (0 = most significant bit of byte 0)
+ * @param {number} end - Bit after the last one
+ * @returns {bigint} Value of the bits
+ */
+export function getBitRange(bytes, start, end) {
+    let value = 0n;
+    for (let bit = start; bit < end; bit++) {
+        value = (value << 1n) | BigInt((bytes[bit >> 3] >> (7 - (bit & 7))) & 1);
+    }
+    return value;
+}
+
+/**
+ * Writes an integer into a range of bits of a byte array.
+ *
+ * @param {Uint8Array} bytes - Byte array, modified in place
+ * @param {number} start - First bit (0 = most significant bit of byte 0)
+ * @param {number} end - Bit after the last one
+ * @param {bigint} value - Value of the bits
+ */
+export function setBitRange(bytes, start, end, value) {
+    for (let bit = end - 1; bit >= start; bit--) {
+        const mask = 0x80 >> (bit & 7);
+        bytes[bit >> 3] = (value & 1n) ? bytes[bit >> 3] | mask : bytes[bit >> 3] & ~mask;
+        value >>= 1n;
+    }
+}
@@ -0,0 +1,288 @@
+import { ipToBytes, bytesToIp, toBytes16, checkFormatOptions } from './utils.js';
+import { createBlockCipher } from './core/backends.js';
+import { isPacked, mapRecords } from './batch.js';
+import { createFeistel, getBitRange, setBitRange } from './fpe.js';
+import { getTransitionFormat, getEmbeddedIPv4, setEmbeddedIPv4 } from './transition.js';
+
+/**
+ * Address-family-preserving deterministic encryption.
+ *
+ * IPv4 addresses are encrypted with a format-preserving 32-bit permutation
+ * (see fpe.js), so they encrypt to IPv4 addresses. Other addresses are
+ * encrypted with AES-128 like in the deterministic mode, and encrypted again
+ * in the unlikely case the result is an IPv4-mapped address, so they always
+ * encrypt to IPv6 addresses.
+ *
+ * Both use subkeys derived from the 16-byte key by encrypting fixed labels,
+ * so outputs are unrelated to those of the deterministic mode under the
+ * same key.
+ */
+
+const FPE_KEY_LABEL = 'ipcrypt dv4 fpe';
+const IPV6_KEY_LABEL = 'ipcrypt dv4 ipv6';
+
+/**
+ * Check if IP address is IPv4 based on 16-byte representation.
+ * @param {Uint8Array} bytes16 - 16-byte IP representation
+ * @returns {boolean} True if IPv4
+ */
+function isIPv4(bytes16) {
+    return bytes16.slice(0, 10).every(b => b === 0) &&
+        bytes16[10] === 0xff && bytes16[11] === 0xff;
+}
+
+/**
+ * Derives a subkey by encrypting a label, zero-padded to 16 bytes.
+ * @param {import('./core/backends.js').BlockCipher} cipher - Cipher of the main key
+ * @param {string} label - Label of at most 16 ASCII characters
+ * @returns {Uint8Array} 16-byte subkey
+ */
+function deriveSubkey(cipher, label) {
+    const block = new Uint8Array(16);
+    block.set(new TextEncoder().encode(label));
+    return cipher.encrypt(block);
+}
+
+/**
+ * Creates a reusable IPv4-preserving deterministic encryption context for a
+ * single key. The key and its subkeys are expanded once.
+ *
+ * With transition, the IPv4 addresses embedded in NAT64, 6to4 and Teredo
+ * addresses are encrypted like native IPv4 addresses and embedded again.
+ * The host bits of 6to4 addresses are encrypted with an 80-bit permutation
+ * tweaked by the embedded address, and the flags and port of Teredo
+ * addresses are kept as they are. Other IPv6 addresses never encrypt to a
+ * transition address.
+ *
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @param {Object} [options] - Context options
+ * @param {string|Object} [options.backend] - AES backend ('auto', 'native', 'ttable',
+ *     'reference', 'constant-time'); defaults to the global default
+ * @param {boolean} [options.transition=false] - Encrypt the IPv4 addresses embedded in transition
+ *     addresses like native IPv4 addresses
+ * @param {Object} [options.format] - Formatting of the returned addresses (see bytesToIp()):
+ *     format, uppercase, mixed and keepMapped
+ * @returns {{encrypt: function(string): string, decrypt: function(string): string,
+ *     encryptMany: function((string[]|Uint8Array)): (string[]|Uint8Array),
+ *     decryptMany: function((string[]|Uint8Array)): (string[]|Uint8Array),
+ *     encryptBytes: function(Uint8Array): Uint8Array, decryptBytes: function(Uint8Array): Uint8Array}}
+ *     Context with encrypt/decrypt methods bound to the key
+ * @throws {Error} If the key or backend is invalid
+ */
+export function createContext(key, options = {}) {
+    // Validate key
+    if (!(key instanceof Uint8Array) || key.length !== 16) {
+        throw new Error('Key must be a 16-byte Uint8Array');
+    }
+
+    // Expand the subkeys
+    const cipher = createBlockCipher(key, options.backend);
+    const fpeCipher = createBlockCipher(deriveSubkey(cipher, FPE_KEY_LABEL), options.backend);
+    const ipv6Cipher = createBlockCipher(deriveSubkey(cipher, IPV6_KEY_LABEL), options.backend);
+    const ipv4Permutation = createFeistel(fpeCipher, 32);
+    const tailPermutation = createFeistel(fpeCipher, 80);
+    const transition = options.transition === true;
+    const format = checkFormatOptions(options.format);
+
+    /**
+     * Checks whether an IPv6 output must be encrypted again: IPv6 addresses
+     * never encrypt to IPv4 addresses, nor to transition addresses when
+     * those are handled separately.
+     * @param {Uint8Array} bytes16 - 16-byte address
+     * @returns {boolean} True if the address is outside of the IPv6 range
+     */
+    function isReserved(bytes16) {
+        return isIPv4(bytes16) || (transition && getTransitionFormat(bytes16) !== null);
+    }
+
+    /**
+     * Encrypts a 4-byte IPv4 address.
+     * @param {Uint8Array} ipv4 - 4-byte address
+     * @returns {Uint8Array} 4-byte encrypted address
+     */
+    function encryptIPv4(ipv4) {
+        const encrypted = new Uint8Array(4);
+        setBitRange(encrypted, 0, 32, ipv4Permutation.encrypt(getBitRange(ipv4, 0, 32)));
+        return encrypted;
+    }
+
+    /**
+     * Decrypts a 4-byte IPv4 address.
+     * @param {Uint8Array} ipv4 - 4-byte encrypted address
+     * @returns {Uint8Array} 4-byte original address
+     */
+    function decryptIPv4(ipv4) {
+        const decrypted = new Uint8Array(4);
+        setBitRange(decrypted, 0, 32, ipv4Permutation.decrypt(getBitRange(ipv4, 0, 32)));
+        return decrypted;
+    }
+
+    /**
+     * Encrypts a 16-byte address.
+     * @param {Uint8Array} bytes16 - 16-byte original address
+     * @returns {Uint8Array} 16-byte encrypted address
+     */
+    function encryptAddress(bytes16) {
+        if (isIPv4(bytes16)) {
+            return toBytes16(encryptIPv4(bytes16.subarray(12)));
+        }
+
+        const format = transition ? getTransitionFormat(bytes16) : null;
+        if (format === null) {
+            let encrypted = ipv6Cipher.encrypt(bytes16);
+            while (isReserved(encrypted)) {
+                encrypted = ipv6Cipher.encrypt(encrypted);
+            }
+            return encrypted;
+        }
+
+        const encrypted = bytes16.slice();
+        if (format.tailStart < 128) {
+            // The tweak binds the host bits to the original embedded address
+            const tweak = getEmbeddedIPv4(bytes16, format.embedded[0]);
+            const tail = getBitRange(bytes16, format.tailStart, 128);
+            setBitRange(encrypted, format.tailStart, 128, tailPermutation.encrypt(tail, tweak));
+        }
+        for (const slot of format.embedded) {
+            setEmbeddedIPv4(encrypted, slot, encryptIPv4(getEmbeddedIPv4(bytes16, slot)));
+        }
+        return encrypted;
+    }
+
+    /**
+     * Decrypts a 16-byte address.
+     * @param {Uint8Array} encryptedBytes - 16-byte encrypted address
+     * @returns {Uint8Array} 16-byte original address
+     */
+    function decryptAddress(encryptedBytes) {
+        if (isIPv4(encryptedBytes)) {
+            return toBytes16(decryptIPv4(encryptedBytes.subarray(12)));
+        }
+
+        const format = transition ? getTransitionFormat(encryptedBytes) : null;
+        if (format === null) {
+            let decrypted = ipv6Cipher.decrypt(encryptedBytes);
+            while (isReserved(decrypted)) {
+                decrypted = ipv6Cipher.decrypt(decrypted);
+            }
+            return decrypted;
+        }
+
+        const decrypted = encryptedBytes.slice();
+        for (const slot of format.embedded) {
+            setEmbeddedIPv4(decrypted, slot, decryptIPv4(getEmbeddedIPv4(encryptedBytes, slot)));
+        }
+        if (format.tailStart < 128) {
+            const tweak = getEmbeddedIPv4(decrypted, format.embedded[0]);
+            const tail = getBitRange(encryptedBytes, format.tailStart, 128);
+            setBitRange(decrypted, format.tailStart, 128, tailPermutation.decrypt(tail, tweak));
+        }
+        return decrypted;
+    }
+
+    const context = {
+        encrypt(ip) {
+            return bytesToIp(encryptAddress(ipToBytes(ip)), format);
+        },
+        decrypt(encryptedIp) {
+            return bytesToIp(decryptAddress(ipToBytes(encryptedIp)), format);
+        },
+        encryptBytes(bytes) {
+            // IPv4 addresses encrypt to IPv4 addresses, so 4-byte inputs give 4-byte outputs
+            const encrypted = encryptAddress(toBytes16(bytes));
+            return bytes.length === 4 ? encrypted.slice(12) : encrypted;
+        },
+        decryptBytes(bytes) {
+            const decrypted = decryptAddress(toBytes16(bytes));
+            return bytes.length === 4 ? decrypted.slice(12) : decrypted;
+        },
+        encryptMany(ips) {
+            if (isPacked(ips)) {
+                return mapRecords(ips, 16, 16, bytes16 => encryptAddress(bytes16));
+            }
+            return ips.map(ip => context.encrypt(ip));
+        },
+        decryptMany(encryptedIps) {
+            if (isPacked(encryptedIps)) {
+                return mapRecords(encryptedIps, 16, 16, bytes16 => decryptAddress(bytes16));
+            }
+            return encryptedIps.map(encryptedIp => context.decrypt(encryptedIp));
+        }
+    };
+
+    return context;
+}
+
+/**
+ * Encrypts an IP address, keeping IPv4 addresses as IPv4 addresses.
+ * Use createContext() instead when encrypting many addresses with the same key.
+ *
+ * @param {string} ip - IP address to encrypt (IPv4 or IPv6)
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @returns {string} Encrypted IP address, of the same family as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function encrypt(ip, key) {
+    return createContext(key).encrypt(ip);
+}
+
+/**
+ * Decrypts an IP address encrypted with encrypt().
+ *
+ * @param {string} encryptedIp - Encrypted IP address
+ * @param {Uint8Array} key - 16-byte encryption key (must be same as encryption)
+ * @returns {string} Decrypted IP address
+ * @throws {Error} If inputs are invalid
+ */
+export function decrypt(encryptedIp, key) {
+    return createContext(key).decrypt(encryptedIp);
+}
+
+/**
+ * Encrypts a binary IP address, without converting it to and from a string.
+ *
+ * @param {Uint8Array} bytes - 16-byte address, or 4-byte IPv4 address
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @returns {Uint8Array} Encrypted address, of the same length as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function encryptBytes(bytes, key) {
+    return createContext(key).encryptBytes(bytes);
+}
+
+/**
+ * Decrypts a binary IP address encrypted with encryptBytes().
+ *
+ * @param {Uint8Array} bytes - 16-byte encrypted address, or 4-byte encrypted IPv4 address
+ * @param {Uint8Array} key - 16-byte encryption key (must be same as encryption)
+ * @returns {Uint8Array} Decrypted address, of the same length as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function decryptBytes(bytes, key) {
+    return createContext(key).decryptBytes(bytes);
+}
+
+/**
+ * Encrypts a batch of IP addresses, keeping IPv4 addresses as IPv4 addresses.
+ * The key is expanded once for the whole batch.
+ *
+ * @param {string[]|Uint8Array} ips - Array of IP addresses, or packed N×16-byte addresses
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @returns {string[]|Uint8Array} Encrypted addresses, in the same shape as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function encryptMany(ips, key) {
+    return createContext(key).encryptMany(ips);
+}
+
+/**
+ * Decrypts a batch of IP addresses encrypted with encryptMany().
+ *
+ * @param {string[]|Uint8Array} encryptedIps - Array of encrypted addresses, or packed N×16-byte addresses
+ * @param {Uint8Array} key - 16-byte encryption key (must be same as encryption)
+ * @returns {string[]|Uint8Array} Decrypted addresses, in the same shape as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function decryptMany(encryptedIps, key) {
+    return createContext(key).decryptMany(encryptedIps);
+}
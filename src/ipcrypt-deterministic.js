@@ -1,5 +1,76 @@
-import { ipToBytes, bytesToIp } from './utils.js';
-import { expandKey, subBytes, shiftRows, mixColumns } from './core/aes.js';
+import { ipToBytes, bytesToIp, toBytes16, checkFormatOptions } from './utils.js';
+import { createBlockCipher } from './core/backends.js';
+import { isPacked, countRecords } from './batch.js';
+
+/**
+ * Creates a reusable deterministic encryption context for a single key.
+ * The key is validated and expanded once, so encrypting many addresses
+ * under the same key does not repeat the AES key schedule.
+ * 
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @param {Object} [options] - Context options
+ * @param {string|Object} [options.backend] - AES backend ('auto', 'native', 'ttable',
+ *     'reference', 'constant-time'); defaults to the global default
+ * @param {Object} [options.format] - Formatting of the returned addresses (see bytesToIp()):
+ *     format, uppercase, mixed and keepMapped
+ * @returns {{encrypt: function(string): string, decrypt: function(string): string,
+ *     encryptMany: function((string[]|Uint8Array)): (string[]|Uint8Array),
+ *     decryptMany: function((string[]|Uint8Array)): (string[]|Uint8Array),
+ *     encryptBytes: function(Uint8Array): Uint8Array, decryptBytes: function(Uint8Array): Uint8Array}}
+ *     Context with encrypt/decrypt methods bound to the key
+ * @throws {Error} If the key or backend is invalid
+ */
+export function createContext(key, options = {}) {
+    // Validate key
+    if (!(key instanceof Uint8Array) || key.length !== 16) {
+        throw new Error('Key must be a 16-byte Uint8Array');
+    }
+
+    // Expand key
+    const cipher = createBlockCipher(key, options.backend);
+    const format = checkFormatOptions(options.format);
+
+    /**
+     * Applies a multi-block operation to a batch of addresses.
+     * Arrays of strings are packed into a single buffer first, so the whole
+     * batch goes through one encryptBlocks()/decryptBlocks() call.
+     * @param {string[]|Uint8Array} input - Array of addresses or packed N×16-byte addresses
+     * @param {function(Uint8Array): Uint8Array} transformBlocks - Multi-block operation
+     * @returns {string[]|Uint8Array} Output of the same shape as the input
+     */
+    function transformMany(input, transformBlocks) {
+        if (isPacked(input)) {
+            countRecords(input, 16);
+            return transformBlocks(input);
+        }
+
+        const blocks = new Uint8Array(input.length * 16);
+        input.forEach((ip, i) => blocks.set(ipToBytes(ip), i * 16));
+        const output = transformBlocks(blocks);
+        return input.map((_, i) => bytesToIp(output.subarray(i * 16, (i + 1) * 16), format));
+    }
+
+    return {
+        encrypt(ip) {
+            return bytesToIp(cipher.encrypt(ipToBytes(ip)), format);
+        },
+        decrypt(encryptedIp) {
+            return bytesToIp(cipher.decrypt(ipToBytes(encryptedIp)), format);
+        },
+        encryptBytes(bytes) {
+            return cipher.encrypt(toBytes16(bytes));
+        },
+        decryptBytes(bytes) {
+            return cipher.decrypt(toBytes16(bytes));
+        },
+        encryptMany(ips) {
+            return transformMany(ips, cipher.encryptBlocks);
+        },
+        decryptMany(encryptedIps) {
+            return transformMany(encryptedIps, cipher.decryptBlocks);
+        }
+    };
+}
 
 /**
  * Encrypts an IP address using AES-128 in a deterministic mode.
@@ -15,47 +86,15 @@ import { expandKey, subBytes, shiftRows, mixColumns } from './core/aes.js';
  * Security note: Because this mode is deterministic, it may leak information
  * about IP address patterns. Use non-deterministic modes for higher security.
  * 
+ * Use createContext() instead when encrypting many addresses with the same key.
+ * 
  * @param {string} ip - IP address to encrypt (IPv4 or IPv6)
  * @param {Uint8Array} key - 16-byte encryption key
  * @returns {string} Encrypted IP address
  * @throws {Error} If inputs are invalid
  */
 export function encrypt(ip, key) {
-    // Validate key
-    if (!(key instanceof Uint8Array) || key.length !== 16) {
-        throw new Error('Key must be a 16-byte Uint8Array');
-    }
-
-    // Convert IP to bytes
-    const state = ipToBytes(ip);
-
-    // Expand key
-    const expandedKey = expandKey(key);
-
-    // Initial round
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= expandedKey[i];
-    }
-
-    // Main rounds
-    for (let round = 1; round < 10; round++) {
-        subBytes(state);
-        shiftRows(state);
-        mixColumns(state);
-        for (let i = 0; i < 16; i++) {
-            state[i] ^= expandedKey[round * 16 + i];
-        }
-    }
-
-    // Final round
-    subBytes(state);
-    shiftRows(state);
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= expandedKey[160 + i];
-    }
-
-    // Convert back to IP address
-    return bytesToIp(state);
+    return createContext(key).encrypt(ip);
 }
 
 /**
@@ -71,39 +110,56 @@ export function encrypt(ip, key) {
  * @throws {Error} If inputs are invalid
  */
 export function decrypt(encryptedIp, key) {
-    // Validate key
-    if (!(key instanceof Uint8Array) || key.length !== 16) {
-        throw new Error('Key must be a 16-byte Uint8Array');
-    }
-
-    // Convert IP to bytes
-    const state = ipToBytes(encryptedIp);
-
-    // Expand key
-    const expandedKey = expandKey(key);
+    return createContext(key).decrypt(encryptedIp);
+}
 
-    // Initial round
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= expandedKey[160 + i];
-    }
-    shiftRows(state, true);
-    subBytes(state, true);
+/**
+ * Encrypts a binary IP address using AES-128 in a deterministic mode,
+ * without converting it to and from a string.
+ * 
+ * @param {Uint8Array} bytes - 16-byte address, or 4-byte IPv4 address
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @returns {Uint8Array} 16-byte encrypted address
+ * @throws {Error} If inputs are invalid
+ */
+export function encryptBytes(bytes, key) {
+    return createContext(key).encryptBytes(bytes);
+}
 
-    // Main rounds
-    for (let round = 9; round > 0; round--) {
-        for (let i = 0; i < 16; i++) {
-            state[i] ^= expandedKey[round * 16 + i];
-        }
-        mixColumns(state, true);
-        shiftRows(state, true);
-        subBytes(state, true);
-    }
+/**
+ * Decrypts a binary IP address that was encrypted using AES-128 deterministic mode.
+ * IPv4 addresses are returned in their IPv4-mapped 16-byte form.
+ * 
+ * @param {Uint8Array} bytes - 16-byte encrypted address
+ * @param {Uint8Array} key - 16-byte encryption key (must be same as encryption)
+ * @returns {Uint8Array} 16-byte decrypted address
+ * @throws {Error} If inputs are invalid
+ */
+export function decryptBytes(bytes, key) {
+    return createContext(key).decryptBytes(bytes);
+}
 
-    // Final round
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= expandedKey[i];
-    }
+/**
+ * Encrypts a batch of IP addresses using AES-128 in a deterministic mode.
+ * The key is expanded once for the whole batch.
+ * 
+ * @param {string[]|Uint8Array} ips - Array of IP addresses, or packed N×16-byte addresses
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @returns {string[]|Uint8Array} Encrypted addresses, in the same shape as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function encryptMany(ips, key) {
+    return createContext(key).encryptMany(ips);
+}
 
-    // Convert back to IP address
-    return bytesToIp(state);
-} 
\ No newline at end of file
+/**
+ * Decrypts a batch of IP addresses encrypted using AES-128 deterministic mode.
+ * 
+ * @param {string[]|Uint8Array} encryptedIps - Array of encrypted addresses, or packed N×16-byte addresses
+ * @param {Uint8Array} key - 16-byte encryption key (must be same as encryption)
+ * @returns {string[]|Uint8Array} Decrypted addresses, in the same shape as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function decryptMany(encryptedIps, key) {
+    return createContext(key).decryptMany(encryptedIps);
+}
@@ -1,5 +1,191 @@
-import { ipToBytes, bytesToIp, randomBytes } from './utils.js';
-import { encrypt as encryptBlock, decrypt as decryptBlock } from './core/kiasu-bc.js';
+import { ipToBytes, bytesToIp, randomBytes, toBytes16, checkFormatOptions } from './utils.js';
+import { getRoundKeyBackend } from './core/backends.js';
+import { encryptExpanded, decryptExpanded } from './core/kiasu-bc.js';
+import { checkEncoding, encodeCiphertext, decodeCiphertext } from './encoding.js';
+import { isPacked, countRecords, mapRecords } from './batch.js';
+import { createAuthenticator } from './authentication.js';
+import { createContextTweaks } from './pseudonym.js';
+
+/**
+ * Converts encrypted data given as text (hex, base64, base64url or the
+ * prefixed form) into bytes. Other inputs are returned unchanged.
+ * 
+ * @param {Uint8Array|string} encryptedData - Encrypted data
+ * @param {number} [size=24] - Expected size in bytes
+ * @returns {Uint8Array} Encrypted data
+ * @throws {Error} If the text is malformed
+ */
+function toCiphertext(encryptedData, size = 24) {
+    return typeof encryptedData === 'string' ? decodeCiphertext(encryptedData, size, 'nd') : encryptedData;
+}
+
+/**
+ * Creates a reusable KIASU-BC encryption context for a single key.
+ * The key is validated and expanded once; only the per-call tweak
+ * is mixed into the cached round keys.
+ *
+ * With tagLength, ciphertexts are authenticated: a truncated MAC is
+ * appended to every output, and decryption throws an AuthenticationError
+ * if it doesn't match.
+ *
+ * pseudonymize() derives the tweak from a context string instead of
+ * drawing it at random, and returns the ciphertext alone, written as an
+ * IPv6 address: addresses get the same pseudonym within a context, and
+ * depseudonymize() needs the context to recover them. Pseudonyms are not
+ * authenticated, even with tagLength.
+ * 
+ * @param {Uint8Array} key - 16-byte key
+ * @param {Object} [options] - Context options
+ * @param {string|Object} [options.backend] - AES backend ('auto', 'native', 'ttable',
+ *     'reference', 'constant-time'); defaults to the global default
+ * @param {string} [options.encoding] - Return ciphertexts as text instead of bytes: 'hex',
+ *     'base64', 'base64url' or 'prefixed' ('nd:' followed by base64url)
+ * @param {number} [options.tagLength] - Append a tag of this many bytes (4-32) to every output,
+ *     and verify it when decrypting; outputs are then 24 + tagLength bytes
+ * @param {Object} [options.format] - Formatting of the returned addresses (see bytesToIp()):
+ *     format, uppercase, mixed and keepMapped
+ * @returns {{encrypt: function(string, Uint8Array=): (Uint8Array|string), decrypt: function((Uint8Array|string)): string,
+ *     encryptMany: function((string[]|Uint8Array)): (Array<Uint8Array|string>|Uint8Array),
+ *     decryptMany: function((Array<Uint8Array|string>|Uint8Array)): (string[]|Uint8Array),
+ *     encryptBytes: function(Uint8Array, Uint8Array=): (Uint8Array|string),
+ *     decryptBytes: function((Uint8Array|string)): Uint8Array,
+ *     pseudonymize: function(string, string): string, depseudonymize: function(string, string): string}}
+ *     Context with encrypt/decrypt methods bound to the key
+ * @throws {Error} If the key, backend, encoding or tag length is invalid
+ */
+export function createContext(key, options = {}) {
+    if (!(key instanceof Uint8Array) || key.length !== 16) {
+        throw new Error('Key must be a 16-byte Uint8Array');
+    }
+
+    const authenticator = options.tagLength === undefined ? null : createAuthenticator('nd', key, options.tagLength);
+    const size = authenticator ? 24 + options.tagLength : 24;
+
+    const { encoding } = options;
+    if (encoding !== undefined) {
+        checkEncoding(encoding);
+    }
+    const format = checkFormatOptions(options.format);
+
+    // KIASU-BC injects the tweak into every round key, so it always runs
+    // on a JavaScript backend, even when the native backend is selected
+    const backend = getRoundKeyBackend(options.backend);
+    const expandedKey = backend.expandKey(key);
+
+    // Derived on first use of pseudonymize() or depseudonymize()
+    let contextTweaks = null;
+    const tweakOf = context => {
+        contextTweaks = contextTweaks || createContextTweaks('nd', key, 8);
+        return contextTweaks(context);
+    };
+
+    /**
+     * Encrypts a 16-byte address with the given tweak.
+     * @param {Uint8Array} plaintext - 16-byte address
+     * @param {Uint8Array} tweak - 8-byte tweak
+     * @returns {Uint8Array} 24-byte array (8-byte tweak + 16-byte ciphertext), followed by the tag
+     *     if the context authenticates ciphertexts
+     */
+    function encryptBlock(plaintext, tweak) {
+        const ciphertext = encryptExpanded(expandedKey, tweak, plaintext, backend);
+
+        // Combine tweak and ciphertext
+        const result = new Uint8Array(24);
+        result.set(tweak);
+        result.set(ciphertext, 8);
+        return authenticator ? authenticator.seal(result) : result;
+    }
+
+    /**
+     * Decrypts a 24-byte array into the 16-byte address.
+     * @param {Uint8Array} encryptedData - 24-byte array (8-byte tweak + 16-byte ciphertext), followed by
+     *     the tag if the context authenticates ciphertexts
+     * @returns {Uint8Array} 16-byte address
+     * @throws {AuthenticationError} If the tag doesn't match
+     */
+    function decryptBlock(encryptedData) {
+        if (authenticator) {
+            encryptedData = authenticator.open(encryptedData);
+        }
+
+        // Extract tweak and ciphertext
+        const tweak = encryptedData.subarray(0, 8);
+        const ciphertext = encryptedData.subarray(8, 24);
+        return decryptExpanded(expandedKey, tweak, ciphertext, backend);
+    }
+
+    const context = {
+        encrypt(ip, tweak) {
+            // Validate inputs
+            if (typeof ip !== 'string') {
+                throw new Error('IP address must be a string');
+            }
+
+            // Generate random tweak if not provided
+            if (!tweak) {
+                tweak = randomBytes(8);
+            } else if (!(tweak instanceof Uint8Array) || tweak.length !== 8) {
+                throw new Error('Tweak must be an 8-byte Uint8Array');
+            }
+
+            // Convert IP to bytes and encrypt
+            return context.encryptBytes(ipToBytes(ip), tweak);
+        },
+        decrypt(encryptedData) {
+            // Decrypt and convert back to IP
+            return bytesToIp(context.decryptBytes(encryptedData), format);
+        },
+        encryptBytes(bytes, tweak) {
+            const plaintext = toBytes16(bytes);
+
+            // Generate random tweak if not provided
+            if (!tweak) {
+                tweak = randomBytes(8);
+            } else if (!(tweak instanceof Uint8Array) || tweak.length !== 8) {
+                throw new Error('Tweak must be an 8-byte Uint8Array');
+            }
+
+            const result = encryptBlock(plaintext, tweak);
+            return encoding ? encodeCiphertext(result, encoding, 'nd') : result;
+        },
+        decryptBytes(encryptedData) {
+            // Validate inputs
+            encryptedData = toCiphertext(encryptedData, size);
+            if (!(encryptedData instanceof Uint8Array) || encryptedData.length !== size) {
+                throw new Error(`Encrypted data must be a ${size}-byte Uint8Array`);
+            }
+
+            return decryptBlock(encryptedData);
+        },
+        encryptMany(ips) {
+            // One random tweak per address, drawn in a single call
+            const packed = isPacked(ips);
+            const tweaks = randomBytes((packed ? countRecords(ips, 16) : ips.length) * 8);
+            const tweakAt = i => tweaks.subarray(i * 8, (i + 1) * 8);
+
+            if (packed) {
+                return mapRecords(ips, 16, size, (plaintext, i) => encryptBlock(plaintext, tweakAt(i)));
+            }
+            return ips.map((ip, i) => context.encrypt(ip, tweakAt(i)));
+        },
+        decryptMany(encryptedData) {
+            if (isPacked(encryptedData)) {
+                return mapRecords(encryptedData, size, 16, decryptBlock);
+            }
+            return encryptedData.map(data => context.decrypt(data));
+        },
+        pseudonymize(ip, pseudonymContext) {
+            const tweak = tweakOf(pseudonymContext);
+            return bytesToIp(encryptExpanded(expandedKey, tweak, ipToBytes(ip), backend), format);
+        },
+        depseudonymize(pseudonym, pseudonymContext) {
+            const tweak = tweakOf(pseudonymContext);
+            return bytesToIp(decryptExpanded(expandedKey, tweak, ipToBytes(pseudonym), backend), format);
+        }
+    };
+
+    return context;
+}
 
 /**
  * Encrypts an IP address using KIASU-BC with an optional tweak.
@@ -13,55 +199,112 @@ import { encrypt as encryptBlock, decrypt as decryptBlock } from './core/kiasu-b
  * @throws {Error} If inputs are invalid
  */
 export function encrypt(ip, key, tweak) {
-    // Validate inputs
     if (typeof ip !== 'string') {
         throw new Error('IP address must be a string');
     }
-    if (!(key instanceof Uint8Array) || key.length !== 16) {
-        throw new Error('Key must be a 16-byte Uint8Array');
-    }
-
-    // Generate random tweak if not provided
-    if (!tweak) {
-        tweak = randomBytes(8);
-    } else if (!(tweak instanceof Uint8Array) || tweak.length !== 8) {
-        throw new Error('Tweak must be an 8-byte Uint8Array');
-    }
-
-    // Convert IP to bytes and encrypt
-    const plaintext = ipToBytes(ip);
-    const ciphertext = encryptBlock(key, tweak, plaintext);
-
-    // Combine tweak and ciphertext
-    const result = new Uint8Array(24);
-    result.set(tweak);
-    result.set(ciphertext, 8);
-    return result;
+    return createContext(key).encrypt(ip, tweak);
 }
 
 /**
  * Decrypts an IP address that was encrypted with KIASU-BC.
- * Input must be a 24-byte array containing the tweak followed by the ciphertext.
+ * Input must be a 24-byte array containing the tweak followed by the ciphertext,
+ * or the same bytes encoded as hex, base64, base64url or 'nd:' + base64url.
  * 
- * @param {Uint8Array} encryptedData - 24-byte array (8-byte tweak + 16-byte ciphertext)
+ * @param {Uint8Array|string} encryptedData - 24-byte array (8-byte tweak + 16-byte ciphertext)
  * @param {Uint8Array} key - 16-byte key
  * @returns {string} Decrypted IP address
  * @throws {Error} If inputs are invalid
  */
 export function decrypt(encryptedData, key) {
-    // Validate inputs
+    encryptedData = toCiphertext(encryptedData);
     if (!(encryptedData instanceof Uint8Array) || encryptedData.length !== 24) {
         throw new Error('Encrypted data must be a 24-byte Uint8Array');
     }
-    if (!(key instanceof Uint8Array) || key.length !== 16) {
-        throw new Error('Key must be a 16-byte Uint8Array');
+    return createContext(key).decrypt(encryptedData);
+}
+
+/**
+ * Encrypts a binary IP address using KIASU-BC with an optional tweak,
+ * without converting it from a string.
+ * 
+ * @param {Uint8Array} bytes - 16-byte address, or 4-byte IPv4 address
+ * @param {Uint8Array} key - 16-byte key
+ * @param {Uint8Array} [tweak] - Optional 8-byte tweak
+ * @returns {Uint8Array} 24-byte array (8-byte tweak + 16-byte ciphertext)
+ * @throws {Error} If inputs are invalid
+ */
+export function encryptBytes(bytes, key, tweak) {
+    return createContext(key).encryptBytes(bytes, tweak);
+}
+
+/**
+ * Decrypts a binary IP address that was encrypted with KIASU-BC.
+ * IPv4 addresses are returned in their IPv4-mapped 16-byte form.
+ * 
+ * @param {Uint8Array|string} encryptedData - 24-byte array (8-byte tweak + 16-byte ciphertext), or its text encoding
+ * @param {Uint8Array} key - 16-byte key
+ * @returns {Uint8Array} 16-byte decrypted address
+ * @throws {Error} If inputs are invalid
+ */
+export function decryptBytes(encryptedData, key) {
+    encryptedData = toCiphertext(encryptedData);
+    if (!(encryptedData instanceof Uint8Array) || encryptedData.length !== 24) {
+        throw new Error('Encrypted data must be a 24-byte Uint8Array');
     }
+    return createContext(key).decryptBytes(encryptedData);
+}
+
+/**
+ * Encrypts a batch of IP addresses using KIASU-BC, with a random tweak per address.
+ * The key is expanded once for the whole batch.
+ * 
+ * @param {string[]|Uint8Array} ips - Array of IP addresses, or packed N×16-byte addresses
+ * @param {Uint8Array} key - 16-byte key
+ * @returns {Uint8Array[]|Uint8Array} Array of 24-byte outputs, or packed N×24-byte outputs
+ * @throws {Error} If inputs are invalid
+ */
+export function encryptMany(ips, key) {
+    return createContext(key).encryptMany(ips);
+}
 
-    // Extract tweak and ciphertext
-    const tweak = encryptedData.slice(0, 8);
-    const ciphertext = encryptedData.slice(8);
+/**
+ * Decrypts a batch of addresses encrypted with KIASU-BC.
+ * 
+ * @param {Array<Uint8Array|string>|Uint8Array} encryptedData - Array of 24-byte inputs (or their text
+ *     encodings), or packed N×24-byte inputs
+ * @param {Uint8Array} key - 16-byte key
+ * @returns {string[]|Uint8Array} Array of IP addresses, or packed N×16-byte addresses
+ * @throws {Error} If inputs are invalid
+ */
+export function decryptMany(encryptedData, key) {
+    return createContext(key).decryptMany(encryptedData);
+}
 
-    // Decrypt and convert back to IP
-    const plaintext = decryptBlock(key, tweak, ciphertext);
-    return bytesToIp(plaintext);
-} 
\ No newline at end of file
+/**
+ * Encrypts an IP address into a pseudonym, with a tweak derived from a
+ * context string. The same address always gets the same pseudonym within a
+ * context, and unrelated pseudonyms in different contexts.
+ *
+ * @param {string} ip - IP address to pseudonymize
+ * @param {Uint8Array} key - 16-byte key
+ * @param {string} context - Context (tenant, day, dataset name, ...)
+ * @returns {string} Pseudonym, written as an IPv6 address
+ * @throws {Error} If inputs are invalid
+ */
+export function pseudonymize(ip, key, context) {
+    return createContext(key).pseudonymize(ip, context);
+}
+
+/**
+ * Decrypts a pseudonym created by pseudonymize(), with the same context.
+ * Another context gives an unrelated address.
+ *
+ * @param {string} pseudonym - Pseudonym
+ * @param {Uint8Array} key - 16-byte key
+ * @param {string} context - Context the pseudonym was created in
+ * @returns {string} Original IP address
+ * @throws {Error} If inputs are invalid
+ */
+export function depseudonymize(pseudonym, key, context) {
+    return createContext(key).depseudonymize(pseudonym, context);
+}
@@ -1,5 +1,9 @@
-import { subBytes, shiftRows, mixColumns, expandKey } from './core/aes.js';
-import { ipToBytes, bytesToIp, randomBytes } from './utils.js';
+import { createBlockCipher } from './core/backends.js';
+import { ipToBytes, bytesToIp, randomBytes, toBytes16, checkFormatOptions } from './utils.js';
+import { checkEncoding, encodeCiphertext, decodeCiphertext } from './encoding.js';
+import { isPacked, countRecords } from './batch.js';
+import { createAuthenticator } from './authentication.js';
+import { createContextTweaks } from './pseudonym.js';
 
 /**
  * Encrypt a single block using AES-XTS mode (XEX Tweakable Block Cipher with Ciphertext Stealing).
@@ -8,62 +12,20 @@ import { ipToBytes, bytesToIp, randomBytes } from './utils.js';
  * of the main encryption with K1. This provides strong security for IP address encryption.
  * 
  * Process:
- * 1. Split the 32-byte key into K1 and K2 (16 bytes each)
- * 2. Encrypt the tweak with AES using K2
- * 3. XOR plaintext with encrypted tweak
- * 4. Encrypt the result with AES using K1
- * 5. XOR the result with encrypted tweak again
+ * 1. Encrypt the tweak with AES using K2
+ * 2. XOR plaintext with encrypted tweak
+ * 3. Encrypt the result with AES using K1
+ * 4. XOR the result with encrypted tweak again
  * 
- * @param {Uint8Array} key - 32-byte key (K1||K2)
+ * @param {Object} cipher1 - AES block cipher keyed with K1
+ * @param {Object} cipher2 - AES block cipher keyed with K2
  * @param {Uint8Array} tweak - 16-byte tweak
  * @param {Uint8Array} plaintext - 16-byte plaintext
  * @returns {Uint8Array} 16-byte ciphertext
- * @throws {Error} If any input is invalid
  */
-function encryptBlockXts(key, tweak, plaintext) {
-    if (!(key instanceof Uint8Array) || key.length !== 32) {
-        throw new Error('Key must be a 32-byte Uint8Array');
-    }
-    if (!(tweak instanceof Uint8Array) || tweak.length !== 16) {
-        throw new Error('Tweak must be a 16-byte Uint8Array');
-    }
-    if (!(plaintext instanceof Uint8Array) || plaintext.length !== 16) {
-        throw new Error('Plaintext must be a 16-byte Uint8Array');
-    }
-
-    // Split key into K1 and K2
-    const k1 = key.slice(0, 16);
-    const k2 = key.slice(16);
-
-    // Generate round keys for both K1 and K2
-    const roundKeys1 = expandKey(k1);
-    const roundKeys2 = expandKey(k2);
-
+function encryptBlockXts(cipher1, cipher2, tweak, plaintext) {
     // Encrypt tweak with K2
-    const encryptedTweak = new Uint8Array(16);
-    encryptedTweak.set(tweak);
-
-    // Initial round for tweak
-    for (let i = 0; i < 16; i++) {
-        encryptedTweak[i] ^= roundKeys2[i];
-    }
-
-    // Main rounds for tweak
-    for (let round = 1; round < 10; round++) {
-        subBytes(encryptedTweak);
-        shiftRows(encryptedTweak);
-        mixColumns(encryptedTweak);
-        for (let i = 0; i < 16; i++) {
-            encryptedTweak[i] ^= roundKeys2[round * 16 + i];
-        }
-    }
-
-    // Final round for tweak
-    subBytes(encryptedTweak);
-    shiftRows(encryptedTweak);
-    for (let i = 0; i < 16; i++) {
-        encryptedTweak[i] ^= roundKeys2[160 + i];
-    }
+    const encryptedTweak = cipher2.encrypt(tweak);
 
     // XOR plaintext with encrypted tweak
     const state = new Uint8Array(16);
@@ -71,95 +33,32 @@ function encryptBlockXts(key, tweak, plaintext) {
         state[i] = plaintext[i] ^ encryptedTweak[i];
     }
 
-    // Initial round
+    // Encrypt with K1 and XOR with encrypted tweak again
+    const result = cipher1.encrypt(state);
     for (let i = 0; i < 16; i++) {
-        state[i] ^= roundKeys1[i];
-    }
-
-    // Main rounds
-    for (let round = 1; round < 10; round++) {
-        subBytes(state);
-        shiftRows(state);
-        mixColumns(state);
-        for (let i = 0; i < 16; i++) {
-            state[i] ^= roundKeys1[round * 16 + i];
-        }
+        result[i] ^= encryptedTweak[i];
     }
 
-    // Final round
-    subBytes(state);
-    shiftRows(state);
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= roundKeys1[160 + i];
-    }
-
-    // XOR with encrypted tweak again
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= encryptedTweak[i];
-    }
-
-    return state;
+    return result;
 }
 
 /**
  * Decrypt a single block using AES-XTS mode.
  * The decryption process is the inverse of encryption:
- * 1. Split the 32-byte key into K1 and K2 (16 bytes each)
- * 2. Encrypt the tweak with AES using K2 (same as encryption)
- * 3. XOR ciphertext with encrypted tweak
- * 4. Decrypt the result with AES using K1
- * 5. XOR the result with encrypted tweak again
+ * 1. Encrypt the tweak with AES using K2 (same as encryption)
+ * 2. XOR ciphertext with encrypted tweak
+ * 3. Decrypt the result with AES using K1
+ * 4. XOR the result with encrypted tweak again
  * 
- * @param {Uint8Array} key - 32-byte key (K1||K2)
+ * @param {Object} cipher1 - AES block cipher keyed with K1
+ * @param {Object} cipher2 - AES block cipher keyed with K2
  * @param {Uint8Array} tweak - 16-byte tweak
  * @param {Uint8Array} ciphertext - 16-byte ciphertext
  * @returns {Uint8Array} 16-byte plaintext
- * @throws {Error} If any input is invalid
  */
-function decryptBlockXts(key, tweak, ciphertext) {
-    if (!(key instanceof Uint8Array) || key.length !== 32) {
-        throw new Error('Key must be a 32-byte Uint8Array');
-    }
-    if (!(tweak instanceof Uint8Array) || tweak.length !== 16) {
-        throw new Error('Tweak must be a 16-byte Uint8Array');
-    }
-    if (!(ciphertext instanceof Uint8Array) || ciphertext.length !== 16) {
-        throw new Error('Ciphertext must be a 16-byte Uint8Array');
-    }
-
-    // Split key into K1 and K2
-    const k1 = key.slice(0, 16);
-    const k2 = key.slice(16);
-
-    // Generate round keys for both K1 and K2
-    const roundKeys1 = expandKey(k1);
-    const roundKeys2 = expandKey(k2);
-
+function decryptBlockXts(cipher1, cipher2, tweak, ciphertext) {
     // Encrypt tweak with K2
-    const encryptedTweak = new Uint8Array(16);
-    encryptedTweak.set(tweak);
-
-    // Initial round for tweak
-    for (let i = 0; i < 16; i++) {
-        encryptedTweak[i] ^= roundKeys2[i];
-    }
-
-    // Main rounds for tweak
-    for (let round = 1; round < 10; round++) {
-        subBytes(encryptedTweak);
-        shiftRows(encryptedTweak);
-        mixColumns(encryptedTweak);
-        for (let i = 0; i < 16; i++) {
-            encryptedTweak[i] ^= roundKeys2[round * 16 + i];
-        }
-    }
-
-    // Final round for tweak
-    subBytes(encryptedTweak);
-    shiftRows(encryptedTweak);
-    for (let i = 0; i < 16; i++) {
-        encryptedTweak[i] ^= roundKeys2[160 + i];
-    }
+    const encryptedTweak = cipher2.encrypt(tweak);
 
     // XOR ciphertext with encrypted tweak
     const state = new Uint8Array(16);
@@ -167,34 +66,227 @@ function decryptBlockXts(key, tweak, ciphertext) {
         state[i] = ciphertext[i] ^ encryptedTweak[i];
     }
 
-    // Initial round
+    // Decrypt with K1 and XOR with encrypted tweak again
+    const result = cipher1.decrypt(state);
     for (let i = 0; i < 16; i++) {
-        state[i] ^= roundKeys1[160 + i];
+        result[i] ^= encryptedTweak[i];
     }
-    shiftRows(state, true);
-    subBytes(state, true);
 
-    // Main rounds
-    for (let round = 9; round > 0; round--) {
-        for (let i = 0; i < 16; i++) {
-            state[i] ^= roundKeys1[round * 16 + i];
-        }
-        mixColumns(state, true);
-        shiftRows(state, true);
-        subBytes(state, true);
+    return result;
+}
+
+/**
+ * Applies AES-XTS to many blocks at once.
+ * Tweaks and blocks are packed back to back, so each AES pass is a single
+ * multi-block operation over the whole batch.
+ * 
+ * @param {Object} cipher1 - AES block cipher keyed with K1
+ * @param {Object} cipher2 - AES block cipher keyed with K2
+ * @param {Uint8Array} tweaks - Packed 16-byte tweaks
+ * @param {Uint8Array} blocks - Packed 16-byte blocks
+ * @param {boolean} inverse - Whether to decrypt instead of encrypt
+ * @returns {Uint8Array} Packed 16-byte output blocks
+ */
+function transformBlocksXts(cipher1, cipher2, tweaks, blocks, inverse) {
+    // Encrypt all tweaks with K2
+    const encryptedTweaks = cipher2.encryptBlocks(tweaks);
+
+    // XOR blocks with their encrypted tweaks
+    const state = new Uint8Array(blocks.length);
+    for (let i = 0; i < blocks.length; i++) {
+        state[i] = blocks[i] ^ encryptedTweaks[i];
     }
 
-    // Final round
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= roundKeys1[i];
+    // Encrypt or decrypt with K1 and XOR with encrypted tweaks again
+    const result = inverse ? cipher1.decryptBlocks(state) : cipher1.encryptBlocks(state);
+    for (let i = 0; i < result.length; i++) {
+        result[i] ^= encryptedTweaks[i];
     }
 
-    // XOR with encrypted tweak again
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= encryptedTweak[i];
+    return result;
+}
+
+/**
+ * Converts encrypted data given as text (hex, base64, base64url or the
+ * prefixed form) into bytes. Other inputs are returned unchanged.
+ * 
+ * @param {Uint8Array|string} encryptedData - Encrypted data
+ * @param {number} [size=32] - Expected size in bytes
+ * @returns {Uint8Array} Encrypted data
+ * @throws {Error} If the text is malformed
+ */
+function toCiphertext(encryptedData, size = 32) {
+    return typeof encryptedData === 'string' ? decodeCiphertext(encryptedData, size, 'ndx') : encryptedData;
+}
+
+/**
+ * Creates a reusable AES-XTS encryption context for a single key.
+ * The key is validated once and both K1 and K2 are expanded up front,
+ * so each call only runs the two AES block operations.
+ *
+ * With tagLength, ciphertexts are authenticated: a truncated MAC is
+ * appended to every output, and decryption throws an AuthenticationError
+ * if it doesn't match.
+ *
+ * pseudonymize() and depseudonymize() work like those of the nd mode, with
+ * a 16-byte tweak derived from the context string (see pseudonym.js).
+ * 
+ * @param {Uint8Array} key - 32-byte key (K1||K2)
+ * @param {Object} [options] - Context options
+ * @param {string|Object} [options.backend] - AES backend ('auto', 'native', 'ttable',
+ *     'reference', 'constant-time'); defaults to the global default
+ * @param {string} [options.encoding] - Return ciphertexts as text instead of bytes: 'hex',
+ *     'base64', 'base64url' or 'prefixed' ('ndx:' followed by base64url)
+ * @param {number} [options.tagLength] - Append a tag of this many bytes (4-32) to every output,
+ *     and verify it when decrypting; outputs are then 32 + tagLength bytes
+ * @param {Object} [options.format] - Formatting of the returned addresses (see bytesToIp()):
+ *     format, uppercase, mixed and keepMapped
+ * @returns {{encrypt: function(string, Uint8Array=): (Uint8Array|string), decrypt: function((Uint8Array|string)): string,
+ *     encryptMany: function((string[]|Uint8Array)): (Array<Uint8Array|string>|Uint8Array),
+ *     decryptMany: function((Array<Uint8Array|string>|Uint8Array)): (string[]|Uint8Array),
+ *     encryptBytes: function(Uint8Array, Uint8Array=): (Uint8Array|string),
+ *     decryptBytes: function((Uint8Array|string)): Uint8Array,
+ *     pseudonymize: function(string, string): string, depseudonymize: function(string, string): string}}
+ *     Context with encrypt/decrypt methods bound to the key
+ * @throws {Error} If the key, backend, encoding or tag length is invalid
+ */
+export function createContext(key, options = {}) {
+    if (!(key instanceof Uint8Array) || key.length !== 32) {
+        throw new Error('Key must be a 32-byte Uint8Array');
+    }
+
+    const authenticator = options.tagLength === undefined ? null : createAuthenticator('ndx', key, options.tagLength);
+    const size = authenticator ? 32 + options.tagLength : 32;
+
+    const { encoding } = options;
+    if (encoding !== undefined) {
+        checkEncoding(encoding);
     }
+    const format = checkFormatOptions(options.format);
+
+    // Split key into K1 and K2 and generate round keys for both
+    const cipher1 = createBlockCipher(key.slice(0, 16), options.backend);
+    const cipher2 = createBlockCipher(key.slice(16), options.backend);
+
+    // Derived on first use of pseudonymize() or depseudonymize()
+    let contextTweaks = null;
+    const tweakOf = context => {
+        contextTweaks = contextTweaks || createContextTweaks('ndx', key, 16);
+        return contextTweaks(context);
+    };
+
+    const context = {
+        encrypt(ip, tweak = null) {
+            // Generate random tweak if not provided
+            if (!tweak) {
+                tweak = randomBytes(16);
+            } else if (!(tweak instanceof Uint8Array) || tweak.length !== 16) {
+                throw new Error('Tweak must be a 16-byte Uint8Array');
+            }
+
+            return context.encryptBytes(ipToBytes(ip), tweak);
+        },
+        decrypt(input) {
+            return bytesToIp(context.decryptBytes(input), format);
+        },
+        encryptBytes(bytes, tweak = null) {
+            const plaintext = toBytes16(bytes);
+
+            // Generate random tweak if not provided
+            if (!tweak) {
+                tweak = randomBytes(16);
+            } else if (!(tweak instanceof Uint8Array) || tweak.length !== 16) {
+                throw new Error('Tweak must be a 16-byte Uint8Array');
+            }
+
+            const ciphertext = encryptBlockXts(cipher1, cipher2, tweak, plaintext);
+
+            // Concatenate tweak and ciphertext
+            let output = new Uint8Array(32);
+            output.set(tweak);
+            output.set(ciphertext, 16);
+            if (authenticator) {
+                output = authenticator.seal(output);
+            }
+            return encoding ? encodeCiphertext(output, encoding, 'ndx') : output;
+        },
+        decryptBytes(input) {
+            input = toCiphertext(input, size);
+            if (!(input instanceof Uint8Array) || input.length !== size) {
+                throw new Error(`Input must be a ${size}-byte Uint8Array`);
+            }
+            if (authenticator) {
+                input = authenticator.open(input);
+            }
+
+            const tweak = input.slice(0, 16);
+            const ciphertext = input.slice(16);
+            return decryptBlockXts(cipher1, cipher2, tweak, ciphertext);
+        },
+        encryptMany(ips) {
+            const packed = isPacked(ips);
+            const count = packed ? countRecords(ips, 16) : ips.length;
+            let plaintexts = ips;
+            if (!packed) {
+                plaintexts = new Uint8Array(count * 16);
+                ips.forEach((ip, i) => plaintexts.set(ipToBytes(ip), i * 16));
+            }
+
+            // One random tweak per address, drawn in a single call
+            const tweaks = randomBytes(count * 16);
+            const ciphertexts = transformBlocksXts(cipher1, cipher2, tweaks, plaintexts, false);
+
+            const output = new Uint8Array(count * size);
+            for (let i = 0; i < count; i++) {
+                const record = new Uint8Array(32);
+                record.set(tweaks.subarray(i * 16, (i + 1) * 16));
+                record.set(ciphertexts.subarray(i * 16, (i + 1) * 16), 16);
+                output.set(authenticator ? authenticator.seal(record) : record, i * size);
+            }
+            if (packed) {
+                return output;
+            }
+            return Array.from({ length: count }, (_, i) => {
+                const record = output.slice(i * size, (i + 1) * size);
+                return encoding ? encodeCiphertext(record, encoding, 'ndx') : record;
+            });
+        },
+        decryptMany(inputs) {
+            const packed = isPacked(inputs);
+            const count = packed ? countRecords(inputs, size) : inputs.length;
+
+            // Split the (tweak || ciphertext) records into packed tweaks and ciphertexts
+            const tweaks = new Uint8Array(count * 16);
+            const ciphertexts = new Uint8Array(count * 16);
+            for (let i = 0; i < count; i++) {
+                let input = packed ? inputs.subarray(i * size, (i + 1) * size) : toCiphertext(inputs[i], size);
+                if (!(input instanceof Uint8Array) || input.length !== size) {
+                    throw new Error(`Input must be a ${size}-byte Uint8Array`);
+                }
+                if (authenticator) {
+                    input = authenticator.open(input);
+                }
+                tweaks.set(input.subarray(0, 16), i * 16);
+                ciphertexts.set(input.subarray(16), i * 16);
+            }
+
+            const plaintexts = transformBlocksXts(cipher1, cipher2, tweaks, ciphertexts, true);
+            if (packed) {
+                return plaintexts;
+            }
+            return Array.from({ length: count }, (_, i) => bytesToIp(plaintexts.subarray(i * 16, (i + 1) * 16), format));
+        },
+        pseudonymize(ip, pseudonymContext) {
+            const tweak = tweakOf(pseudonymContext);
+            return bytesToIp(encryptBlockXts(cipher1, cipher2, tweak, ipToBytes(ip)), format);
+        },
+        depseudonymize(pseudonym, pseudonymContext) {
+            const tweak = tweakOf(pseudonymContext);
+            return bytesToIp(decryptBlockXts(cipher1, cipher2, tweak, ipToBytes(pseudonym)), format);
+        }
+    };
 
-    return state;
+    return context;
 }
 
 /**
@@ -210,47 +302,109 @@ function decryptBlockXts(key, tweak, ciphertext) {
  * @throws {Error} If any input is invalid
  */
 export function encrypt(ip, key, tweak = null) {
-    if (!(key instanceof Uint8Array) || key.length !== 32) {
-        throw new Error('Key must be a 32-byte Uint8Array');
-    }
-
-    // Generate random tweak if not provided
-    if (!tweak) {
-        tweak = randomBytes(16);
-    } else if (!(tweak instanceof Uint8Array) || tweak.length !== 16) {
-        throw new Error('Tweak must be a 16-byte Uint8Array');
-    }
-
-    const plaintext = ipToBytes(ip);
-    const ciphertext = encryptBlockXts(key, tweak, plaintext);
-
-    // Concatenate tweak and ciphertext
-    const output = new Uint8Array(32);
-    output.set(tweak);
-    output.set(ciphertext, 16);
-    return output;
+    return createContext(key).encrypt(ip, tweak);
 }
 
 /**
  * Decrypt an IP address using AES-XTS mode.
  * The input must include both the tweak and ciphertext used during encryption.
  * The first 16 bytes are the tweak, and the last 16 bytes are the ciphertext.
+ * The same bytes can also be given as hex, base64, base64url or 'ndx:' + base64url.
  * 
- * @param {Uint8Array} input - 32-byte input (tweak || ciphertext)
+ * @param {Uint8Array|string} input - 32-byte input (tweak || ciphertext)
  * @param {Uint8Array} key - 32-byte key (K1||K2)
  * @returns {string} Decrypted IP address
  * @throws {Error} If any input is invalid
  */
 export function decrypt(input, key) {
+    input = toCiphertext(input);
     if (!(input instanceof Uint8Array) || input.length !== 32) {
         throw new Error('Input must be a 32-byte Uint8Array');
     }
-    if (!(key instanceof Uint8Array) || key.length !== 32) {
-        throw new Error('Key must be a 32-byte Uint8Array');
+    return createContext(key).decrypt(input);
+}
+
+/**
+ * Encrypt a binary IP address using AES-XTS mode, without converting it from a string.
+ * 
+ * @param {Uint8Array} bytes - 16-byte address, or 4-byte IPv4 address
+ * @param {Uint8Array} key - 32-byte key (K1||K2)
+ * @param {Uint8Array} tweak - 16-byte tweak (optional)
+ * @returns {Uint8Array} 32-byte output (tweak || ciphertext)
+ * @throws {Error} If any input is invalid
+ */
+export function encryptBytes(bytes, key, tweak = null) {
+    return createContext(key).encryptBytes(bytes, tweak);
+}
+
+/**
+ * Decrypt a binary IP address using AES-XTS mode.
+ * IPv4 addresses are returned in their IPv4-mapped 16-byte form.
+ * 
+ * @param {Uint8Array|string} input - 32-byte input (tweak || ciphertext), or its text encoding
+ * @param {Uint8Array} key - 32-byte key (K1||K2)
+ * @returns {Uint8Array} 16-byte decrypted address
+ * @throws {Error} If any input is invalid
+ */
+export function decryptBytes(input, key) {
+    input = toCiphertext(input);
+    if (!(input instanceof Uint8Array) || input.length !== 32) {
+        throw new Error('Input must be a 32-byte Uint8Array');
     }
+    return createContext(key).decryptBytes(input);
+}
+
+/**
+ * Encrypt a batch of IP addresses using AES-XTS mode, with a random tweak per address.
+ * Both AES passes run over the whole batch at once.
+ * 
+ * @param {string[]|Uint8Array} ips - Array of IP addresses, or packed N×16-byte addresses
+ * @param {Uint8Array} key - 32-byte key (K1||K2)
+ * @returns {Uint8Array[]|Uint8Array} Array of 32-byte outputs, or packed N×32-byte outputs
+ * @throws {Error} If any input is invalid
+ */
+export function encryptMany(ips, key) {
+    return createContext(key).encryptMany(ips);
+}
+
+/**
+ * Decrypt a batch of IP addresses encrypted using AES-XTS mode.
+ * 
+ * @param {Array<Uint8Array|string>|Uint8Array} inputs - Array of 32-byte inputs (or their text
+ *     encodings), or packed N×32-byte inputs
+ * @param {Uint8Array} key - 32-byte key (K1||K2)
+ * @returns {string[]|Uint8Array} Array of IP addresses, or packed N×16-byte addresses
+ * @throws {Error} If any input is invalid
+ */
+export function decryptMany(inputs, key) {
+    return createContext(key).decryptMany(inputs);
+}
 
-    const tweak = input.slice(0, 16);
-    const ciphertext = input.slice(16);
-    const plaintext = decryptBlockXts(key, tweak, ciphertext);
-    return bytesToIp(plaintext);
-} 
\ No newline at end of file
+/**
+ * Encrypts an IP address into a pseudonym using AES-XTS, with a tweak
+ * derived from a context string. The same address always gets the same
+ * pseudonym within a context, and unrelated pseudonyms in different contexts.
+ *
+ * @param {string} ip - IP address to pseudonymize
+ * @param {Uint8Array} key - 32-byte key (K1||K2)
+ * @param {string} context - Context (tenant, day, dataset name, ...)
+ * @returns {string} Pseudonym, written as an IPv6 address
+ * @throws {Error} If inputs are invalid
+ */
+export function pseudonymize(ip, key, context) {
+    return createContext(key).pseudonymize(ip, context);
+}
+
+/**
+ * Decrypts a pseudonym created by pseudonymize(), with the same context.
+ * Another context gives an unrelated address.
+ *
+ * @param {string} pseudonym - Pseudonym
+ * @param {Uint8Array} key - 32-byte key (K1||K2)
+ * @param {string} context - Context the pseudonym was created in
+ * @returns {string} Original IP address
+ * @throws {Error} If inputs are invalid
+ */
+export function depseudonymize(pseudonym, key, context) {
+    return createContext(key).depseudonymize(pseudonym, context);
+}
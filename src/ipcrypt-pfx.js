@@ -1,40 +1,8 @@
-import { expandKey, subBytes, shiftRows, mixColumns } from './core/aes.js';
-import { ipToBytes, bytesToIp } from './utils.js';
-
-/**
- * Perform AES-128 encryption on a 16-byte block
- * @param {Uint8Array} key - 16-byte key
- * @param {Uint8Array} input - 16-byte input block
- * @returns {Uint8Array} 16-byte encrypted block
- */
-function aesEncrypt(key, input) {
-    const state = new Uint8Array(input);
-    const expandedKey = expandKey(key);
-
-    // Initial round
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= expandedKey[i];
-    }
-
-    // Main rounds
-    for (let round = 1; round < 10; round++) {
-        subBytes(state);
-        shiftRows(state);
-        mixColumns(state);
-        for (let i = 0; i < 16; i++) {
-            state[i] ^= expandedKey[round * 16 + i];
-        }
-    }
-
-    // Final round
-    subBytes(state);
-    shiftRows(state);
-    for (let i = 0; i < 16; i++) {
-        state[i] ^= expandedKey[160 + i];
-    }
-
-    return state;
-}
+import { createBlockCipher } from './core/backends.js';
+import { ipToBytes, bytesToIp, toBytes16, parseCidr, formatCidr, checkFormatOptions } from './utils.js';
+import { createLruCache } from './cache.js';
+import { isPacked, mapRecords } from './batch.js';
+import { getTransitionFormat, getEmbeddedIPv4, setEmbeddedIPv4 } from './transition.js';
 
 /**
  * Check if IP address is IPv4 based on 16-byte representation.
@@ -77,6 +45,39 @@ function setBit(data, position, value) {
     }
 }
 
+/**
+ * Copy the leading bits of a 16-byte array into another one.
+ * @param {Uint8Array} dst - 16-byte destination array
+ * @param {Uint8Array} src - 16-byte source array
+ * @param {number} bits - Number of leading bits to copy (0-128)
+ */
+function copyLeadingBits(dst, src, bits) {
+    const fullBytes = bits >> 3;
+    dst.set(src.subarray(0, fullBytes));
+    if (bits & 7) {
+        const mask = (0xff00 >> (bits & 7)) & 0xff;
+        dst[fullBytes] = (dst[fullBytes] & ~mask) | (src[fullBytes] & mask);
+    }
+}
+
+/**
+ * Check the number of leading bits to keep in the clear for an address family.
+ * @param {number|undefined} value - Number of bits, or undefined for none
+ * @param {number} max - Address size in bits
+ * @param {string} family - 'ipv4' or 'ipv6', for error messages
+ * @returns {number} Number of bits
+ * @throws {Error} If the value is not an integer between 0 and max
+ */
+function checkClearBits(value, max, family) {
+    if (value === undefined) {
+        return 0;
+    }
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+        throw new Error(`clearPrefix.${family} must be an integer between 0 and ${max}`);
+    }
+    return value;
+}
+
 /**
  * Shift a 16-byte array one bit to the left.
  * The most significant bit is lost, and a zero bit is shifted in from the right.
@@ -123,13 +124,119 @@ function padPrefix96() {
 }
 
 /**
- * Encrypt an IP address using ipcrypt-pfx.
- * @param {string} ip - IP address string (IPv4 or IPv6)
+ * Compute the pseudorandom bit for a padded prefix.
+ * The PRF is the XOR of two AES-128 encryptions of the padded prefix,
+ * one under K1 and one under K2; only the least significant bit is used.
+ * @param {Object} cipher1 - AES block cipher keyed with K1
+ * @param {Object} cipher2 - AES block cipher keyed with K2
+ * @param {Uint8Array} paddedPrefix - 16-byte padded prefix
+ * @returns {number} Cipher bit (0 or 1)
+ */
+function prfBit(cipher1, cipher2, paddedPrefix) {
+    const e1 = cipher1.encrypt(paddedPrefix);
+    const e2 = cipher2.encrypt(paddedPrefix);
+
+    // We only need the least significant bit of byte 15
+    return (e1[15] ^ e2[15]) & 1;
+}
+
+/**
+ * Pad a prefix of arbitrary length.
+ * The first prefixLenBits bits of the address are placed in the least
+ * significant bits, with the separator bit right above them. This yields the
+ * same value as padPrefix0()/padPrefix96() followed by shifting in the bits.
+ * @param {Uint8Array} bytes16 - 16-byte address holding the prefix bits
+ * @param {number} prefixLenBits - Prefix length (0-127)
+ * @returns {Uint8Array} Padded prefix
+ */
+function padPrefix(bytes16, prefixLenBits) {
+    const padded = new Uint8Array(16);
+    const shift = 128 - prefixLenBits;
+    const byteShift = shift >> 3;
+    const bitShift = shift & 7;
+
+    for (let i = 15; i >= byteShift; i--) {
+        const j = i - byteShift;
+        let value = bytes16[j] >> bitShift;
+        if (bitShift && j > 0) {
+            value |= bytes16[j - 1] << (8 - bitShift);
+        }
+        padded[i] = value & 0xff;
+    }
+    setBit(padded, prefixLenBits, 1);
+    return padded;
+}
+
+/**
+ * Build a cache key for a byte-aligned prefix.
+ * @param {Uint8Array} bytes16 - 16-byte address holding the prefix bits
+ * @param {number} prefixLenBits - Prefix length (multiple of 8)
+ * @returns {string} Cache key
+ */
+function cacheKey(bytes16, prefixLenBits) {
+    return String.fromCharCode(prefixLenBits, ...bytes16.subarray(0, prefixLenBits >> 3));
+}
+
+/**
+ * Index of a prefix within a cache node.
+ * A node covers the 255 prefixes that extend a byte-aligned prefix by 0 to 7
+ * bits, laid out as a binary heap: depth d with bits b is stored at (1 << d) | b.
+ * @param {Uint8Array} bytes - 16-byte address holding the prefix bits
+ * @param {number} prefixLenBits - Prefix length
+ * @returns {number} Slot index (1-255)
+ */
+function nodeSlot(bytes, prefixLenBits) {
+    const depth = prefixLenBits & 7;
+    return (1 << depth) | (bytes[prefixLenBits >> 3] >> (8 - depth));
+}
+
+/**
+ * Create a reusable ipcrypt-pfx context for a single key.
+ * The key is validated once and both halves are expanded up front,
+ * which removes two key schedules per processed bit.
+ *
+ * Addresses that share a prefix also share the PRF computations for that
+ * prefix. With a non-zero cacheSize, the context keeps PRF outputs in an LRU
+ * cache shared by encrypt and decrypt, which saves most of the work on
+ * clustered addresses. Each cache entry holds the PRF outputs of every
+ * prefix that extends one byte-aligned prefix (e.g. all prefixes from /24 to
+ * /31 below a given /24), so cacheSize counts byte-aligned prefixes.
+ *
+ * With clearPrefix, the leading bits of every address are kept in the clear
+ * (e.g. the first 8 bits of IPv4 addresses, or the /32 of IPv6 addresses)
+ * and only the remaining bits are encrypted. The PRF is unchanged, so the
+ * encrypted bits are the same as with full encryption: outputs only differ
+ * from the standard ones in the clear prefix.
+ *
+ * With transition, the IPv4 addresses embedded in NAT64, 6to4 and Teredo
+ * addresses are encrypted exactly like native IPv4 addresses and embedded
+ * again, so that they stay consistent with the encryption of the native
+ * addresses; the host bits of 6to4 addresses are prefix-preserved after
+ * them. Other IPv6 addresses that would encrypt to a transition address are
+ * encrypted again until they don't (cycle walking), which keeps encryption
+ * a permutation at the cost of prefix preservation for those addresses.
  * @param {Uint8Array} key - 32-byte encryption key
- * @returns {string} Encrypted IP address string
- * @throws {Error} If key is invalid or halves are identical
+ * @param {Object} [options] - Context options
+ * @param {string|Object} [options.backend] - AES backend ('auto', 'native', 'ttable',
+ *     'reference', 'constant-time'); defaults to the global default
+ * @param {number} [options.cacheSize=0] - Maximum number of cache entries (0 disables the cache)
+ * @param {{ipv4: (number|undefined), ipv6: (number|undefined)}} [options.clearPrefix] - Number of
+ *     leading bits to keep in the clear, for IPv4 (0-32) and IPv6 (0-128) addresses; defaults to 0
+ * @param {boolean} [options.transition=false] - Encrypt the IPv4 addresses embedded in transition
+ *     addresses like native IPv4 addresses
+ * @param {Object} [options.format] - Formatting of the returned addresses and prefixes (see
+ *     bytesToIp()): format, uppercase, mixed and keepMapped
+ * @returns {{encrypt: function(string): string, decrypt: function(string): string,
+ *     encryptMany: function((string[]|Uint8Array)): (string[]|Uint8Array),
+ *     decryptMany: function((string[]|Uint8Array)): (string[]|Uint8Array),
+ *     encryptBytes: function(Uint8Array): Uint8Array, decryptBytes: function(Uint8Array): Uint8Array,
+ *     encryptPrefix: function(string): string, decryptPrefix: function(string): string,
+ *     cacheStats: function(): {hits: number, misses: number, size: number, capacity: number},
+ *     clearCache: function(): void}}
+ *     Context with encrypt/decrypt methods bound to the key
+ * @throws {Error} If key is invalid, halves are identical, or the cache size or clear prefix is invalid
  */
-export function encrypt(ip, key) {
+export function createContext(key, options = {}) {
     if (!(key instanceof Uint8Array) || key.length !== 32) {
         throw new Error('Key must be 32 bytes');
     }
@@ -143,60 +250,323 @@ export function encrypt(ip, key) {
         throw new Error('The two halves of the key must be different');
     }
 
-    // Convert IP to 16-byte representation
-    const bytes16 = ipToBytes(ip);
+    const cipher1 = createBlockCipher(K1, options.backend);
+    const cipher2 = createBlockCipher(K2, options.backend);
+
+    // Encryption starts after the IPv4-mapped prefix for IPv4 addresses,
+    // and after the bits kept in the clear
+    const clearPrefix = options.clearPrefix || {};
+    const startV4 = 96 + checkClearBits(clearPrefix.ipv4, 32, 'ipv4');
+    const startV6 = checkClearBits(clearPrefix.ipv6, 128, 'ipv6');
+    const transition = options.transition === true;
+    const format = checkFormatOptions(options.format);
+
+    const cache = createLruCache(options.cacheSize === undefined ? 0 : options.cacheSize);
+    const cacheEnabled = cache.capacity > 0;
+    let hits = 0;
+    let misses = 0;
+
+    /**
+     * Get the cache node for a byte-aligned prefix, creating it if needed.
+     * Unknown PRF outputs are stored as -1.
+     * @param {Uint8Array} bytes16 - 16-byte address holding the prefix bits
+     * @param {number} prefixLenBits - Prefix length (multiple of 8)
+     * @returns {Int8Array} 256-entry node
+     */
+    function cacheNode(bytes16, prefixLenBits) {
+        const k = cacheKey(bytes16, prefixLenBits);
+        let node = cache.get(k);
+        if (node === undefined) {
+            node = new Int8Array(256).fill(-1);
+            cache.set(k, node);
+        }
+        return node;
+    }
+
+    /**
+     * Look up the PRF bit of a prefix in the cache.
+     * @param {Int8Array} node - Cache node of the enclosing byte-aligned prefix
+     * @param {Uint8Array} bytes16 - 16-byte address holding the prefix bits
+     * @param {number} prefixLenBits - Prefix length
+     * @returns {number} Cipher bit, or -1 if it has not been computed yet
+     */
+    function cachedBit(node, bytes16, prefixLenBits) {
+        const bit = node[nodeSlot(bytes16, prefixLenBits)];
+        if (bit >= 0) {
+            hits++;
+        } else {
+            misses++;
+        }
+        return bit;
+    }
 
-    // Initialize encrypted result with zeros
-    const encrypted = new Uint8Array(16);
+    /**
+     * Compute the PRF bits for the prefixes of an address from prefixStart
+     * up to (excluding) prefixEnd.
+     * Every padded prefix only depends on bits of the original IP, so all PRF
+     * inputs are known up front. Cached outputs are reused and the remaining
+     * prefixes are encrypted in a single batch.
+     * @param {Uint8Array} bytes16 - 16-byte original address
+     * @param {number} prefixStart - Length of the first prefix
+     * @param {number} prefixEnd - Number of leading bits to encrypt
+     * @returns {Uint8Array} One cipher bit per prefix length
+     */
+    function prfBits(bytes16, prefixStart, prefixEnd) {
+        const count = Math.max(prefixEnd - prefixStart, 0);
+        const bits = new Uint8Array(count);
+        const pending = [];
+        const pendingNodes = [];
+        let node = null;
+
+        for (let i = 0; i < count; i++) {
+            const prefixLenBits = prefixStart + i;
+            if (cacheEnabled) {
+                if (node === null || (prefixLenBits & 7) === 0) {
+                    node = cacheNode(bytes16, prefixLenBits & ~7);
+                }
+                const bit = cachedBit(node, bytes16, prefixLenBits);
+                if (bit >= 0) {
+                    bits[i] = bit;
+                    continue;
+                }
+            }
+            pending.push(i);
+            pendingNodes.push(node);
+        }
+        if (pending.length === 0) {
+            return bits;
+        }
 
-    // Determine starting point
-    const ipv4 = isIPv4(bytes16);
-    const prefixStart = ipv4 ? 96 : 0;
+        const blocks = new Uint8Array(pending.length * 16);
+        pending.forEach((i, j) => {
+            blocks.set(padPrefix(bytes16, prefixStart + i), j * 16);
+        });
 
-    // If IPv4, copy the IPv4-mapped prefix
-    if (ipv4) {
-        encrypted.set(bytes16.slice(0, 12), 0);
+        // Compute pseudorandom function with dual AES encryption
+        const e1 = cipher1.encryptBlocks(blocks);
+        const e2 = cipher2.encryptBlocks(blocks);
+        for (let j = 0; j < pending.length; j++) {
+            // We only need the least significant bit of byte 15
+            const bit = (e1[j * 16 + 15] ^ e2[j * 16 + 15]) & 1;
+            bits[pending[j]] = bit;
+            if (cacheEnabled) {
+                pendingNodes[j][nodeSlot(bytes16, prefixStart + pending[j])] = bit;
+            }
+        }
+        return bits;
     }
 
-    // No need to create cipher objects - we'll use aesEncrypt directly
+    /**
+     * Encrypt a 16-byte address.
+     * Each encrypted bit only depends on the bits before it, so encrypting
+     * the first prefixEnd bits alone encrypts a network prefix; the
+     * remaining bits are left as zeros.
+     * @param {Uint8Array} bytes16 - 16-byte original address
+     * @param {number} [prefixEnd=128] - Number of leading bits to encrypt
+     * @param {number} [prefixStart] - Number of leading bits to keep in the clear;
+     *     defaults to the start for the address family
+     * @returns {Uint8Array} 16-byte encrypted address
+     */
+    function encryptAddress(bytes16, prefixEnd = 128, prefixStart = isIPv4(bytes16) ? startV4 : startV6) {
+        // Initialize encrypted result with zeros
+        const encrypted = new Uint8Array(16);
+
+        // Copy the bits kept in the clear, including the IPv4-mapped prefix
+        copyLeadingBits(encrypted, bytes16, prefixStart);
+
+        const cipherBits = prfBits(bytes16, prefixStart, prefixEnd);
+        const count = cipherBits.length;
+
+        // Process each bit position
+        for (let i = 0; i < count; i++) {
+            // Extract the current bit from the original IP
+            const currentBitPos = 127 - prefixStart - i;
+
+            // Set the bit in the encrypted result
+            const originalBit = getBit(bytes16, currentBitPos);
+            setBit(encrypted, currentBitPos, cipherBits[i] ^ originalBit);
+        }
 
-    // Initialize padded_prefix for the starting prefix length
-    let paddedPrefix;
-    if (ipv4) {
-        paddedPrefix = padPrefix96();
-    } else {
-        paddedPrefix = padPrefix0();
+        return encrypted;
     }
 
-    // Process each bit position
-    for (let prefixLenBits = prefixStart; prefixLenBits < 128; prefixLenBits++) {
-        // Compute pseudorandom function with dual AES encryption
-        const e1 = aesEncrypt(K1, paddedPrefix);
-        const e2 = aesEncrypt(K2, paddedPrefix);
+    /**
+     * Decrypt a 16-byte address.
+     * @param {Uint8Array} encryptedBytes - 16-byte encrypted address
+     * @param {number} [prefixEnd=128] - Number of leading bits to decrypt
+     * @param {number} [prefixStart] - Number of leading bits kept in the clear;
+     *     defaults to the start for the address family
+     * @returns {Uint8Array} 16-byte original address
+     */
+    function decryptAddress(encryptedBytes, prefixEnd = 128, prefixStart) {
+        // Initialize decrypted result with zeros
+        const decrypted = new Uint8Array(16);
+
+        // Determine starting point
+        const ipv4 = isIPv4(encryptedBytes);
+        const standardStart = ipv4 ? 96 : 0;
+        if (prefixStart === undefined) {
+            prefixStart = ipv4 ? startV4 : startV6;
+        }
+
+        // Copy the bits kept in the clear, including the IPv4-mapped prefix
+        copyLeadingBits(decrypted, encryptedBytes, prefixStart);
 
-        // XOR the two encryptions
-        const e = new Uint8Array(16);
-        for (let i = 0; i < 16; i++) {
-            e[i] = e1[i] ^ e2[i];
+        // Initialize padded_prefix for the starting prefix length
+        let paddedPrefix;
+        if (prefixStart === standardStart) {
+            paddedPrefix = ipv4 ? padPrefix96() : padPrefix0();
+        } else {
+            paddedPrefix = padPrefix(decrypted, prefixStart);
         }
+        let node = null;
+
+        // Process each bit position
+        for (let prefixLenBits = prefixStart; prefixLenBits < prefixEnd; prefixLenBits++) {
+            let cipherBit;
+            if (cacheEnabled) {
+                // Bits of the current byte past this position are still zero
+                // in decrypted, so the lookup only depends on the prefix
+                if (node === null || (prefixLenBits & 7) === 0) {
+                    node = cacheNode(decrypted, prefixLenBits & ~7);
+                }
+                cipherBit = cachedBit(node, decrypted, prefixLenBits);
+                if (cipherBit < 0) {
+                    cipherBit = prfBit(cipher1, cipher2, paddedPrefix);
+                    node[nodeSlot(decrypted, prefixLenBits)] = cipherBit;
+                }
+            } else {
+                cipherBit = prfBit(cipher1, cipher2, paddedPrefix);
+            }
+
+            // Extract the current bit from the encrypted IP
+            const currentBitPos = 127 - prefixLenBits;
+
+            // Set the bit in the decrypted result
+            const encryptedBit = getBit(encryptedBytes, currentBitPos);
+            const originalBit = cipherBit ^ encryptedBit;
+            setBit(decrypted, currentBitPos, originalBit);
+
+            // Prepare padded_prefix for next iteration
+            // Shift left by 1 bit and insert the next bit from decrypted
+            paddedPrefix = shiftLeftOneBit(paddedPrefix);
+            setBit(paddedPrefix, 0, originalBit);
+        }
+
+        return decrypted;
+    }
 
-        // We only need the least significant bit of byte 15
-        const cipherBit = e[15] & 1;
+    /**
+     * Encrypt a 16-byte address, handling transition addresses if enabled.
+     * @param {Uint8Array} bytes16 - 16-byte original address
+     * @returns {Uint8Array} 16-byte encrypted address
+     */
+    function encryptFull(bytes16) {
+        const format = transition ? getTransitionFormat(bytes16) : null;
+        if (format === null) {
+            let encrypted = encryptAddress(bytes16);
+            // Keep the transition ranges for transition addresses
+            while (transition && getTransitionFormat(encrypted) !== null) {
+                encrypted = encryptAddress(encrypted);
+            }
+            return encrypted;
+        }
 
-        // Extract the current bit from the original IP
-        const currentBitPos = 127 - prefixLenBits;
+        // The transition prefix and the embedded addresses are kept at
+        // first, then the embedded addresses are replaced with their
+        // encryption as native IPv4 addresses
+        const encrypted = encryptAddress(bytes16, 128, Math.max(format.tailStart, startV6));
+        for (const slot of format.embedded) {
+            const ipv4 = encryptAddress(toBytes16(getEmbeddedIPv4(bytes16, slot)));
+            setEmbeddedIPv4(encrypted, slot, ipv4.subarray(12));
+        }
+        return encrypted;
+    }
 
-        // Set the bit in the encrypted result
-        const originalBit = getBit(bytes16, currentBitPos);
-        setBit(encrypted, currentBitPos, cipherBit ^ originalBit);
+    /**
+     * Decrypt a 16-byte address, handling transition addresses if enabled.
+     * @param {Uint8Array} encryptedBytes - 16-byte encrypted address
+     * @returns {Uint8Array} 16-byte original address
+     */
+    function decryptFull(encryptedBytes) {
+        const format = transition ? getTransitionFormat(encryptedBytes) : null;
+        if (format === null) {
+            let decrypted = decryptAddress(encryptedBytes);
+            while (transition && getTransitionFormat(decrypted) !== null) {
+                decrypted = decryptAddress(decrypted);
+            }
+            return decrypted;
+        }
 
-        // Prepare padded_prefix for next iteration
-        // Shift left by 1 bit and insert the next bit from bytes16
-        paddedPrefix = shiftLeftOneBit(paddedPrefix);
-        setBit(paddedPrefix, 0, originalBit);
+        // Restore the embedded addresses first: the remaining bits were
+        // encrypted with the original ones as their prefix
+        const partial = encryptedBytes.slice();
+        for (const slot of format.embedded) {
+            const ipv4 = decryptAddress(toBytes16(getEmbeddedIPv4(encryptedBytes, slot)));
+            setEmbeddedIPv4(partial, slot, ipv4.subarray(12));
+        }
+        return decryptAddress(partial, 128, Math.max(format.tailStart, startV6));
     }
 
-    return bytesToIp(encrypted);
+    const context = {
+        encrypt(ip) {
+            return bytesToIp(encryptFull(ipToBytes(ip)), format);
+        },
+        decrypt(encryptedIp) {
+            return bytesToIp(decryptFull(ipToBytes(encryptedIp)), format);
+        },
+        encryptBytes(bytes) {
+            // IPv4 addresses encrypt to IPv4 addresses, so 4-byte inputs give 4-byte outputs
+            const encrypted = encryptFull(toBytes16(bytes));
+            return bytes.length === 4 ? encrypted.slice(12) : encrypted;
+        },
+        decryptBytes(bytes) {
+            const decrypted = decryptFull(toBytes16(bytes));
+            return bytes.length === 4 ? decrypted.slice(12) : decrypted;
+        },
+        encryptPrefix(cidr) {
+            const { bytes, prefixLenBits } = parseCidr(cidr);
+            return formatCidr(encryptAddress(bytes, prefixLenBits), prefixLenBits, format);
+        },
+        decryptPrefix(encryptedCidr) {
+            const { bytes, prefixLenBits } = parseCidr(encryptedCidr);
+            return formatCidr(decryptAddress(bytes, prefixLenBits), prefixLenBits, format);
+        },
+        encryptMany(ips) {
+            if (isPacked(ips)) {
+                return mapRecords(ips, 16, 16, bytes16 => encryptFull(bytes16));
+            }
+            return ips.map(ip => context.encrypt(ip));
+        },
+        decryptMany(encryptedIps) {
+            if (isPacked(encryptedIps)) {
+                return mapRecords(encryptedIps, 16, 16, bytes16 => decryptFull(bytes16));
+            }
+            return encryptedIps.map(encryptedIp => context.decrypt(encryptedIp));
+        },
+        cacheStats() {
+            return { hits, misses, size: cache.size(), capacity: cache.capacity };
+        },
+        clearCache() {
+            cache.clear();
+            hits = 0;
+            misses = 0;
+        }
+    };
+
+    return context;
+}
+
+/**
+ * Encrypt an IP address using ipcrypt-pfx.
+ * Use createContext() instead when encrypting many addresses with the same key.
+ * @param {string} ip - IP address string (IPv4 or IPv6)
+ * @param {Uint8Array} key - 32-byte encryption key
+ * @returns {string} Encrypted IP address string
+ * @throws {Error} If key is invalid or halves are identical
+ */
+export function encrypt(ip, key) {
+    return createContext(key).encrypt(ip);
 }
 
 /**
@@ -207,72 +577,76 @@ export function encrypt(ip, key) {
  * @throws {Error} If key is invalid or halves are identical
  */
 export function decrypt(encryptedIp, key) {
-    if (!(key instanceof Uint8Array) || key.length !== 32) {
-        throw new Error('Key must be 32 bytes');
-    }
-
-    // Split the key into two AES-128 keys
-    const K1 = key.slice(0, 16);
-    const K2 = key.slice(16, 32);
-
-    // Check that K1 and K2 are different
-    if (K1.every((byte, i) => byte === K2[i])) {
-        throw new Error('The two halves of the key must be different');
-    }
-
-    // Convert encrypted IP to 16-byte representation
-    const encryptedBytes = ipToBytes(encryptedIp);
-
-    // Initialize decrypted result with zeros
-    const decrypted = new Uint8Array(16);
-
-    // Determine starting point
-    const ipv4 = isIPv4(encryptedBytes);
-    const prefixStart = ipv4 ? 96 : 0;
-
-    // If IPv4, copy the IPv4-mapped prefix
-    if (ipv4) {
-        decrypted.set(encryptedBytes.slice(0, 12), 0);
-    }
-
-    // No need to create cipher objects - we'll use aesEncrypt directly
-
-    // Initialize padded_prefix for the starting prefix length
-    let paddedPrefix;
-    if (prefixStart === 0) {
-        paddedPrefix = padPrefix0();
-    } else {
-        paddedPrefix = padPrefix96();
-    }
-
-    // Process each bit position
-    for (let prefixLenBits = prefixStart; prefixLenBits < 128; prefixLenBits++) {
-        // Compute pseudorandom function with dual AES encryption
-        const e1 = aesEncrypt(K1, paddedPrefix);
-        const e2 = aesEncrypt(K2, paddedPrefix);
+    return createContext(key).decrypt(encryptedIp);
+}
 
-        // XOR the two encryptions
-        const e = new Uint8Array(16);
-        for (let i = 0; i < 16; i++) {
-            e[i] = e1[i] ^ e2[i];
-        }
+/**
+ * Encrypt a binary IP address using ipcrypt-pfx, without string conversions.
+ * @param {Uint8Array} bytes - 16-byte address, or 4-byte IPv4 address
+ * @param {Uint8Array} key - 32-byte encryption key
+ * @returns {Uint8Array} Encrypted address, of the same length as the input
+ * @throws {Error} If inputs are invalid or key halves are identical
+ */
+export function encryptBytes(bytes, key) {
+    return createContext(key).encryptBytes(bytes);
+}
 
-        // We only need the least significant bit of byte 15
-        const cipherBit = e[15] & 1;
+/**
+ * Decrypt a binary IP address using ipcrypt-pfx, without string conversions.
+ * @param {Uint8Array} bytes - 16-byte encrypted address, or 4-byte encrypted IPv4 address
+ * @param {Uint8Array} key - 32-byte encryption key
+ * @returns {Uint8Array} Decrypted address, of the same length as the input
+ * @throws {Error} If inputs are invalid or key halves are identical
+ */
+export function decryptBytes(bytes, key) {
+    return createContext(key).decryptBytes(bytes);
+}
 
-        // Extract the current bit from the encrypted IP
-        const currentBitPos = 127 - prefixLenBits;
+/**
+ * Encrypt a network prefix using ipcrypt-pfx.
+ * Only the first N bits of the network are encrypted, so the result is the
+ * network that contains the encrypted form of every address of the input
+ * network: encryptPrefix('10.1.0.0/16') contains encrypt('10.1.2.3').
+ * Host bits of the input are ignored, and cleared in the output.
+ * @param {string} cidr - Network in CIDR notation (e.g. 10.1.0.0/16 or 2001:db8::/48)
+ * @param {Uint8Array} key - 32-byte encryption key
+ * @returns {string} Encrypted network in CIDR notation, with the same prefix length
+ * @throws {Error} If the CIDR string or the key is invalid
+ */
+export function encryptPrefix(cidr, key) {
+    return createContext(key).encryptPrefix(cidr);
+}
 
-        // Set the bit in the decrypted result
-        const encryptedBit = getBit(encryptedBytes, currentBitPos);
-        const originalBit = cipherBit ^ encryptedBit;
-        setBit(decrypted, currentBitPos, originalBit);
+/**
+ * Decrypt a network prefix encrypted with encryptPrefix().
+ * @param {string} encryptedCidr - Encrypted network in CIDR notation
+ * @param {Uint8Array} key - 32-byte encryption key
+ * @returns {string} Original network in CIDR notation
+ * @throws {Error} If the CIDR string or the key is invalid
+ */
+export function decryptPrefix(encryptedCidr, key) {
+    return createContext(key).decryptPrefix(encryptedCidr);
+}
 
-        // Prepare padded_prefix for next iteration
-        // Shift left by 1 bit and insert the next bit from decrypted
-        paddedPrefix = shiftLeftOneBit(paddedPrefix);
-        setBit(paddedPrefix, 0, originalBit);
-    }
+/**
+ * Encrypt a batch of IP addresses using ipcrypt-pfx.
+ * The key is validated and expanded once for the whole batch.
+ * @param {string[]|Uint8Array} ips - Array of IP addresses, or packed N×16-byte addresses
+ * @param {Uint8Array} key - 32-byte encryption key
+ * @returns {string[]|Uint8Array} Encrypted addresses, in the same shape as the input
+ * @throws {Error} If key is invalid or halves are identical
+ */
+export function encryptMany(ips, key) {
+    return createContext(key).encryptMany(ips);
+}
 
-    return bytesToIp(decrypted);
-}
\ No newline at end of file
+/**
+ * Decrypt a batch of IP addresses using ipcrypt-pfx.
+ * @param {string[]|Uint8Array} encryptedIps - Array of encrypted addresses, or packed N×16-byte addresses
+ * @param {Uint8Array} key - 32-byte encryption key
+ * @returns {string[]|Uint8Array} Decrypted addresses, in the same shape as the input
+ * @throws {Error} If key is invalid or halves are identical
+ */
+export function decryptMany(encryptedIps, key) {
+    return createContext(key).decryptMany(encryptedIps);
+}
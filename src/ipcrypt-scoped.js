@@ -0,0 +1,273 @@
+import { ipToBytes, bytesToIp, toBytes16, checkFormatOptions } from './utils.js';
+import { createBlockCipher } from './core/backends.js';
+import { isPacked, mapRecords } from './batch.js';
+import { createFeistel, getBitRange, setBitRange, MAX_TWEAK_SIZE } from './fpe.js';
+
+/**
+ * Scoped format-preserving encryption.
+ *
+ * Only a range of bits of each address is encrypted, by default the
+ * interface identifier (low 64 bits) of IPv6 addresses, so encrypted
+ * addresses stay within the networks of the originals. IPv4 addresses have
+ * their own range, by default the whole address.
+ *
+ * The range is encrypted with a Feistel permutation (see fpe.js), tweaked by
+ * the bits outside of it: the same interface identifier encrypts differently
+ * under different prefixes, so hosts cannot be followed across networks.
+ * Subkeys are derived from the key and the range, so different ranges give
+ * independent permutations.
+ */
+
+const SUBKEY_LABEL = 'ipcrypt scope';
+const FPE_SUBKEY = 1;
+const TWEAK_SUBKEY = 2;
+
+/**
+ * Check if IP address is IPv4 based on 16-byte representation.
+ * @param {Uint8Array} bytes16 - 16-byte IP representation
+ * @returns {boolean} True if IPv4
+ */
+function isIPv4(bytes16) {
+    return bytes16.slice(0, 10).every(b => b === 0) &&
+        bytes16[10] === 0xff && bytes16[11] === 0xff;
+}
+
+/**
+ * Checks a bit range given as [start, end].
+ * @param {number[]|undefined} range - Range, or undefined for the default
+ * @param {number[]} defaultRange - Default range
+ * @param {number} size - Address size in bits
+ * @param {string} name - Option name, for error messages
+ * @returns {number[]} The range
+ * @throws {Error} If the range is not within the address, or narrower than 8 bits
+ */
+function checkRange(range, defaultRange, size, name) {
+    if (range === undefined) {
+        return defaultRange;
+    }
+    if (!Array.isArray(range) || range.length !== 2 || !range.every(Number.isInteger) ||
+        range[0] < 0 || range[1] > size || range[1] - range[0] < 8) {
+        throw new Error(`${name} must be [start, end] with 0 <= start, end <= ${size} and at least 8 bits`);
+    }
+    return range;
+}
+
+/**
+ * Creates the permutation of a bit range of 16-byte addresses.
+ * @param {import('./core/backends.js').BlockCipher} cipher - Cipher of the main key
+ * @param {number} start - First encrypted bit of the 16-byte representation
+ * @param {number} end - Bit after the last encrypted one
+ * @param {string|Object} [backend] - AES backend
+ * @returns {{encrypt: function(Uint8Array): Uint8Array, decrypt: function(Uint8Array): Uint8Array}}
+ *     Permutation of 16-byte addresses, changing only the bits of the range
+ */
+function createScope(cipher, start, end, backend) {
+    const subkey = kind => {
+        const block = new Uint8Array(16);
+        block.set(new TextEncoder().encode(SUBKEY_LABEL));
+        block.set([kind, start, end], 13);
+        return createBlockCipher(cipher.encrypt(block), backend);
+    };
+    const feistel = createFeistel(subkey(FPE_SUBKEY), end - start);
+    const tweakCipher = subkey(TWEAK_SUBKEY);
+
+    /**
+     * Derives the tweak from the bits outside of the range.
+     * @param {Uint8Array} bytes16 - 16-byte address
+     * @returns {Uint8Array} Tweak
+     */
+    function tweakOf(bytes16) {
+        const outside = bytes16.slice();
+        setBitRange(outside, start, end, 0n);
+        return tweakCipher.encrypt(outside).slice(0, MAX_TWEAK_SIZE);
+    }
+
+    return {
+        encrypt(bytes16) {
+            const encrypted = bytes16.slice();
+            setBitRange(encrypted, start, end, feistel.encrypt(getBitRange(bytes16, start, end), tweakOf(bytes16)));
+            return encrypted;
+        },
+        decrypt(bytes16) {
+            const decrypted = bytes16.slice();
+            setBitRange(decrypted, start, end, feistel.decrypt(getBitRange(bytes16, start, end), tweakOf(bytes16)));
+            return decrypted;
+        }
+    };
+}
+
+/**
+ * Creates a reusable scoped encryption context for a single key.
+ *
+ * Ranges are given in bits of the address, from the most significant bit:
+ * [64, 128] is the interface identifier of an IPv6 address, [16, 32] the
+ * last two bytes of an IPv4 address.
+ *
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @param {Object} [options] - Context options
+ * @param {string|Object} [options.backend] - AES backend ('auto', 'native', 'ttable',
+ *     'reference', 'constant-time'); defaults to the global default
+ * @param {number[]} [options.range=[64, 128]] - Bits of IPv6 addresses to encrypt, as [start, end]
+ * @param {number[]} [options.ipv4Range=[0, 32]] - Bits of IPv4 addresses to encrypt, as [start, end]
+ * @param {Object} [options.format] - Formatting of the returned addresses (see bytesToIp()):
+ *     format, uppercase, mixed and keepMapped
+ * @returns {{encrypt: function(string): string, decrypt: function(string): string,
+ *     encryptMany: function((string[]|Uint8Array)): (string[]|Uint8Array),
+ *     decryptMany: function((string[]|Uint8Array)): (string[]|Uint8Array),
+ *     encryptBytes: function(Uint8Array): Uint8Array, decryptBytes: function(Uint8Array): Uint8Array}}
+ *     Context with encrypt/decrypt methods bound to the key
+ * @throws {Error} If the key, backend or a range is invalid
+ */
+export function createContext(key, options = {}) {
+    // Validate key
+    if (!(key instanceof Uint8Array) || key.length !== 16) {
+        throw new Error('Key must be a 16-byte Uint8Array');
+    }
+    const [start6, end6] = checkRange(options.range, [64, 128], 128, 'range');
+    const [start4, end4] = checkRange(options.ipv4Range, [0, 32], 32, 'ipv4Range');
+
+    const cipher = createBlockCipher(key, options.backend);
+    const ipv6Scope = createScope(cipher, start6, end6, options.backend);
+    const ipv4Scope = createScope(cipher, 96 + start4, 96 + end4, options.backend);
+    const format = checkFormatOptions(options.format);
+
+    /**
+     * Encrypts a 16-byte address.
+     * @param {Uint8Array} bytes16 - 16-byte original address
+     * @returns {Uint8Array} 16-byte encrypted address
+     */
+    function encryptAddress(bytes16) {
+        if (isIPv4(bytes16)) {
+            return ipv4Scope.encrypt(bytes16);
+        }
+        // A range covering the first 96 bits could turn an IPv6 address
+        // into an IPv4-mapped one; encrypt again until it doesn't
+        let encrypted = ipv6Scope.encrypt(bytes16);
+        while (isIPv4(encrypted)) {
+            encrypted = ipv6Scope.encrypt(encrypted);
+        }
+        return encrypted;
+    }
+
+    /**
+     * Decrypts a 16-byte address.
+     * @param {Uint8Array} encryptedBytes - 16-byte encrypted address
+     * @returns {Uint8Array} 16-byte original address
+     */
+    function decryptAddress(encryptedBytes) {
+        if (isIPv4(encryptedBytes)) {
+            return ipv4Scope.decrypt(encryptedBytes);
+        }
+        let decrypted = ipv6Scope.decrypt(encryptedBytes);
+        while (isIPv4(decrypted)) {
+            decrypted = ipv6Scope.decrypt(decrypted);
+        }
+        return decrypted;
+    }
+
+    const context = {
+        encrypt(ip) {
+            return bytesToIp(encryptAddress(ipToBytes(ip)), format);
+        },
+        decrypt(encryptedIp) {
+            return bytesToIp(decryptAddress(ipToBytes(encryptedIp)), format);
+        },
+        encryptBytes(bytes) {
+            // IPv4 addresses encrypt to IPv4 addresses, so 4-byte inputs give 4-byte outputs
+            const encrypted = encryptAddress(toBytes16(bytes));
+            return bytes.length === 4 ? encrypted.slice(12) : encrypted;
+        },
+        decryptBytes(bytes) {
+            const decrypted = decryptAddress(toBytes16(bytes));
+            return bytes.length === 4 ? decrypted.slice(12) : decrypted;
+        },
+        encryptMany(ips) {
+            if (isPacked(ips)) {
+                return mapRecords(ips, 16, 16, bytes16 => encryptAddress(bytes16));
+            }
+            return ips.map(ip => context.encrypt(ip));
+        },
+        decryptMany(encryptedIps) {
+            if (isPacked(encryptedIps)) {
+                return mapRecords(encryptedIps, 16, 16, bytes16 => decryptAddress(bytes16));
+            }
+            return encryptedIps.map(encryptedIp => context.decrypt(encryptedIp));
+        }
+    };
+
+    return context;
+}
+
+/**
+ * Encrypts the interface identifier of an IPv6 address, or a whole IPv4
+ * address. Use createContext() to choose the ranges, or when encrypting many
+ * addresses with the same key.
+ *
+ * @param {string} ip - IP address to encrypt (IPv4 or IPv6)
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @returns {string} Encrypted IP address, with the same bits outside of the range
+ * @throws {Error} If inputs are invalid
+ */
+export function encrypt(ip, key) {
+    return createContext(key).encrypt(ip);
+}
+
+/**
+ * Decrypts an IP address encrypted with encrypt().
+ *
+ * @param {string} encryptedIp - Encrypted IP address
+ * @param {Uint8Array} key - 16-byte encryption key (must be same as encryption)
+ * @returns {string} Decrypted IP address
+ * @throws {Error} If inputs are invalid
+ */
+export function decrypt(encryptedIp, key) {
+    return createContext(key).decrypt(encryptedIp);
+}
+
+/**
+ * Encrypts a binary IP address, without converting it to and from a string.
+ *
+ * @param {Uint8Array} bytes - 16-byte address, or 4-byte IPv4 address
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @returns {Uint8Array} Encrypted address, of the same length as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function encryptBytes(bytes, key) {
+    return createContext(key).encryptBytes(bytes);
+}
+
+/**
+ * Decrypts a binary IP address encrypted with encryptBytes().
+ *
+ * @param {Uint8Array} bytes - 16-byte encrypted address, or 4-byte encrypted IPv4 address
+ * @param {Uint8Array} key - 16-byte encryption key (must be same as encryption)
+ * @returns {Uint8Array} Decrypted address, of the same length as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function decryptBytes(bytes, key) {
+    return createContext(key).decryptBytes(bytes);
+}
+
+/**
+ * Encrypts a batch of IP addresses. The key is expanded once for the whole batch.
+ *
+ * @param {string[]|Uint8Array} ips - Array of IP addresses, or packed N×16-byte addresses
+ * @param {Uint8Array} key - 16-byte encryption key
+ * @returns {string[]|Uint8Array} Encrypted addresses, in the same shape as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function encryptMany(ips, key) {
+    return createContext(key).encryptMany(ips);
+}
+
+/**
+ * Decrypts a batch of IP addresses encrypted with encryptMany().
+ *
+ * @param {string[]|Uint8Array} encryptedIps - Array of encrypted addresses, or packed N×16-byte addresses
+ * @param {Uint8Array} key - 16-byte encryption key (must be same as encryption)
+ * @returns {string[]|Uint8Array} Decrypted addresses, in the same shape as the input
+ * @throws {Error} If inputs are invalid
+ */
+export function decryptMany(encryptedIps, key) {
+    return createContext(key).decryptMany(encryptedIps);
+}
@@ -0,0 +1,204 @@
+import { nodeCrypto } from '#platform';
+import { getMode } from './modes.js';
+import { hmacSha256 } from './core/hmac.js';
+import { pbkdf2Sha256 } from './core/pbkdf2.js';
+import { scrypt } from './core/scrypt.js';
+
+/**
+ * Key derivation for every mode.
+ *
+ * Keys are derived from a master secret with HKDF-SHA256 (RFC 5869), or from
+ * a passphrase and a salt with scrypt or PBKDF2-SHA256 followed by HKDF.
+ * The HKDF info string names the mode, so the keys of different modes
+ * derived from the same secret are independent, and an optional context
+ * string separates keys of the same mode (per tenant, per month, ...).
+ *
+ * Derived keys always have the size the mode expects; prefix-preserving
+ * keys are guaranteed to have distinct halves.
+ *
+ * scrypt and PBKDF2 run on node:crypto when it is available, and on the
+ * portable implementations from core/ elsewhere; both give the same keys.
+ */
+
+const HASH_SIZE = 32;
+const MIN_SECRET_SIZE = 16;
+const MIN_SALT_SIZE = 8;
+
+/**
+ * Default passphrase hardening parameters.
+ * @type {{scrypt: {N: number, r: number, p: number}, pbkdf2: {iterations: number}}}
+ */
+export const PASSPHRASE_DEFAULTS = {
+    scrypt: { N: 1 << 15, r: 8, p: 1 },
+    pbkdf2: { iterations: 600000 }
+};
+
+/**
+ * Converts a secret given as a string (UTF-8) or bytes to bytes.
+ *
+ * @param {Uint8Array|string} value - Secret
+ * @param {string} name - Name used in error messages
+ * @returns {Uint8Array} Secret bytes
+ * @throws {Error} If the value is neither a string nor a Uint8Array
+ */
+function toBytes(value, name) {
+    if (typeof value === 'string') {
+        return new TextEncoder().encode(value);
+    }
+    if (!(value instanceof Uint8Array)) {
+        throw new Error(`${name} must be a string or a Uint8Array`);
+    }
+    return value;
+}
+
+/**
+ * HKDF-SHA256 (RFC 5869): extracts a pseudorandom key from input keying
+ * material and a salt, and expands it into output keying material bound
+ * to an info string.
+ *
+ * @param {Uint8Array|string} ikm - Input keying material
+ * @param {Uint8Array|string} salt - Salt; may be empty
+ * @param {Uint8Array|string} info - Context and application specific information
+ * @param {number} length - Output size in bytes, at most 8160
+ * @returns {Uint8Array} Output keying material
+ * @throws {Error} If an input has the wrong type or the length is out of range
+ */
+export function hkdf(ikm, salt, info, length) {
+    if (!Number.isInteger(length) || length < 1 || length > 255 * HASH_SIZE) {
+        throw new Error(`Length must be an integer between 1 and ${255 * HASH_SIZE}`);
+    }
+    const saltBytes = toBytes(salt, 'Salt');
+    const infoBytes = toBytes(info, 'Info');
+
+    // Extract; an empty salt stands for a block of zeros
+    const prk = hmacSha256(saltBytes.length > 0 ? saltBytes : new Uint8Array(HASH_SIZE), toBytes(ikm, 'Input keying material'));
+
+    // Expand
+    const okm = new Uint8Array(length);
+    let block = new Uint8Array(0);
+    for (let i = 0, offset = 0; offset < length; i++) {
+        block = hmacSha256(prk, block, infoBytes, new Uint8Array([i + 1]));
+        okm.set(block.subarray(0, Math.min(HASH_SIZE, length - offset)), offset);
+        offset += HASH_SIZE;
+    }
+    return okm;
+}
+
+/**
+ * Expands keying material into a key for a mode.
+ *
+ * @param {Uint8Array} ikm - Input keying material
+ * @param {Uint8Array|string} salt - HKDF salt
+ * @param {string} mode - Mode name
+ * @param {string} context - Optional context string, appended to the info
+ * @returns {Uint8Array} Key for the mode
+ */
+function expandModeKey(ikm, salt, mode, context) {
+    const { keySize } = getMode(mode);
+    const info = context ? `ipcrypt ${mode} key ${context}` : `ipcrypt ${mode} key`;
+
+    // The two halves of a prefix-preserving key must differ. This virtually
+    // never happens by chance, but retrying with a counter keeps the
+    // derivation deterministic and total.
+    for (let attempt = 0; ; attempt++) {
+        const key = hkdf(ikm, salt, attempt === 0 ? info : `${info} #${attempt}`, keySize);
+        if (mode !== 'pfx' || key.subarray(0, 16).some((b, i) => b !== key[16 + i])) {
+            return key;
+        }
+    }
+}
+
+/**
+ * Derives a key for a mode from a high-entropy master secret with HKDF-SHA256.
+ * Different modes and contexts give independent keys.
+ *
+ * @param {string} mode - Mode name: 'deterministic', 'nd', 'ndx', 'pfx', 'deterministic-v4' or 'scoped'
+ * @param {Uint8Array|string} secret - Master secret, at least 16 bytes
+ * @param {Object} [options] - Derivation options
+ * @param {string} [options.context=''] - Context string separating keys of the same mode
+ * @param {Uint8Array|string} [options.salt] - Optional HKDF salt
+ * @returns {Uint8Array} Key of the size the mode expects
+ * @throws {Error} If the mode is unknown or the secret is too short
+ */
+export function deriveKey(mode, secret, options = {}) {
+    getMode(mode);
+    const { context = '', salt = new Uint8Array(0) } = options;
+    const ikm = toBytes(secret, 'Secret');
+    if (ikm.length < MIN_SECRET_SIZE) {
+        throw new Error(`Secret must be at least ${MIN_SECRET_SIZE} bytes`);
+    }
+    return expandModeKey(ikm, salt, mode, context);
+}
+
+/**
+ * Copies the defined properties of an object among the given names.
+ *
+ * @param {Object} object - Source object
+ * @param {string[]} names - Property names
+ * @returns {Object} Object with the defined properties
+ */
+function pick(object, names) {
+    const picked = {};
+    for (const name of names) {
+        if (object[name] !== undefined) {
+            picked[name] = object[name];
+        }
+    }
+    return picked;
+}
+
+/**
+ * Derives a key for a mode from a passphrase and a salt.
+ * The passphrase is hardened with scrypt (default) or PBKDF2-SHA256, and the
+ * result expanded with HKDF-SHA256 like deriveKey().
+ *
+ * @param {string} mode - Mode name: 'deterministic', 'nd', 'ndx', 'pfx', 'deterministic-v4' or 'scoped'
+ * @param {Uint8Array|string} passphrase - Passphrase
+ * @param {Object} options - Derivation options
+ * @param {Uint8Array|string} options.salt - Salt, at least 8 bytes; use a random, stored value
+ * @param {string} [options.algorithm='scrypt'] - 'scrypt' or 'pbkdf2'
+ * @param {number} [options.N] - scrypt cost parameter (default: 2^15)
+ * @param {number} [options.r] - scrypt block size (default: 8)
+ * @param {number} [options.p] - scrypt parallelization (default: 1)
+ * @param {number} [options.iterations] - PBKDF2 iterations (default: 600000)
+ * @param {string} [options.context=''] - Context string separating keys of the same mode
+ * @returns {Uint8Array} Key of the size the mode expects
+ * @throws {Error} If the mode or algorithm is unknown, or an input is invalid
+ */
+export function deriveKeyFromPassphrase(mode, passphrase, options = {}) {
+    getMode(mode);
+    const { algorithm = 'scrypt', context = '' } = options;
+    const password = toBytes(passphrase, 'Passphrase');
+    if (password.length === 0) {
+        throw new Error('Passphrase must not be empty');
+    }
+    if (options.salt === undefined) {
+        throw new Error('A salt is required to derive a key from a passphrase');
+    }
+    const salt = toBytes(options.salt, 'Salt');
+    if (salt.length < MIN_SALT_SIZE) {
+        throw new Error(`Salt must be at least ${MIN_SALT_SIZE} bytes`);
+    }
+
+    let hardened;
+    switch (algorithm) {
+    case 'scrypt': {
+        const { N, r, p } = { ...PASSPHRASE_DEFAULTS.scrypt, ...pick(options, ['N', 'r', 'p']) };
+        hardened = nodeCrypto ?
+            nodeCrypto.scryptSync(password, salt, HASH_SIZE, { N, r, p, maxmem: 256 * N * r }) :
+            scrypt(password, salt, HASH_SIZE, { N, r, p });
+        break;
+    }
+    case 'pbkdf2': {
+        const { iterations } = { ...PASSPHRASE_DEFAULTS.pbkdf2, ...pick(options, ['iterations']) };
+        hardened = nodeCrypto ?
+            nodeCrypto.pbkdf2Sync(password, salt, iterations, HASH_SIZE, 'sha256') :
+            pbkdf2Sha256(password, salt, iterations, HASH_SIZE);
+        break;
+    }
+    default:
+        throw new Error(`Unknown passphrase algorithm: ${algorithm} (expected scrypt or pbkdf2)`);
+    }
+
+    return expandModeKey(new Uint8Array(hardened), new Uint8Array(0), mode, context);
+}
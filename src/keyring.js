@@ -0,0 +1,174 @@
+import { getMode } from './modes.js';
+import { getKeyId, encryptEnvelope, decryptEnvelope, isEnvelope } from './envelope.js';
+import { validateKey } from './keys.js';
+
+/**
+ * Keyrings hold named keys per mode, one of which is current for each mode.
+ *
+ * The current key encrypts; all keys, current and retired, remain available
+ * to decrypt envelopes, which record the ID of the key they were made with.
+ * Raw ciphertexts carry no key ID, so they are always decrypted with the
+ * current key: store envelopes to be able to decrypt after a rotation.
+ */
+
+// Objects created by createKeyring()
+const keyrings = new WeakSet();
+
+/**
+ * Checks whether a value is a keyring created by createKeyring().
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a keyring
+ */
+export function isKeyring(value) {
+    return typeof value === 'object' && value !== null && keyrings.has(value);
+}
+
+/**
+ * Creates an empty keyring.
+ *
+ * @returns {{add: function(string, string, Uint8Array, Object=): void,
+ *     rotate: function(string, string, Uint8Array): void,
+ *     setCurrent: function(string, string): void, remove: function(string, string): void,
+ *     getKey: function(string, string=): Uint8Array, findKey: function(string, string): (Uint8Array|undefined),
+ *     list: function(string=): Array<{mode: string, name: string, keyId: string, current: boolean}>,
+ *     encrypt: function(string, string): Uint8Array, decrypt: function(Uint8Array): string}}
+ *     Keyring
+ */
+export function createKeyring() {
+    // mode -> { current: name, keys: Map(name -> { key, keyId }) }
+    const modes = new Map();
+
+    /**
+     * Returns the keys of a mode, creating the entry if needed.
+     * @param {string} mode - Mode name
+     * @returns {{current: (string|null), keys: Map<string, {key: Uint8Array, keyId: string}>}} Mode entry
+     */
+    function entryFor(mode) {
+        getMode(mode);
+        if (!modes.has(mode)) {
+            modes.set(mode, { current: null, keys: new Map() });
+        }
+        return modes.get(mode);
+    }
+
+    /**
+     * Returns a named key of a mode.
+     * @param {string} mode - Mode name
+     * @param {string} name - Key name
+     * @returns {{key: Uint8Array, keyId: string}} Key entry
+     * @throws {Error} If the keyring has no such key
+     */
+    function keyEntry(mode, name) {
+        const entry = entryFor(mode).keys.get(name);
+        if (!entry) {
+            throw new Error(`No ${mode} key named '${name}' in the keyring`);
+        }
+        return entry;
+    }
+
+    const keyring = {
+        add(mode, name, key, options = {}) {
+            if (typeof name !== 'string' || name === '') {
+                throw new Error('Key name must be a non-empty string');
+            }
+            validateKey(mode, key);
+            const keyId = getKeyId(mode, key);
+            const entry = entryFor(mode);
+            if (entry.keys.has(name)) {
+                throw new Error(`The keyring already has a ${mode} key named '${name}'`);
+            }
+
+            // Key IDs must identify keys unambiguously within a mode
+            for (const [other, { keyId: otherId }] of entry.keys) {
+                if (otherId === keyId) {
+                    throw new Error(`Key '${name}' has the same ID as ${mode} key '${other}'`);
+                }
+            }
+
+            entry.keys.set(name, { key: key.slice(), keyId });
+            if (entry.current === null || options.current) {
+                entry.current = name;
+            }
+        },
+        rotate(mode, name, key) {
+            keyring.add(mode, name, key, { current: true });
+        },
+        setCurrent(mode, name) {
+            keyEntry(mode, name);
+            entryFor(mode).current = name;
+        },
+        remove(mode, name) {
+            keyEntry(mode, name);
+            const entry = entryFor(mode);
+            if (entry.current === name) {
+                throw new Error(`Cannot remove the current ${mode} key '${name}'`);
+            }
+            entry.keys.delete(name);
+        },
+        getKey(mode, name) {
+            if (name === undefined) {
+                name = entryFor(mode).current;
+                if (name === null) {
+                    throw new Error(`No ${mode} key in the keyring`);
+                }
+            }
+            return keyEntry(mode, name).key;
+        },
+        findKey(mode, keyId) {
+            for (const entry of entryFor(mode).keys.values()) {
+                if (entry.keyId === keyId) {
+                    return entry.key;
+                }
+            }
+            return undefined;
+        },
+        list(mode) {
+            const list = [];
+            for (const [modeName, entry] of modes) {
+                if (mode !== undefined && modeName !== mode) {
+                    continue;
+                }
+                for (const [name, { keyId }] of entry.keys) {
+                    list.push({ mode: modeName, name, keyId, current: entry.current === name });
+                }
+            }
+            return list;
+        },
+        encrypt(mode, ip) {
+            return encryptEnvelope(ip, mode, keyring.getKey(mode));
+        },
+        decrypt(envelope) {
+            return decryptEnvelope(envelope, keyring);
+        }
+    };
+
+    keyrings.add(keyring);
+    return keyring;
+}
+
+/**
+ * Wraps a function of a mode taking a key as its second argument, so that a
+ * keyring can be given instead of the key, standing for its current key for
+ * the mode.
+ *
+ * With `decrypt` set, the wrapped function is the mode's decrypt() and
+ * envelopes of the mode are also accepted; they are decrypted with the key
+ * they name, current or not.
+ *
+ * @param {string} mode - Mode name
+ * @param {function(*, Uint8Array, ...*): *} fn - Function to wrap
+ * @param {boolean} [decrypt=false] - Whether the function is the mode's decrypt()
+ * @returns {function(*, (Uint8Array|Object), ...*): *} Wrapped function
+ */
+export function acceptKeyring(mode, fn, decrypt = false) {
+    return (input, key, ...args) => {
+        if (!isKeyring(key)) {
+            return fn(input, key, ...args);
+        }
+        if (decrypt && isEnvelope(input, mode)) {
+            return decryptEnvelope(input, key);
+        }
+        return fn(input, key.getKey(mode), ...args);
+    };
+}
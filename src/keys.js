@@ -0,0 +1,157 @@
+import { randomBytes } from './utils.js';
+import { toHex, fromHex, toBase64, fromBase64 } from './encoding.js';
+import { getMode } from './modes.js';
+import { getKeyId } from './envelope.js';
+
+/**
+ * Key generation, validation and serialization.
+ *
+ * Keys can be exported as hex, base64, or a JWK-like object recording the
+ * mode and the key ID:
+ *
+ *   { "kty": "oct", "alg": "ipcrypt-pfx", "kid": "1a2b3c4d", "k": "<base64url>" }
+ *
+ * Imported and generated keys are validated, so that weak keys (all zeros,
+ * identical halves for the two-key modes) are never used by mistake.
+ */
+
+const KEY_FORMATS = ['hex', 'base64', 'jwk'];
+const JWK_ALG_PREFIX = 'ipcrypt-';
+
+/**
+ * Checks that a key is valid and not weak for a mode.
+ *
+ * @param {string} mode - Mode name: 'deterministic', 'nd', 'ndx', 'pfx', 'deterministic-v4' or 'scoped'
+ * @param {Uint8Array} key - Key to check
+ * @returns {Uint8Array} The key
+ * @throws {Error} If the key has the wrong type or size, is all zeros, or
+ *     has identical halves (ndx, pfx)
+ */
+export function validateKey(mode, key) {
+    const { keySize } = getMode(mode);
+    if (!(key instanceof Uint8Array) || key.length !== keySize) {
+        const got = key instanceof Uint8Array ? `${key.length} bytes` : typeof key;
+        throw new Error(`Key must be a ${keySize}-byte Uint8Array for the ${mode} mode, got ${got}`);
+    }
+    if (key.every(b => b === 0)) {
+        throw new Error(`Weak ${mode} key: all bytes are zero`);
+    }
+
+    // pfx and ndx keys are two AES keys; equal halves break prefix
+    // preservation and make XTS tweaks predictable
+    if (keySize === 32 && key.subarray(0, 16).every((b, i) => b === key[16 + i])) {
+        throw new Error(`Weak ${mode} key: the two 16-byte halves are identical`);
+    }
+    return key;
+}
+
+/**
+ * Generates a random key for a mode.
+ *
+ * @param {string} mode - Mode name: 'deterministic', 'nd', 'ndx', 'pfx', 'deterministic-v4' or 'scoped'
+ * @returns {Uint8Array} Key of the size the mode expects
+ * @throws {Error} If the mode is unknown
+ */
+export function generateKey(mode) {
+    const { keySize } = getMode(mode);
+    for (;;) {
+        const key = randomBytes(keySize);
+        try {
+            return validateKey(mode, key);
+        } catch (e) {
+            // Weak keys are astronomically unlikely; draw another one
+        }
+    }
+}
+
+/**
+ * Exports a key.
+ *
+ * @param {string} mode - Mode name: 'deterministic', 'nd', 'ndx', 'pfx', 'deterministic-v4' or 'scoped'
+ * @param {Uint8Array} key - Key to export
+ * @param {string} [format='hex'] - 'hex', 'base64' or 'jwk'
+ * @returns {string|{kty: string, alg: string, kid: string, k: string}} Hex or base64 string, or
+ *     JWK-like object (serializable with JSON.stringify())
+ * @throws {Error} If the format is unknown or the key is invalid
+ */
+export function exportKey(mode, key, format = 'hex') {
+    if (!KEY_FORMATS.includes(format)) {
+        throw new Error(`Unknown key format: ${format} (expected one of ${KEY_FORMATS.join(', ')})`);
+    }
+    validateKey(mode, key);
+    switch (format) {
+    case 'hex':
+        return toHex(key);
+    case 'base64':
+        return toBase64(key);
+    default:
+        return { kty: 'oct', alg: JWK_ALG_PREFIX + mode, kid: getKeyId(mode, key), k: toBase64(key, true) };
+    }
+}
+
+/**
+ * Imports a JWK-like key.
+ *
+ * @param {string} mode - Expected mode name
+ * @param {Object} jwk - JWK-like object
+ * @returns {Uint8Array} Key
+ * @throws {Error} If the object is malformed or is a key for another mode
+ */
+function importJwk(mode, jwk) {
+    if (jwk.kty !== 'oct' || typeof jwk.alg !== 'string' || !jwk.alg.startsWith(JWK_ALG_PREFIX) ||
+        typeof jwk.k !== 'string') {
+        throw new Error('Malformed JWK: expected kty "oct", alg "ipcrypt-<mode>" and k');
+    }
+    const keyMode = jwk.alg.slice(JWK_ALG_PREFIX.length);
+    if (keyMode !== mode) {
+        throw new Error(`Expected a ${mode} key, got a ${keyMode} key`);
+    }
+
+    let key;
+    try {
+        key = fromBase64(jwk.k);
+    } catch (e) {
+        throw new Error('Malformed JWK: k is not base64url');
+    }
+    validateKey(mode, key);
+    if (jwk.kid !== undefined && jwk.kid !== getKeyId(mode, key)) {
+        throw new Error(`JWK key ID ${jwk.kid} does not match the key`);
+    }
+    return key;
+}
+
+/**
+ * Imports a key exported with exportKey(). Hex and base64 strings are told
+ * apart by their length; JWK-like keys can be given as objects or as JSON.
+ *
+ * @param {string} mode - Mode name: 'deterministic', 'nd', 'ndx', 'pfx', 'deterministic-v4' or 'scoped'
+ * @param {string|Object} data - Hex or base64 string, JWK-like object, or its JSON serialization
+ * @returns {Uint8Array} Key
+ * @throws {Error} If the data is malformed, is a key for another mode, or the key is weak
+ */
+export function importKey(mode, data) {
+    const { keySize } = getMode(mode);
+
+    if (typeof data === 'string' && data.trim().startsWith('{')) {
+        try {
+            data = JSON.parse(data);
+        } catch (e) {
+            throw new Error('Malformed JWK: invalid JSON');
+        }
+    }
+    if (data !== null && typeof data === 'object') {
+        return importJwk(mode, data);
+    }
+    if (typeof data !== 'string') {
+        throw new Error('Key must be given as a string or a JWK-like object');
+    }
+
+    const text = data.trim();
+    let key;
+    try {
+        key = text.length === keySize * 2 ? fromHex(text) : fromBase64(text);
+    } catch (e) {
+        throw new Error(`Malformed ${mode} key: expected ${keySize} bytes as hex or base64`);
+    }
+    return validateKey(mode, key);
+}
@@ -0,0 +1,54 @@
+import * as det from './ipcrypt-deterministic.js';
+import * as detV4 from './ipcrypt-deterministic-v4.js';
+import * as nd from './ipcrypt-nd.js';
+import * as ndx from './ipcrypt-ndx.js';
+import * as pfx from './ipcrypt-pfx.js';
+import * as scoped from './ipcrypt-scoped.js';
+
+/**
+ * Registry of the encryption modes, shared by the modules that handle
+ * ciphertexts of any mode (envelopes, keyrings, the command-line tool).
+ *
+ * Each mode has a stable numeric identifier, used in serialized formats,
+ * its key size, the size of its binary output, whether that output is
+ * binary (as opposed to an IP address), and the module implementing it.
+ */
+export const MODES = {
+    deterministic: { name: 'deterministic', id: 1, keySize: 16, outputSize: 16, binary: false, module: det },
+    nd: { name: 'nd', id: 2, keySize: 16, outputSize: 24, binary: true, module: nd },
+    ndx: { name: 'ndx', id: 3, keySize: 32, outputSize: 32, binary: true, module: ndx },
+    pfx: { name: 'pfx', id: 4, keySize: 32, outputSize: 16, binary: false, module: pfx },
+    'deterministic-v4': { name: 'deterministic-v4', id: 5, keySize: 16, outputSize: 16, binary: false, module: detV4 },
+    scoped: { name: 'scoped', id: 6, keySize: 16, outputSize: 16, binary: false, module: scoped }
+};
+
+/**
+ * Returns the registry entry for a mode name.
+ *
+ * @param {string} name - Mode name: 'deterministic', 'nd', 'ndx', 'pfx', 'deterministic-v4' or 'scoped'
+ * @returns {{name: string, id: number, keySize: number, outputSize: number, binary: boolean, module: Object}}
+ *     Mode entry
+ * @throws {Error} If the mode is unknown
+ */
+export function getMode(name) {
+    if (!Object.prototype.hasOwnProperty.call(MODES, name)) {
+        throw new Error(`Unknown mode: ${name}`);
+    }
+    return MODES[name];
+}
+
+/**
+ * Returns the registry entry for a numeric mode identifier.
+ *
+ * @param {number} id - Mode identifier
+ * @returns {{name: string, id: number, keySize: number, outputSize: number, binary: boolean, module: Object}}
+ *     Mode entry
+ * @throws {Error} If no mode has this identifier
+ */
+export function getModeById(id) {
+    const mode = Object.values(MODES).find(entry => entry.id === id);
+    if (!mode) {
+        throw new Error(`Unknown mode identifier: ${id}`);
+    }
+    return mode;
+}
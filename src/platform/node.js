@@ -0,0 +1,16 @@
+import crypto from 'crypto';
+
+/**
+ * Platform bindings for Node.js and Bun, selected through the "#platform"
+ * import (see the "imports" field of package.json).
+ *
+ * node:crypto is only used where it is faster than the portable code
+ * (native AES, scrypt and PBKDF2), or as the random number generator of
+ * Node versions without globalThis.crypto.
+ */
+
+/**
+ * The node:crypto module.
+ * @type {typeof import('crypto')|null}
+ */
+export const nodeCrypto = crypto;
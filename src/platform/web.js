@@ -0,0 +1,14 @@
+/**
+ * Platform bindings for browsers, Deno, Cloudflare Workers and other
+ * runtimes without Node built-ins, selected through the "#platform" import
+ * (see the "imports" field of package.json).
+ *
+ * Everything runs on the portable JavaScript implementations, and random
+ * bytes come from globalThis.crypto.getRandomValues().
+ */
+
+/**
+ * The node:crypto module, which is not available here.
+ * @type {typeof import('crypto')|null}
+ */
+export const nodeCrypto = null;
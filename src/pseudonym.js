@@ -0,0 +1,45 @@
+import { hmacSha256, createHmacSha256 } from './core/hmac.js';
+
+/**
+ * Contextual pseudonyms for the non-deterministic modes.
+ *
+ * Instead of a random tweak stored with the ciphertext, the tweak is
+ * derived from a context string (a tenant, a day, a dataset name):
+ *
+ *   tweak = HMAC-SHA256(K_ctx, context), truncated to the tweak size
+ *
+ * where K_ctx is derived from the encryption key and the mode name. An
+ * address then always gets the same pseudonym within a context, and
+ * unrelated pseudonyms in different contexts. Only the 16-byte ciphertext
+ * is kept, so decryption needs the context again.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Creates the function deriving tweaks from context strings.
+ *
+ * The tweak of the last context is kept, since addresses are usually
+ * pseudonymized in long runs under the same context.
+ *
+ * @param {string} mode - Mode name ('nd' or 'ndx')
+ * @param {Uint8Array} key - Encryption key of the mode
+ * @param {number} size - Tweak size in bytes (8 for nd, 16 for ndx)
+ * @returns {function(string): Uint8Array} Function returning the tweak of a context
+ */
+export function createContextTweaks(mode, key, size) {
+    const mac = createHmacSha256(hmacSha256(key, encoder.encode(`ipcrypt ${mode} context`)));
+    let lastContext = null;
+    let lastTweak = null;
+
+    return context => {
+        if (typeof context !== 'string' || context === '') {
+            throw new Error('Context must be a non-empty string');
+        }
+        if (context !== lastContext) {
+            lastTweak = mac(encoder.encode(context)).slice(0, size);
+            lastContext = context;
+        }
+        return lastTweak;
+    };
+}
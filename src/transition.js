@@ -0,0 +1,69 @@
+/**
+ * Detection of IPv6 transition addresses that embed IPv4 addresses.
+ *
+ * - NAT64 (RFC 6052): 64:ff9b::/96, the IPv4 address in the last 32 bits
+ * - 6to4 (RFC 3056): 2002::/16, the IPv4 address in bits 16-47
+ * - Teredo (RFC 4380): 2001::/32, the server IPv4 address in bits 32-63
+ *   and the client IPv4 address, inverted, in the last 32 bits
+ *
+ * Modes that keep IPv4 addresses as IPv4 addresses can use these helpers to
+ * encrypt the embedded addresses exactly like native IPv4 addresses.
+ */
+
+/**
+ * Supported transition formats.
+ * `embedded` lists the byte offsets of the embedded IPv4 addresses and the
+ * byte they are XORed with; `tailStart` is the first bit after the embedded
+ * addresses that carries host information (128 if there is none).
+ * @type {Array<{name: string, prefix: number[], embedded: Array<{offset: number, xor: number}>, tailStart: number}>}
+ */
+export const TRANSITION_FORMATS = [
+    {
+        name: 'nat64',
+        prefix: [0x00, 0x64, 0xff, 0x9b, 0, 0, 0, 0, 0, 0, 0, 0],
+        embedded: [{ offset: 12, xor: 0 }],
+        tailStart: 128
+    },
+    {
+        name: '6to4',
+        prefix: [0x20, 0x02],
+        embedded: [{ offset: 2, xor: 0 }],
+        tailStart: 48
+    },
+    {
+        // Flags and the obfuscated port (bits 64-95) are left as they are
+        name: 'teredo',
+        prefix: [0x20, 0x01, 0x00, 0x00],
+        embedded: [{ offset: 4, xor: 0 }, { offset: 12, xor: 0xff }],
+        tailStart: 128
+    }
+];
+
+/**
+ * Finds the transition format of an address.
+ * @param {Uint8Array} bytes16 - 16-byte address
+ * @returns {Object|null} Entry of TRANSITION_FORMATS, or null for other addresses
+ */
+export function getTransitionFormat(bytes16) {
+    return TRANSITION_FORMATS.find(format => format.prefix.every((b, i) => bytes16[i] === b)) || null;
+}
+
+/**
+ * Extracts an embedded IPv4 address.
+ * @param {Uint8Array} bytes16 - 16-byte transition address
+ * @param {{offset: number, xor: number}} slot - Location of the IPv4 address
+ * @returns {Uint8Array} 4-byte IPv4 address
+ */
+export function getEmbeddedIPv4(bytes16, slot) {
+    return bytes16.slice(slot.offset, slot.offset + 4).map(b => b ^ slot.xor);
+}
+
+/**
+ * Stores an IPv4 address into a transition address.
+ * @param {Uint8Array} bytes16 - 16-byte transition address, modified in place
+ * @param {{offset: number, xor: number}} slot - Location of the IPv4 address
+ * @param {Uint8Array} ipv4 - 4-byte IPv4 address
+ */
+export function setEmbeddedIPv4(bytes16, slot, ipv4) {
+    bytes16.set(ipv4.map(b => b ^ slot.xor), slot.offset);
+}
@@ -1,161 +1,408 @@
-import crypto from 'crypto';
+import { nodeCrypto } from '#platform';
 
 // Constants for IPv4 and IPv6 validation
-const IPV4_REGEX = /^(\d{1,3}\.){3}\d{1,3}$/;
+const IPV4_OCTET = /^\d{1,3}$/;
+const STRICT_IPV4_OCTET = /^(?:0|[1-9]\d{0,2})$/;
+const IPV6_GROUP = /^[0-9a-fA-F]{1,4}$/;
+const ZONE_ID = /^[^\s%/[\]]+$/;
 const IPV4_MAPPED_PREFIX = new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff]);
+
+// /96 prefixes of the addresses written in mixed notation (RFC 5952, section 5):
+// IPv4-mapped, IPv4-translated (RFC 2765) and the NAT64 well-known prefix (RFC 6052)
+const MIXED_NOTATION_PREFIXES = [
+    IPV4_MAPPED_PREFIX,
+    new Uint8Array([0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff, 0, 0]),
+    new Uint8Array([0, 0x64, 0xff, 0x9b, 0, 0, 0, 0, 0, 0, 0, 0])
+];
+const IPV6_FORMATS = ['canonical', 'expanded'];
 const IPV6_GROUPS = 8;
 const BYTES_LENGTH = 16;
+const MAX_RANDOM_CHUNK = 65536;
 
 /**
- * Convert an IP address string to its 16-byte representation.
- * Handles both IPv4 and IPv6 addresses, with IPv4 being mapped to IPv6.
- * 
- * @param {string} ip - IP address string (IPv4 or IPv6)
- * @returns {Uint8Array} 16-byte representation
- * @throws {Error} If the IP address is invalid or malformed
+ * Parses a dotted-quad IPv4 address.
+ * Octets with leading zeros (010) are read as decimal, unless strict is set,
+ * in which case they are rejected: other parsers read them as octal.
+ *
+ * @param {string} text - Address text
+ * @param {boolean} strict - Whether to reject leading zeros
+ * @returns {Uint8Array|null} 4-byte address, or null if the text is not a valid IPv4 address
  */
-export function ipToBytes(ip) {
-    if (typeof ip !== 'string') {
-        throw new Error('IP address must be a string');
+function parseIPv4(text, strict) {
+    const octets = text.split('.');
+    const octetRegex = strict ? STRICT_IPV4_OCTET : IPV4_OCTET;
+    if (octets.length !== 4 || !octets.every(octet => octetRegex.test(octet))) {
+        return null;
     }
+    const values = octets.map(octet => parseInt(octet, 10));
+    return values.every(value => value <= 255) ? new Uint8Array(values) : null;
+}
 
-    // Try parsing as IPv4 first
-    if (IPV4_REGEX.test(ip)) {
-        const parts = ip.split('.').map(x => parseInt(x, 10));
-        if (parts.some(x => isNaN(x) || x < 0 || x > 255)) {
-            throw new Error(`Invalid IPv4 address: ${ip}`);
+/**
+ * Parses colon-separated IPv6 groups, the last one of which may be an
+ * embedded dotted-quad IPv4 address (RFC 4291, section 2.2).
+ *
+ * @param {string} text - Groups, without ::
+ * @param {boolean} allowIPv4 - Whether the last group may be an IPv4 address
+ * @param {boolean} strict - Whether to reject leading zeros in an embedded IPv4 address
+ * @param {string} ip - Original address, for error messages
+ * @returns {number[]} 16-bit values
+ * @throws {Error} If a group is invalid
+ */
+function parseIPv6Groups(text, allowIPv4, strict, ip) {
+    if (text === '') {
+        return [];
+    }
+    const groups = text.split(':');
+    const values = [];
+    groups.forEach((group, i) => {
+        if (allowIPv4 && i === groups.length - 1 && group.includes('.')) {
+            const ipv4 = parseIPv4(group, strict);
+            if (ipv4 === null) {
+                throw new Error(`Invalid IPv4 address embedded in IPv6 address: ${ip}`);
+            }
+            values.push((ipv4[0] << 8) | ipv4[1], (ipv4[2] << 8) | ipv4[3]);
+        } else if (IPV6_GROUP.test(group)) {
+            values.push(parseInt(group, 16));
+        } else if (group === '') {
+            throw new Error(`Invalid IPv6 address (empty group): ${ip}`);
+        } else {
+            throw new Error(`Invalid IPv6 group: ${group}`);
         }
+    });
+    return values;
+}
 
-        const bytes = new Uint8Array(BYTES_LENGTH);
-        bytes.set(IPV4_MAPPED_PREFIX);
-        bytes.set(parts, 12);
-        return bytes;
+/**
+ * Parses an IPv6 address without zone ID or brackets.
+ *
+ * @param {string} text - Address text
+ * @param {boolean} strict - Whether to reject leading zeros in an embedded IPv4 address
+ * @param {string} ip - Original address, for error messages
+ * @returns {Uint8Array} 16-byte address
+ * @throws {Error} If the address is invalid
+ */
+function parseIPv6(text, strict, ip) {
+    const halves = text.split('::');
+    if (text.includes(':::') || halves.length > 2) {
+        throw new Error(`Invalid IPv6 address (invalid :: usage): ${ip}`);
     }
 
-    // Handle IPv6
-    const cleanIp = ip.trim().replace(/^\[|\]$/g, '');
-
-    // Validate :: usage
-    if (cleanIp.includes(':::') || (cleanIp.match(/::/g) || []).length > 1) {
-        throw new Error(`Invalid IPv6 address (invalid :: usage): ${ip}`);
+    let values;
+    if (halves.length === 1) {
+        values = parseIPv6Groups(text, true, strict, ip);
+        if (values.length !== IPV6_GROUPS) {
+            throw new Error(`Invalid IPv6 address (wrong number of groups): ${ip}`);
+        }
+    } else {
+        // :: stands for one or more groups of zeros
+        const head = parseIPv6Groups(halves[0], false, strict, ip);
+        const tail = parseIPv6Groups(halves[1], true, strict, ip);
+        const missingGroups = IPV6_GROUPS - (head.length + tail.length);
+        if (missingGroups <= 0) {
+            throw new Error(`Invalid IPv6 address (too many groups): ${ip}`);
+        }
+        values = [...head, ...Array(missingGroups).fill(0), ...tail];
     }
 
-    // Split and handle :: compression
-    const parts = cleanIp.split(':');
-    const doubleColonIndex = cleanIp.indexOf('::');
+    const bytes = new Uint8Array(BYTES_LENGTH);
+    values.forEach((value, i) => {
+        bytes[i * 2] = value >> 8;
+        bytes[i * 2 + 1] = value & 0xff;
+    });
+    return bytes;
+}
 
-    if (doubleColonIndex !== -1) {
-        const beforeDouble = parts.slice(0, parts.indexOf(''));
-        const afterDouble = parts.slice(parts.indexOf('') + 1);
-        const missingGroups = IPV6_GROUPS - (beforeDouble.length + afterDouble.length);
+/**
+ * Parse an IP address string, keeping its zone ID and family.
+ *
+ * Accepts the text forms of RFC 4291: dotted-quad IPv4 addresses, and IPv6
+ * addresses with :: compression and an optional embedded IPv4 address
+ * (::ffff:192.0.2.1, 64:ff9b::1.2.3.4). IPv6 addresses may have a zone ID
+ * (fe80::1%eth0, RFC 4007), which is returned separately.
+ *
+ * By default, surrounding whitespace is ignored, IPv6 addresses may be
+ * enclosed in brackets as in URIs (RFC 3986), where the zone ID separator is
+ * written %25 (RFC 6874), and IPv4 octets with leading zeros are read as
+ * decimal. In strict mode, only the exact address is accepted, and leading
+ * zeros, which other parsers read as octal, are rejected.
+ *
+ * @param {string} ip - IP address string (IPv4 or IPv6)
+ * @param {Object} [options] - Parsing options
+ * @param {boolean} [options.strict=false] - Reject whitespace, brackets and ambiguous IPv4 octets
+ * @returns {{bytes: Uint8Array, zone: string|null, family: number}} 16-byte representation,
+ *     zone ID (null if there is none), and family the address was written in (4 or 6)
+ * @throws {Error} If the IP address is invalid or malformed
+ */
+export function parseIp(ip, options = {}) {
+    if (typeof ip !== 'string') {
+        throw new Error('IP address must be a string');
+    }
+    const strict = options.strict === true;
 
-        if (missingGroups <= 0) {
-            throw new Error(`Invalid IPv6 address (too many groups): ${ip}`);
+    let text = strict ? ip : ip.trim();
+    const bracketed = !strict && text.startsWith('[') && text.endsWith(']');
+    if (bracketed) {
+        text = text.slice(1, -1);
+    }
+
+    let zone = null;
+    const zoneStart = text.indexOf('%');
+    if (zoneStart !== -1) {
+        zone = text.slice(zoneStart + 1);
+        text = text.slice(0, zoneStart);
+        if (bracketed && zone.startsWith('25')) {
+            zone = zone.slice(2);
+        }
+        if (!text.includes(':') || !ZONE_ID.test(zone)) {
+            throw new Error(`Invalid zone ID: ${ip}`);
         }
+    }
 
-        parts.splice(parts.indexOf(''), 1, ...Array(missingGroups).fill('0'));
+    if (text.includes(':')) {
+        return { bytes: parseIPv6(text, strict, ip), zone, family: 6 };
     }
 
-    if (parts.length !== IPV6_GROUPS) {
-        throw new Error(`Invalid IPv6 address (wrong number of groups): ${ip}`);
+    const ipv4 = bracketed ? null : parseIPv4(text, strict);
+    if (ipv4 === null) {
+        throw new Error(`Invalid IPv4 address: ${ip}`);
     }
+    return { bytes: toBytes16(ipv4), zone: null, family: 4 };
+}
 
-    const bytes = new Uint8Array(BYTES_LENGTH);
-    for (let i = 0; i < IPV6_GROUPS; i++) {
-        const value = parseInt(parts[i] || '0', 16);
-        if (isNaN(value) || value < 0 || value > 0xffff) {
-            throw new Error(`Invalid IPv6 group: ${parts[i]}`);
+/**
+ * Convert an IP address string to its 16-byte representation.
+ * Handles both IPv4 and IPv6 addresses, with IPv4 being mapped to IPv6.
+ * Zone IDs are accepted and dropped; use parseIp() to keep them.
+ * 
+ * @param {string} ip - IP address string (IPv4 or IPv6)
+ * @param {Object} [options] - Parsing options (see parseIp())
+ * @param {boolean} [options.strict=false] - Reject whitespace, brackets and ambiguous IPv4 octets
+ * @returns {Uint8Array} 16-byte representation
+ * @throws {Error} If the IP address is invalid or malformed
+ */
+export function ipToBytes(ip, options = {}) {
+    return parseIp(ip, options).bytes;
+}
+
+/**
+ * Checks IP address formatting options and fills in the defaults.
+ *
+ * @param {Object} [options] - Formatting options (see bytesToIp())
+ * @returns {{format: string, uppercase: boolean, mixed: boolean, keepMapped: boolean, zone: string|null}}
+ *     Complete options
+ * @throws {Error} If an option is invalid
+ */
+export function checkFormatOptions(options = {}) {
+    const { format = 'canonical', uppercase = false, mixed = false, keepMapped = false, zone = null } = options;
+    if (!IPV6_FORMATS.includes(format)) {
+        throw new Error(`Unknown address format: ${format} (expected ${IPV6_FORMATS.join(' or ')})`);
+    }
+    for (const [name, value] of Object.entries({ uppercase, mixed, keepMapped })) {
+        if (typeof value !== 'boolean') {
+            throw new Error(`${name} must be a boolean`);
         }
-        bytes[i * 2] = (value >> 8) & 0xff;
-        bytes[i * 2 + 1] = value & 0xff;
     }
-    return bytes;
+    if (zone !== null && (typeof zone !== 'string' || !ZONE_ID.test(zone))) {
+        throw new Error(`Invalid zone ID: ${zone}`);
+    }
+    return { format, uppercase, mixed, keepMapped, zone };
+}
+
+/**
+ * Find the longest run of at least two zero groups, the first one on ties
+ * (RFC 5952, section 4.2).
+ *
+ * @param {number[]} values - 16-bit groups
+ * @returns {{start: number, length: number}} Run to compress; length is 0 if there is none
+ */
+function findLongestZeroRun(values) {
+    let longest = { start: -1, length: 0 };
+    let current = { start: -1, length: 0 };
+
+    values.forEach((value, i) => {
+        if (value === 0) {
+            if (current.length === 0) current.start = i;
+            current.length++;
+        } else {
+            if (current.length > longest.length) longest = { ...current };
+            current = { start: -1, length: 0 };
+        }
+    });
+
+    if (current.length > longest.length) longest = current;
+    return longest.length >= 2 ? longest : { start: -1, length: 0 };
 }
 
 /**
  * Convert a 16-byte representation back to an IP address string.
  * Automatically detects and handles IPv4-mapped addresses.
+ *
+ * IPv6 addresses are written in the canonical form of RFC 5952 by default:
+ * lowercase, without leading zeros, and with the longest run of zero groups
+ * compressed to ::. The expanded format writes all eight groups with four
+ * digits. Mixed notation writes the last 32 bits of IPv4-mapped,
+ * IPv4-translated and NAT64 (64:ff9b::/96) addresses as a dotted quad.
  * 
- * @param {Uint8Array|Buffer} bytes - 16-byte representation
+ * @param {Uint8Array} bytes - 16-byte representation
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.format='canonical'] - IPv6 format: 'canonical' (RFC 5952) or 'expanded'
+ * @param {boolean} [options.uppercase=false] - Write hex digits in uppercase
+ * @param {boolean} [options.mixed=false] - Write embedded IPv4 addresses as dotted quads
+ *     (::ffff:192.0.2.1, 64:ff9b::192.0.2.1)
+ * @param {boolean} [options.keepMapped=false] - Write IPv4-mapped addresses as IPv6 addresses
+ *     instead of plain IPv4 addresses
+ * @param {string|null} [options.zone] - Zone ID to attach to IPv6 addresses (e.g. from parseIp());
+ *     ignored for IPv4 addresses
  * @returns {string} IP address string (IPv4 or IPv6)
- * @throws {Error} If the input is invalid
+ * @throws {Error} If the input or an option is invalid
  */
-export function bytesToIp(bytes) {
-    const input = Buffer.isBuffer(bytes) ? new Uint8Array(bytes) : bytes;
-
-    if (!(input instanceof Uint8Array)) {
-        throw new Error('Input must be a Uint8Array or Buffer');
+export function bytesToIp(bytes, options = {}) {
+    // Node.js Buffers are Uint8Arrays too
+    if (!(bytes instanceof Uint8Array)) {
+        throw new Error('Input must be a Uint8Array');
     }
 
-    if (input.length !== BYTES_LENGTH) {
+    if (bytes.length !== BYTES_LENGTH) {
         throw new Error('Input must be exactly 16 bytes');
     }
 
+    const { format, uppercase, mixed, keepMapped, zone } = checkFormatOptions(options);
+    const dottedQuad = Array.from(bytes.slice(12)).join('.');
+
     // Check for IPv4-mapped address
-    const isIPv4Mapped = input.slice(0, 12).every((byte, index) =>
-        index < 10 ? byte === 0 : byte === 0xff
+    const hasPrefix = prefix => prefix.every((byte, i) => bytes[i] === byte);
+    if (!keepMapped && hasPrefix(IPV4_MAPPED_PREFIX)) {
+        return dottedQuad;
+    }
+
+    // Handle IPv6
+    const dotted = mixed && MIXED_NOTATION_PREFIXES.some(hasPrefix);
+    const values = Array.from({ length: dotted ? IPV6_GROUPS - 2 : IPV6_GROUPS }, (_, i) =>
+        (bytes[i * 2] << 8) | bytes[i * 2 + 1]
     );
+    const groups = values.map(value => format === 'expanded' ? value.toString(16).padStart(4, '0') : value.toString(16));
 
-    if (isIPv4Mapped) {
-        return Array.from(input.slice(12))
-            .map(b => b.toString(10))
-            .join('.');
+    let text;
+    const zeroRun = format === 'canonical' ? findLongestZeroRun(values) : { start: -1, length: 0 };
+    if (zeroRun.length > 0) {
+        const before = groups.slice(0, zeroRun.start);
+        const after = groups.slice(zeroRun.start + zeroRun.length);
+        text = before.join(':') + '::' + after.join(':');
+    } else {
+        text = groups.join(':');
+    }
+    if (dotted) {
+        text += (text.endsWith('::') ? '' : ':') + dottedQuad;
+    }
+    if (uppercase) {
+        text = text.toUpperCase();
     }
 
-    // Handle IPv6
-    const parts = Array.from({ length: IPV6_GROUPS }, (_, i) => {
-        const value = (input[i * 2] << 8) | input[i * 2 + 1];
-        return value.toString(16);
-    });
+    return zone === null ? text : `${text}%${zone}`;
+}
 
-    // Find best zero compression opportunity
-    const findLongestZeroRun = (parts) => {
-        let longest = { start: -1, length: 0 };
-        let current = { start: -1, length: 0 };
-
-        parts.forEach((part, i) => {
-            if (part === '0') {
-                if (current.length === 0) current.start = i;
-                current.length++;
-            } else {
-                if (current.length > longest.length) longest = { ...current };
-                current = { start: -1, length: 0 };
-            }
-        });
+/**
+ * Normalize a binary address to its 16-byte representation.
+ * 4-byte IPv4 addresses are mapped to IPv6 (::ffff:a.b.c.d); 16-byte
+ * addresses are returned unchanged.
+ * 
+ * @param {Uint8Array} bytes - 4-byte IPv4 or 16-byte address
+ * @returns {Uint8Array} 16-byte representation
+ * @throws {Error} If the input is not a 4-byte or 16-byte Uint8Array
+ */
+export function toBytes16(bytes) {
+    if (!(bytes instanceof Uint8Array) || (bytes.length !== 4 && bytes.length !== BYTES_LENGTH)) {
+        throw new Error('Address must be a 4-byte or 16-byte Uint8Array');
+    }
+    if (bytes.length === BYTES_LENGTH) {
+        return bytes;
+    }
 
-        if (current.length > longest.length) longest = current;
-        return longest;
-    };
+    const bytes16 = new Uint8Array(BYTES_LENGTH);
+    bytes16.set(IPV4_MAPPED_PREFIX);
+    bytes16.set(bytes, 12);
+    return bytes16;
+}
 
-    const zeroRun = findLongestZeroRun(parts);
+/**
+ * Parse a network in CIDR notation (e.g. 10.1.0.0/16 or 2001:db8::/48).
+ * The prefix length is returned relative to the 16-byte representation, so
+ * IPv4 prefix lengths are offset by 96. Host bits are cleared.
+ * 
+ * @param {string} cidr - Network in CIDR notation
+ * @returns {{bytes: Uint8Array, prefixLenBits: number}} 16-byte network address and prefix length (0-128)
+ * @throws {Error} If the CIDR string or its address is invalid, or the prefix length is out of range
+ */
+export function parseCidr(cidr) {
+    if (typeof cidr !== 'string') {
+        throw new Error('CIDR must be a string');
+    }
+    const match = /^([^/]+)\/(\d{1,3})$/.exec(cidr.trim());
+    if (!match) {
+        throw new Error(`Invalid CIDR (expected address/prefix length): ${cidr}`);
+    }
 
-    if (zeroRun.length >= 2) {
-        const before = parts.slice(0, zeroRun.start);
-        const after = parts.slice(zeroRun.start + zeroRun.length);
+    const { bytes, family } = parseIp(match[1]);
+    const ipv4 = family === 4;
+    const length = parseInt(match[2], 10);
+    if (length > (ipv4 ? 32 : 128)) {
+        throw new Error(`Invalid prefix length for ${ipv4 ? 'IPv4' : 'IPv6'}: /${length}`);
+    }
+    const prefixLenBits = ipv4 ? 96 + length : length;
 
-        return before.join(':') + '::' + after.join(':');
+    // Clear the host bits
+    for (let i = 0; i < BYTES_LENGTH; i++) {
+        const bits = Math.min(Math.max(prefixLenBits - i * 8, 0), 8);
+        bytes[i] &= (0xff00 >> bits) & 0xff;
     }
+    return { bytes, prefixLenBits };
+}
 
-    return parts.join(':');
+/**
+ * Format a network in CIDR notation.
+ * IPv4-mapped networks of at least 96 bits are written as IPv4 networks,
+ * shorter ones in mixed notation (::ffff:0.0.0.0/80).
+ * 
+ * @param {Uint8Array} bytes - 16-byte network address
+ * @param {number} prefixLenBits - Prefix length relative to the 16-byte representation (0-128)
+ * @param {Object} [options] - Address formatting options (see bytesToIp())
+ * @returns {string} Network in CIDR notation
+ * @throws {Error} If the input is invalid
+ */
+export function formatCidr(bytes, prefixLenBits, options = {}) {
+    const ip = bytesToIp(bytes, options);
+    if (ip.includes(':')) {
+        return `${ip}/${prefixLenBits}`;
+    }
+    if (prefixLenBits >= 96) {
+        return `${ip}/${prefixLenBits - 96}`;
+    }
+    return `${bytesToIp(bytes, { ...options, keepMapped: true, mixed: true })}/${prefixLenBits}`;
 }
 
 /**
  * Generate cryptographically secure random bytes.
- * Uses Web Crypto API (Node 15+) with fallback to crypto.randomFillSync (Node 14+).
+ * Uses the Web Crypto API (browsers, edge runtimes, Node 19+), with a
+ * fallback to crypto.randomFillSync on older Node versions.
  *
  * @param {number} length - Number of bytes to generate
  * @returns {Uint8Array} Random bytes
+ * @throws {Error} If no secure random number generator is available
  */
 export function randomBytes(length) {
     const bytes = new Uint8Array(length);
+    const webCrypto = globalThis.crypto;
 
-    // Feature detection: Use getRandomValues if available (Node 15+),
-    // otherwise fall back to randomFillSync (Node 14+)
-    if (crypto.getRandomValues) {
-        crypto.getRandomValues(bytes);
+    if (webCrypto && typeof webCrypto.getRandomValues === 'function') {
+        // getRandomValues() fills at most 65536 bytes per call
+        for (let offset = 0; offset < length; offset += MAX_RANDOM_CHUNK) {
+            webCrypto.getRandomValues(bytes.subarray(offset, offset + MAX_RANDOM_CHUNK));
+        }
+    } else if (nodeCrypto) {
+        nodeCrypto.randomFillSync(bytes);
     } else {
-        // Node 14 compatibility: use randomFillSync instead
-        crypto.randomFillSync(bytes);
+        throw new Error('No secure random number generator available: globalThis.crypto.getRandomValues is missing');
     }
 
     return bytes;
@@ -0,0 +1,213 @@
+import { Readable } from 'stream';
+import { anonymize, createAnonymizer } from '../src/anonymizer.js';
+import { createAnonymizerStream } from '../src/anonymizer-stream.js';
+import { encrypt as encryptDet } from '../src/ipcrypt-deterministic.js';
+import { decrypt as decryptNd } from '../src/ipcrypt-nd.js';
+import { encrypt as encryptPfx } from '../src/ipcrypt-pfx.js';
+import { encrypt as encryptDetV4 } from '../src/ipcrypt-deterministic-v4.js';
+
+// Helper function to convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+    }
+    return bytes;
+}
+
+const detKey = hexToBytes('0123456789abcdeffedcba9876543210');
+const pfxKey = hexToBytes('0123456789abcdeffedcba98765432101032547698badcfeefcdab8967452301');
+const det = ip => encryptDet(ip, detKey);
+
+/**
+ * Lines to anonymize, and the same lines with the expected replacements
+ */
+const lineTests = [
+    {
+        name: 'nginx access log',
+        input: '192.0.2.1 - - [10/Oct/2024:13:55:36 +0000] "GET / HTTP/1.1" 200 612',
+        expected: `${det('192.0.2.1')} - - [10/Oct/2024:13:55:36 +0000] "GET / HTTP/1.1" 200 612`
+    },
+    {
+        name: 'bracketed IPv6 with port',
+        input: 'connect from [2001:db8::1]:443 ok',
+        expected: `connect from [${det('2001:db8::1')}]:443 ok`
+    },
+    {
+        name: 'IPv4 with port',
+        input: 'upstream: 10.0.0.1:8080, done',
+        expected: `upstream: [${det('10.0.0.1')}]:8080, done`
+    },
+    {
+        name: 'JSON values',
+        input: '{"client":"2001:db8:85a3::8a2e:370:7334","peer":"198.51.100.7"}',
+        expected: `{"client":"${det('2001:db8:85a3::8a2e:370:7334')}","peer":"${det('198.51.100.7')}"}`
+    },
+    {
+        name: 'embedded IPv4 and sentence end',
+        input: 'mapped ::ffff:192.0.2.1 and 203.0.113.9.',
+        expected: `mapped ${det('::ffff:192.0.2.1')} and ${det('203.0.113.9')}.`
+    },
+    {
+        name: 'syslog with time and MAC address',
+        input: 'Oct 10 13:55:36 host dhcpd: DHCPACK on 10.1.2.3 to 00:1a:2b:3c:4d:5e',
+        expected: `Oct 10 13:55:36 host dhcpd: DHCPACK on ${det('10.1.2.3')} to 00:1a:2b:3c:4d:5e`
+    },
+    {
+        name: 'not addresses',
+        input: 'version 1.2.3.4.5, 256.1.1.1, std::vector, x::y, 1.2.3',
+        expected: 'version 1.2.3.4.5, 256.1.1.1, std::vector, x::y, 1.2.3'
+    }
+];
+
+/**
+ * Collects the output of a stream into a string.
+ * @param {import('stream').Readable} stream - Stream to read
+ * @returns {Promise<string>} Concatenated output
+ */
+async function readAll(stream) {
+    let output = '';
+    for await (const chunk of stream) {
+        output += chunk.toString();
+    }
+    return output;
+}
+
+async function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    console.log('=== Anonymizer Tests ===\n');
+
+    for (const test of lineTests) {
+        const output = anonymize(test.input, { key: detKey });
+        if (output === test.expected) {
+            console.log(`✓ ${test.name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${test.name}: expected "${test.expected}", got "${output}"`);
+            failed++;
+        }
+    }
+
+    // Prefix-preserving mode
+    const pfxOutput = anonymize('a=192.0.2.1 b=192.0.2.2', { mode: 'pfx', key: pfxKey });
+    if (pfxOutput === `a=${encryptPfx('192.0.2.1', pfxKey)} b=${encryptPfx('192.0.2.2', pfxKey)}`) {
+        console.log('✓ pfx mode');
+        passed++;
+    } else {
+        console.error(`❌ pfx mode: ${pfxOutput}`);
+        failed++;
+    }
+
+    // IPv4-preserving deterministic mode keeps the port unbracketed
+    const detV4Output = anonymize('client 192.0.2.1:8080', { mode: 'deterministic-v4', key: detKey });
+    if (detV4Output === `client ${encryptDetV4('192.0.2.1', detKey)}:8080`) {
+        console.log('✓ deterministic-v4 mode');
+        passed++;
+    } else {
+        console.error(`❌ deterministic-v4 mode: ${detV4Output}`);
+        failed++;
+    }
+
+    // Non-deterministic mode replaces addresses with hex ciphertexts
+    const ndOutput = anonymize('from 192.0.2.1 ok', { mode: 'nd', key: detKey });
+    const ndMatch = /^from ([0-9a-f]{48}) ok$/.exec(ndOutput);
+    if (ndMatch && decryptNd(hexToBytes(ndMatch[1]), detKey) === '192.0.2.1') {
+        console.log('✓ nd mode');
+        passed++;
+    } else {
+        console.error(`❌ nd mode: ${ndOutput}`);
+        failed++;
+    }
+
+    // Every possible split of the input into two chunks
+    console.log('\n=== Chunk Boundary Tests ===\n');
+
+    const text = lineTests.map(test => test.input).join('\n') + '\n';
+    const expected = lineTests.map(test => test.expected).join('\n') + '\n';
+    const anonymizer = createAnonymizer({ key: detKey });
+    let splitFailures = 0;
+    for (let i = 0; i <= text.length; i++) {
+        const output = anonymizer.push(text.slice(0, i)) + anonymizer.push(text.slice(i)) + anonymizer.flush();
+        if (output !== expected) {
+            splitFailures++;
+        }
+    }
+    if (splitFailures === 0) {
+        console.log(`✓ All ${text.length + 1} two-chunk splits give the same output`);
+        passed++;
+    } else {
+        console.error(`❌ ${splitFailures} two-chunk splits give a different output`);
+        failed++;
+    }
+
+    // One character at a time
+    const single = Array.from(text, c => anonymizer.push(c)).join('') + anonymizer.flush();
+    if (single === expected) {
+        console.log('✓ Single-character chunks give the same output');
+        passed++;
+    } else {
+        console.error(`❌ Single-character chunks: ${single}`);
+        failed++;
+    }
+
+    // Long runs of address characters are not held back indefinitely
+    const long = createAnonymizer({ key: detKey });
+    if (long.push('x'.repeat(100)).length === 100 && long.flush() === '') {
+        console.log('✓ Long runs are not held back');
+        passed++;
+    } else {
+        console.error('❌ Long runs are held back');
+        failed++;
+    }
+
+    // Transform stream over byte chunks, splitting a multi-byte character
+    console.log('\n=== Stream Tests ===\n');
+
+    const bytes = Buffer.from(`é ${text}`);
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 7) {
+        chunks.push(bytes.subarray(i, i + 7));
+    }
+    const streamOutput = await readAll(Readable.from(chunks).pipe(createAnonymizerStream({ key: detKey })));
+    if (streamOutput === `é ${expected}`) {
+        console.log('✓ Stream output matches');
+        passed++;
+    } else {
+        console.error(`❌ Stream output differs: ${streamOutput}`);
+        failed++;
+    }
+
+    // Error conditions
+    try {
+        anonymize('192.0.2.1', { mode: 'unknown', key: detKey });
+        console.error('❌ Should have thrown error for unknown mode');
+        failed++;
+    } catch (e) {
+        console.log('✓ Correctly rejects unknown mode');
+        passed++;
+    }
+
+    try {
+        anonymize('192.0.2.1', { key: new Uint8Array(8) });
+        console.error('❌ Should have thrown error for invalid key');
+        failed++;
+    } catch (e) {
+        console.log('✓ Correctly rejects invalid key');
+        passed++;
+    }
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,192 @@
+import fs from 'fs';
+
+// Runs the browser entry point under a minimal browser-like environment:
+// no Buffer, and a Web Crypto object that only has getRandomValues() and
+// rejects requests over 65536 bytes, like browsers do. Run with the
+// "browser" condition (node --conditions=browser), so that the "#platform"
+// import resolves to the bindings without node:crypto.
+
+const webCrypto = globalThis.crypto;
+let randomCalls = 0;
+delete globalThis.Buffer;
+Object.defineProperty(globalThis, 'crypto', {
+    configurable: true,
+    value: {
+        getRandomValues(array) {
+            if (array.byteLength > 65536) {
+                throw new Error('QuotaExceededError');
+            }
+            randomCalls++;
+            return webCrypto.getRandomValues(array);
+        }
+    }
+});
+
+// Helper function to convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+    }
+    return bytes;
+}
+
+// Helper function to convert Uint8Array to hex string
+function bytesToHex(bytes) {
+    return Array.from(bytes)
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+/**
+ * Lists the modules imported by the browser entry point, following relative
+ * imports and resolving "#platform" with the browser condition.
+ * @returns {string[]} Import specifiers that are neither relative nor "#platform"
+ */
+function findExternalImports() {
+    const platform = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'))
+        .imports['#platform'].browser;
+    const seen = new Set();
+    const external = [];
+    const pending = [new URL('../index.browser.js', import.meta.url)];
+    while (pending.length > 0) {
+        const url = pending.pop();
+        if (seen.has(url.href)) {
+            continue;
+        }
+        seen.add(url.href);
+        const source = fs.readFileSync(url, 'utf8');
+        for (const [, specifier] of source.matchAll(/^(?:import|export)\s[^;]*?from\s+'([^']+)'/gm)) {
+            if (specifier === '#platform') {
+                pending.push(new URL(platform, new URL('../', import.meta.url)));
+            } else if (specifier.startsWith('.')) {
+                pending.push(new URL(specifier, url));
+            } else {
+                external.push(specifier);
+            }
+        }
+    }
+    return external;
+}
+
+async function runTests() {
+    // Imported once the environment is set up
+    const { nodeCrypto } = await import('#platform');
+    const ipcrypt = await import('../index.browser.js');
+    const { randomBytes } = await import('../src/utils.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    console.log('=== Environment ===\n');
+
+    const external = findExternalImports();
+    check('no Node built-ins are imported', external.length === 0);
+    check('"#platform" resolves to the web bindings', nodeCrypto === null);
+    check('Buffer is not available', typeof Buffer === 'undefined');
+    check('createAnonymizerStream is not exported', !('createAnonymizerStream' in ipcrypt));
+
+    console.log('\n=== Known Answers ===\n');
+
+    const key16 = hexToBytes('0123456789abcdeffedcba9876543210');
+    const key32 = hexToBytes('0123456789abcdeffedcba98765432101032547698badcfeefcdab8967452301');
+
+    check('deterministic', ipcrypt.deterministic.encrypt('0.0.0.0', key16) === 'bde9:6789:d353:824c:d7c6:f58a:6bd2:26eb');
+    check('pfx', ipcrypt.prefixPreserving.encrypt('0.0.0.0', key32) === '151.82.155.134');
+    check('deterministic-v4', ipcrypt.deterministicV4.encrypt('192.0.2.1', key16) === '3.136.74.64');
+    check('scoped', ipcrypt.scoped.encrypt('2001:db8::1', key16) === '2001:db8::2010:c17:83bb:bd7b');
+
+    const ndCtx = ipcrypt.createNd(key16, { tagLength: 8 });
+    const sealed = ndCtx.encrypt('0.0.0.0', hexToBytes('08e0c289bff23b7c'));
+    check('nd with an authentication tag',
+        bytesToHex(sealed) === '08e0c289bff23b7cb349aadfe3bcef56221c384c7c217b16eb77e33f30de8c48' &&
+        ndCtx.decrypt(sealed) === '0.0.0.0');
+
+    // SHA-256, HMAC, PBKDF2 and scrypt run on the portable implementations,
+    // and must give the same results as node:crypto
+    check('key IDs', ipcrypt.getKeyId('deterministic', new Uint8Array(16).map((_, i) => i)) === '71537713');
+    const secret = hexToBytes('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+    check('HKDF', bytesToHex(ipcrypt.deriveKey('deterministic', secret)) === 'b2b973b13bce7fda047b262b005b3d15');
+    check('scrypt', bytesToHex(ipcrypt.deriveKeyFromPassphrase('deterministic', 'hunter2 hunter2',
+        { salt: 'per-deployment salt', N: 1024, r: 8, p: 1 })) === '915745585c9bbb1e17a559c961924c7c');
+    check('PBKDF2', bytesToHex(ipcrypt.deriveKeyFromPassphrase('deterministic', 'hunter2 hunter2',
+        { salt: 'per-deployment salt', algorithm: 'pbkdf2', iterations: 1000 })) === 'de8ffe5e18d115d51c08788610371bcc');
+    checkThrows('scrypt parameters', () => ipcrypt.deriveKeyFromPassphrase('deterministic', 'hunter2 hunter2',
+        { salt: 'per-deployment salt', N: 1000 }), 'power of 2');
+
+    console.log('\n=== Randomness ===\n');
+
+    const ndKey = ipcrypt.generateKey('nd');
+    check('generated keys', ndKey.length === 16 && randomCalls > 0);
+
+    // 10000 tweaks are 80000 bytes, more than one getRandomValues() call can fill
+    const packed = new Uint8Array(10000 * 16);
+    for (let i = 0; i < packed.length; i += 16) {
+        packed.set([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff, 10, 0, i >> 12, (i >> 4) & 0xff], i);
+    }
+    const encrypted = ipcrypt.nonDeterministic.encryptMany(packed, ndKey);
+    const decrypted = ipcrypt.nonDeterministic.decryptMany(encrypted, ndKey);
+    check('large batches', decrypted.every((b, i) => b === packed[i]));
+
+    check('random bytes differ', bytesToHex(randomBytes(16)) !== bytesToHex(randomBytes(16)));
+
+    const getRandomValues = globalThis.crypto.getRandomValues;
+    delete globalThis.crypto.getRandomValues;
+    checkThrows('missing random number generator', () => randomBytes(16), 'No secure random number generator');
+    globalThis.crypto.getRandomValues = getRandomValues;
+
+    console.log('\n=== API Tests ===\n');
+
+    check('Uint8Array conversions', ipcrypt.utils.bytesToIp(ipcrypt.utils.ipToBytes('2001:db8::1')) === '2001:db8::1');
+    check('anonymizer', ipcrypt.anonymize('from 192.0.2.1 ok', { mode: 'deterministic-v4', key: key16 }) ===
+        'from 3.136.74.64 ok');
+    checkThrows('native backend is unavailable', () => ipcrypt.createDeterministic(key16, { backend: 'native' }),
+        'not available');
+    const auto = ipcrypt.createDeterministic(key16, { backend: 'auto' });
+    check('auto backend falls back to JavaScript',
+        ipcrypt.utils.bytesToIp(auto.encryptMany(ipcrypt.utils.ipToBytes('0.0.0.0'))) ===
+        'bde9:6789:d353:824c:d7c6:f58a:6bd2:26eb');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,160 @@
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { encrypt as encryptDet } from '../src/ipcrypt-deterministic.js';
+import { encrypt as encryptPfx } from '../src/ipcrypt-pfx.js';
+import { decodeCiphertext } from '../src/encoding.js';
+
+const CLI = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'src', 'cli.js');
+
+const DET_KEY = '0123456789abcdeffedcba9876543210';
+const PFX_KEY = '0123456789abcdeffedcba98765432101032547698badcfeefcdab8967452301';
+
+// Helper function to convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+    }
+    return bytes;
+}
+
+/**
+ * Runs the command-line tool.
+ * @param {string[]} args - Arguments
+ * @param {Object} [options] - Standard input and environment
+ * @returns {{status: number, stdout: string, stderr: string}} Result
+ */
+function run(args, { input = '', env = {} } = {}) {
+    const result = spawnSync(process.execPath, [CLI, ...args], {
+        input,
+        encoding: 'utf8',
+        env: { ...process.env, IPCRYPT_KEY: '', ...env },
+        timeout: 30000
+    });
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+}
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     * @param {string} [details] - Shown when the check failed
+     */
+    function check(name, ok, details = '') {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name} ${details}`);
+            failed++;
+        }
+    }
+
+    console.log('=== CLI Tests ===\n');
+
+    // Encrypt and decrypt with the key on the command line
+    const detOut = run(['encrypt', 'deterministic', '-k', DET_KEY, '192.0.2.1', '2001:db8::1']);
+    const detExpected = ['192.0.2.1', '2001:db8::1'].map(ip => encryptDet(ip, hexToBytes(DET_KEY)));
+    check('deterministic encrypt', detOut.status === 0 && detOut.stdout === detExpected.join('\n') + '\n', detOut.stderr);
+
+    const detBack = run(['decrypt', 'deterministic', `--key=${DET_KEY}`, ...detExpected]);
+    check('deterministic decrypt', detBack.stdout === '192.0.2.1\n2001:db8::1\n', detBack.stderr);
+
+    // Addresses from stdin, key from the environment
+    const pfxOut = run(['encrypt', 'pfx'], { input: '10.0.0.1\n\n10.0.0.2\n', env: { IPCRYPT_KEY: PFX_KEY } });
+    const pfxExpected = ['10.0.0.1', '10.0.0.2'].map(ip => encryptPfx(ip, hexToBytes(PFX_KEY)));
+    check('pfx encrypt from stdin with IPCRYPT_KEY', pfxOut.stdout === pfxExpected.join('\n') + '\n', pfxOut.stderr);
+
+    // Key from a custom environment variable and from files
+    const customEnv = run(['encrypt', 'deterministic', '--key-env', 'MY_KEY', '192.0.2.1'], { env: { MY_KEY: DET_KEY } });
+    check('key from --key-env', customEnv.stdout === detExpected[0] + '\n', customEnv.stderr);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipcrypt-cli-'));
+    try {
+        const hexFile = path.join(dir, 'key.hex');
+        const rawFile = path.join(dir, 'key.bin');
+        fs.writeFileSync(hexFile, DET_KEY + '\n');
+        fs.writeFileSync(rawFile, hexToBytes(DET_KEY));
+        const fromHexFile = run(['encrypt', 'deterministic', '--key-file', hexFile, '192.0.2.1']);
+        const fromRawFile = run(['encrypt', 'deterministic', '--key-file', rawFile, '192.0.2.1']);
+        check('key from hex and raw key files',
+            fromHexFile.stdout === detExpected[0] + '\n' && fromRawFile.stdout === detExpected[0] + '\n',
+            fromHexFile.stderr + fromRawFile.stderr);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    // nd/ndx outputs round-trip in every encoding
+    for (const [mode, key, size] of [['nd', DET_KEY, 24], ['ndx', PFX_KEY, 32]]) {
+        for (const format of ['hex', 'base64', 'base64url', 'prefixed']) {
+            const out = run(['encrypt', mode, '-k', key, '-f', format, '192.0.2.1', '2001:db8::1']);
+            const values = out.stdout.trim().split('\n');
+            const lengthOk = values.every(v => decodeCiphertext(v, size, mode).length === size);
+            const back = run(['decrypt', mode, '-k', key], { input: out.stdout });
+            check(`${mode} ${format} round trip`, lengthOk && back.stdout === '192.0.2.1\n2001:db8::1\n',
+                out.stderr + back.stderr);
+        }
+    }
+
+    // Key generation
+    const genDet = run(['keygen', 'deterministic']).stdout.trim();
+    const genPfx = run(['keygen', 'pfx']).stdout.trim();
+    check('keygen produces usable keys of the right size',
+        /^[0-9a-f]{32}$/.test(genDet) && /^[0-9a-f]{64}$/.test(genPfx) &&
+        run(['encrypt', 'pfx', '-k', genPfx, '192.0.2.1']).status === 0);
+
+    // Rewrite logs from stdin to stdout
+    const log = '192.0.2.1 - - [10/Oct/2024:13:55:36 +0000] "GET / HTTP/1.1" 200\nfrom [2001:db8::1]:443\n';
+    const rewritten = run(['rewrite', 'deterministic', '-k', DET_KEY], { input: log });
+    const rewriteExpected = `${detExpected[0]} - - [10/Oct/2024:13:55:36 +0000] "GET / HTTP/1.1" 200\n` +
+        `from [${detExpected[1]}]:443\n`;
+    check('rewrite', rewritten.status === 0 && rewritten.stdout === rewriteExpected, rewritten.stderr);
+
+    // Errors
+    console.log('\n=== CLI Error Tests ===\n');
+
+    const unknownMode = run(['encrypt', 'foo', '-k', DET_KEY, '192.0.2.1']);
+    check('unknown mode exits with status 2', unknownMode.status === 2 && unknownMode.stderr.includes('Unknown mode'));
+
+    const noKey = run(['encrypt', 'deterministic', '192.0.2.1']);
+    check('missing key exits with status 2', noKey.status === 2 && noKey.stderr.includes('No key given'));
+
+    const badKey = run(['encrypt', 'pfx', '-k', DET_KEY, '192.0.2.1']);
+    check('wrong key size exits with status 1', badKey.status === 1 && badKey.stderr.includes('32 bytes'));
+
+    const zeroKey = run(['encrypt', 'deterministic', '-k', '00'.repeat(16), '192.0.2.1']);
+    check('all-zero key exits with status 1', zeroKey.status === 1 && zeroKey.stderr.includes('Weak deterministic key'));
+
+    const badIp = run(['encrypt', 'deterministic', '-k', DET_KEY, 'not-an-ip']);
+    check('invalid address exits with status 1', badIp.status === 1);
+
+    const badFormat = run(['encrypt', 'nd', '-k', DET_KEY, '-f', 'base32', '192.0.2.1']);
+    check('unknown format exits with status 2', badFormat.status === 2 && badFormat.stderr.includes('Unknown format'));
+
+    const badCiphertext = run(['decrypt', 'ndx', '-k', PFX_KEY, 'nd:AAAA']);
+    check('mismatched prefix exits with status 1',
+        badCiphertext.status === 1 && badCiphertext.stderr.includes('Expected a ndx ciphertext'));
+
+    const help = run(['--help']);
+    check('--help prints usage', help.status === 0 && help.stdout.startsWith('Usage: ipcrypt'));
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
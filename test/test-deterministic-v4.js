@@ -0,0 +1,153 @@
+import {
+    encrypt, decrypt, createContext, encryptMany, decryptMany, encryptBytes, decryptBytes
+} from '../src/ipcrypt-deterministic-v4.js';
+import { encrypt as encryptDet } from '../src/ipcrypt-deterministic.js';
+import { createFeistel } from '../src/fpe.js';
+import { createBlockCipher } from '../src/core/backends.js';
+import { deterministicV4, createDeterministicV4, encryptEnvelope, decryptEnvelope, generateKey } from '../index.js';
+
+// Helper function to convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+    }
+    return bytes;
+}
+
+// Test vectors
+const testVectors = [
+    { key: '0123456789abcdeffedcba9876543210', ip: '0.0.0.0', encrypted: '155.65.117.177' },
+    { key: '0123456789abcdeffedcba9876543210', ip: '255.255.255.255', encrypted: '196.181.92.7' },
+    { key: '0123456789abcdeffedcba9876543210', ip: '192.0.2.1', encrypted: '3.136.74.64' },
+    { key: '2b7e151628aed2a6abf7158809cf4f3c', ip: '10.0.0.1', encrypted: '166.241.17.218' },
+    { key: '1032547698badcfeefcdab8967452301', ip: '172.16.5.4', encrypted: '120.145.175.20' },
+    { key: '0123456789abcdeffedcba9876543210', ip: '::', encrypted: '8bf1:b6e0:709c:1b4f:481b:760c:a580:1f59' },
+    { key: '2b7e151628aed2a6abf7158809cf4f3c', ip: '2001:db8::1', encrypted: 'aba0:3b5d:9237:532e:77e:9489:71d2:dff7' },
+    { key: '1032547698badcfeefcdab8967452301', ip: 'fe80::1', encrypted: 'f69b:bead:5b77:d4fd:4406:beb:8835:1f16' }
+];
+
+// The NAT64, 6to4 and Teredo forms of 192.0.2.1, with the transition option
+const transitionVectors = [
+    { ip: '64:ff9b::c000:201', encrypted: '64:ff9b::388:4a40' },
+    { ip: '2002:c000:201:1::1', encrypted: '2002:388:4a40:2174:6eb8:4c62:2f58:5fa2' },
+    { ip: '2001:0:c000:201:0:f227:3fff:fdfe', encrypted: '2001:0:388:4a40:0:f227:fc77:b5bf' }
+];
+
+const key = hexToBytes('0123456789abcdeffedcba9876543210');
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    console.log('=== ipcrypt-deterministic-v4 Test Vectors ===\n');
+
+    for (const test of testVectors) {
+        const testKey = hexToBytes(test.key);
+        const encrypted = encrypt(test.ip, testKey);
+        check(`${test.ip} -> ${encrypted}`, encrypted === test.encrypted && decrypt(encrypted, testKey) === test.ip);
+    }
+
+    const transitionCtx = createContext(key, { transition: true });
+    check('transition option keeps native IPv4 outputs', transitionCtx.encrypt('192.0.2.1') === '3.136.74.64');
+    for (const test of transitionVectors) {
+        const encrypted = transitionCtx.encrypt(test.ip);
+        check(`${test.ip} -> ${encrypted}`, encrypted === test.encrypted && transitionCtx.decrypt(encrypted) === test.ip);
+    }
+    check('transition addresses are opaque IPv6 without the option',
+        !createContext(key).encrypt('64:ff9b::c000:201').startsWith('64:ff9b::'));
+
+    console.log('\n=== Permutation Tests ===\n');
+
+    // IPv4 addresses map to distinct IPv4 addresses
+    const ctx = createContext(key);
+    const ips = [];
+    for (let i = 0; i < 2048; i++) {
+        ips.push(`10.${i >> 8}.${i & 0xff}.${(i * 37) & 0xff}`);
+    }
+    const encryptedIps = ctx.encryptMany(ips);
+    check('IPv4 outputs are distinct IPv4 addresses',
+        new Set(encryptedIps).size === ips.length && encryptedIps.every(ip => /^\d+\.\d+\.\d+\.\d+$/.test(ip)));
+    check('IPv4 round trip', ctx.decryptMany(encryptedIps).every((ip, i) => ip === ips[i]));
+    check('outputs differ from the deterministic mode', encrypt('192.0.2.1', key) !== encryptDet('192.0.2.1', key) &&
+        encrypt('2001:db8::1', key) !== encryptDet('2001:db8::1', key));
+
+    // The Feistel network is a permutation of its whole domain
+    const feistel = createFeistel(createBlockCipher(key), 8);
+    const images = new Set();
+    let inverts = true;
+    for (let value = 0n; value < 256n; value++) {
+        const image = feistel.encrypt(value, new Uint8Array([1, 2]));
+        images.add(image);
+        inverts = inverts && feistel.decrypt(image, new Uint8Array([1, 2])) === value;
+    }
+    check('8-bit Feistel network is a permutation', images.size === 256 && inverts);
+    check('tweaks change the permutation', feistel.encrypt(42n) !== feistel.encrypt(42n, new Uint8Array([1])));
+
+    console.log('\n=== API Tests ===\n');
+
+    const v4Bytes = new Uint8Array([192, 0, 2, 1]);
+    const encryptedV4 = encryptBytes(v4Bytes, key);
+    check('4-byte inputs give 4-byte outputs',
+        encryptedV4.join('.') === '3.136.74.64' && decryptBytes(encryptedV4, key).join('.') === '192.0.2.1');
+
+    const packed = new Uint8Array(32);
+    packed.set([0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0xff, 0xff, 192, 0, 2, 1]);
+    const packedOut = encryptMany(packed, key);
+    check('packed batches', packedOut.subarray(12, 16).join('.') === '3.136.74.64' &&
+        decryptMany(packedOut, key).every((b, i) => b === packed[i]));
+
+    check('index exports', deterministicV4.encrypt('192.0.2.1', key) === '3.136.74.64' &&
+        createDeterministicV4(key).decrypt('3.136.74.64') === '192.0.2.1');
+    const envelopeKey = generateKey('deterministic-v4');
+    check('envelopes', decryptEnvelope(encryptEnvelope('198.51.100.1', 'deterministic-v4', envelopeKey), [envelopeKey]) ===
+        '198.51.100.1');
+
+    checkThrows('key size', () => encrypt('192.0.2.1', new Uint8Array(32)), 'Key must be a 16-byte Uint8Array');
+    checkThrows('invalid address', () => encrypt('192.0.2.256', key), 'Invalid');
+    checkThrows('FPE width', () => createFeistel(createBlockCipher(key), 4), 'between 8 and 128 bits');
+    checkThrows('FPE tweak size', () => feistel.encrypt(1n, new Uint8Array(7)), 'at most 6 bytes');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
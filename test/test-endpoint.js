@@ -0,0 +1,196 @@
+import {
+    createEndpointContext,
+    encryptEndpoint,
+    decryptEndpoint,
+    deterministic,
+    deterministicV4,
+    prefixPreserving,
+    utils
+} from '../index.js';
+
+// Endpoints: input, address and port
+const parseTests = [
+    ['192.0.2.1:443', '192.0.2.1', 443],
+    ['192.0.2.1:0', '192.0.2.1', 0],
+    ['192.0.2.1:65535', '192.0.2.1', 65535],
+    ['192.0.2.1', '192.0.2.1', null],
+    ['[2001:db8::1]:443', '2001:db8::1', 443],
+    ['[2001:db8::1]', '2001:db8::1', null],
+    ['2001:db8::1', '2001:db8::1', null],
+    ['2001:db8::1:443', '2001:db8::1:443', null],
+    ['[::ffff:192.0.2.1]:80', '::ffff:192.0.2.1', 80],
+    ['[fe80::1%eth0]:22', 'fe80::1%eth0', 22],
+    [' 192.0.2.1:443\n', '192.0.2.1', 443],
+    ['192.0.2.1:0443', '192.0.2.1', 443]
+];
+
+// Malformed endpoints, with a part of the expected error message
+const invalidTests = [
+    ['192.0.2.1:', 'Invalid port'],
+    ['192.0.2.1:65536', 'Invalid port'],
+    ['192.0.2.1:99999', 'Invalid port'],
+    ['192.0.2.1:-1', 'Invalid port'],
+    ['192.0.2.1:http', 'Invalid port'],
+    ['[2001:db8::1]:', 'Invalid port'],
+    ['[2001:db8::1]443', 'Invalid endpoint'],
+    ['[2001:db8::1', 'Invalid endpoint'],
+    ['[]:443', 'Invalid endpoint'],
+    [':443', 'Invalid endpoint'],
+    ['', 'Invalid endpoint']
+];
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    console.log('=== Parsing ===\n');
+
+    for (const [endpoint, address, port] of parseTests) {
+        const result = utils.parseEndpoint(endpoint);
+        check(`${JSON.stringify(endpoint)} -> ${result.address} ${result.port}`,
+            result.address === address && result.port === port);
+    }
+    for (const [endpoint, message] of invalidTests) {
+        checkThrows(`${JSON.stringify(endpoint)} is rejected`, () => utils.parseEndpoint(endpoint), message);
+    }
+
+    check('formatting IPv4 endpoints', utils.formatEndpoint('192.0.2.1', 443) === '192.0.2.1:443');
+    check('formatting IPv6 endpoints', utils.formatEndpoint('2001:db8::1', 443) === '[2001:db8::1]:443');
+    check('formatting addresses alone', utils.formatEndpoint('2001:db8::1') === '2001:db8::1');
+    checkThrows('formatting invalid ports', () => utils.formatEndpoint('192.0.2.1', 70000), 'Invalid port');
+
+    console.log('\n=== Addresses ===\n');
+
+    const key16 = new Uint8Array(16).map((_, i) => i);
+    const key32 = new Uint8Array(32).map((_, i) => i);
+    const portKey = new Uint8Array(16).map((_, i) => 0xf0 + i);
+
+    // Without a port key, the address is encrypted like by the mode alone
+    check('deterministic', encryptEndpoint('192.0.2.1:443', { key: key16 }) ===
+        `[${deterministic.encrypt('192.0.2.1', key16)}]:443`);
+    check('deterministic-v4 keeps IPv4 endpoints', encryptEndpoint('192.0.2.1:443', { mode: 'deterministic-v4', key: key16 }) ===
+        `${deterministicV4.encrypt('192.0.2.1', key16)}:443`);
+    check('pfx with IPv6', encryptEndpoint('[2001:db8::1]:8080', { mode: 'pfx', key: key32 }) ===
+        `[${prefixPreserving.encrypt('2001:db8::1', key32)}]:8080`);
+    check('addresses without a port', encryptEndpoint('2001:db8::1', { key: key16 }) ===
+        deterministic.encrypt('2001:db8::1', key16));
+    check('zone IDs are dropped', encryptEndpoint('[fe80::1%eth0]:22', { key: key16 }) ===
+        encryptEndpoint('[fe80::1]:22', { key: key16 }));
+
+    console.log('\n=== Round Trips ===\n');
+
+    const modes = [
+        ['deterministic', key16],
+        ['deterministic-v4', key16],
+        ['scoped', key16],
+        ['pfx', key32],
+        ['nd', key16],
+        ['ndx', key32]
+    ];
+    const endpoints = ['192.0.2.1:443', '[2001:db8::1]:443', '10.0.0.1', '2001:db8::5', '[::1]:0', '198.51.100.7:65535'];
+    for (const [mode, key] of modes) {
+        for (const withPorts of [false, true]) {
+            const ctx = createEndpointContext({ mode, key, portKey: withPorts ? portKey : undefined });
+            const encrypted = ctx.encryptMany(endpoints);
+            check(`${mode}${withPorts ? ' with ports' : ''}`, ctx.decryptMany(encrypted).every((e, i) => e === endpoints[i]) &&
+                decryptEndpoint(encrypted[0], { mode, key, portKey: withPorts ? portKey : undefined }) === endpoints[0]);
+        }
+    }
+
+    const nd = createEndpointContext({ mode: 'nd', key: key16, encoding: 'base64url', tagLength: 8 });
+    const sealed = nd.encrypt('[2001:db8::1]:443');
+    check('nd ciphertexts are written as ciphertext:port', /^[\w-]+:443$/.test(sealed) && nd.decrypt(sealed) === '[2001:db8::1]:443');
+    check('nd endpoints are randomized', nd.encrypt('192.0.2.1:53') !== nd.encrypt('192.0.2.1:53'));
+    checkThrows('prefixed encoding is rejected', () => createEndpointContext({ mode: 'nd', key: key16, encoding: 'prefixed' }),
+        'Unsupported endpoint encoding');
+
+    console.log('\n=== Ports ===\n');
+
+    const ctx = createEndpointContext({ key: key16, portKey });
+    const plainPorts = createEndpointContext({ key: key16 });
+    const port = utils.parseEndpoint(ctx.encrypt('192.0.2.1:443')).port;
+    check('ports are encrypted', port !== 443 && Number.isInteger(port) && port >= 0 && port <= 65535);
+    check('ports do not depend on the address', utils.parseEndpoint(ctx.encrypt('[2001:db8::9]:443')).port === port);
+    check('addresses do not depend on the port key', utils.parseEndpoint(ctx.encrypt('192.0.2.1:443')).address ===
+        utils.parseEndpoint(plainPorts.encrypt('192.0.2.1:443')).address);
+    check('ports depend on the port key', utils.parseEndpoint(createEndpointContext({ key: key16, portKey: key16 })
+        .encrypt('192.0.2.1:443')).port !== port);
+
+    // The port permutation is a bijection of 0-65535
+    const seen = new Uint8Array(65536);
+    let inverse = true;
+    for (let p = 0; p < 65536; p++) {
+        const { port: encrypted } = ctx.encrypt({ address: '192.0.2.1', port: p });
+        seen[encrypted] = 1;
+        if (p % 4096 === 0) {
+            inverse = inverse && ctx.decrypt({ address: ctx.encrypt('192.0.2.1'), port: encrypted }).port === p;
+        }
+    }
+    check('port permutation is a bijection', seen.every(v => v === 1) && inverse);
+
+    checkThrows('port keys are checked', () => createEndpointContext({ key: key16, portKey: key32 }), 'Port key must be 16 bytes');
+
+    console.log('\n=== Socket Addresses ===\n');
+
+    const flow = { src: { address: '192.0.2.1', port: 51000 }, dst: { address: '2001:db8::1', port: 443 } };
+    const encryptedFlow = { src: ctx.encrypt(flow.src), dst: ctx.encrypt(flow.dst) };
+    check('objects give objects', typeof encryptedFlow.src.address === 'string' && typeof encryptedFlow.dst.port === 'number');
+    check('objects match text', ctx.encrypt('[2001:db8::1]:443') ===
+        utils.formatEndpoint(encryptedFlow.dst.address, encryptedFlow.dst.port));
+    check('objects round trip', ctx.decrypt(encryptedFlow.src).address === '192.0.2.1' &&
+        ctx.decrypt(encryptedFlow.src).port === 51000);
+    check('objects without a port', ctx.encrypt({ address: '192.0.2.1' }).port === null);
+    check('format options', createEndpointContext({ key: key16, format: { keepMapped: true, mixed: true } })
+        .decrypt(plainPorts.encrypt('192.0.2.1:443')) === '[::ffff:192.0.2.1]:443');
+
+    checkThrows('invalid ports in objects', () => ctx.encrypt({ address: '192.0.2.1', port: 65536 }), 'Invalid port');
+    checkThrows('invalid port types', () => ctx.encrypt({ address: '192.0.2.1', port: '443' }), 'Invalid port');
+    checkThrows('invalid endpoints', () => ctx.encrypt(443), 'Endpoint must be a string or an object');
+    checkThrows('invalid addresses', () => ctx.encrypt('192.0.2.256:443'), 'Invalid IPv4 address');
+    checkThrows('unknown modes', () => createEndpointContext({ mode: 'aes', key: key16 }), 'Unknown mode');
+    checkThrows('invalid keys', () => createEndpointContext({ mode: 'pfx', key: key16 }), 'Key must be 32 bytes');
+    checkThrows('missing options', () => createEndpointContext(), 'Options must be an object');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
@@ -0,0 +1,130 @@
+import {
+    ENVELOPE_VERSION, getKeyId, wrapEnvelope, parseEnvelope, encryptEnvelope, decryptEnvelope
+} from '../src/envelope.js';
+import { encrypt as encryptDet } from '../src/ipcrypt-deterministic.js';
+import { createContext as createNd } from '../src/ipcrypt-nd.js';
+import { encrypt as encryptNdx } from '../src/ipcrypt-ndx.js';
+import { encrypt as encryptPfx } from '../src/ipcrypt-pfx.js';
+
+// Helper function to convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+    }
+    return bytes;
+}
+
+const keys = {
+    deterministic: hexToBytes('0123456789abcdeffedcba9876543210'),
+    nd: hexToBytes('1032547698badcfeefcdab8967452301'),
+    ndx: hexToBytes('0123456789abcdeffedcba98765432101032547698badcfeefcdab8967452301'),
+    pfx: hexToBytes('2b7e151628aed2a6abf7158809cf4f3ca9f5ba40db214c3798f2e1c23456789a')
+};
+const oldKey = hexToBytes('00112233445566778899aabbccddeeff');
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    console.log('=== Envelope Tests ===\n');
+
+    const keyring = [oldKey, keys.deterministic, keys.nd, keys.ndx, keys.pfx];
+    const sizes = { deterministic: 22, nd: 30, ndx: 38, pfx: 22 };
+
+    for (const mode of Object.keys(keys)) {
+        for (const ip of ['192.0.2.1', '2001:db8::1']) {
+            const envelope = encryptEnvelope(ip, mode, keys[mode]);
+            const fields = parseEnvelope(envelope);
+            check(`${mode} ${ip} round trip`,
+                envelope.length === sizes[mode] && fields.version === ENVELOPE_VERSION && fields.mode === mode &&
+                fields.keyId === getKeyId(mode, keys[mode]) && decryptEnvelope(envelope, keyring) === ip);
+        }
+    }
+
+    // Key IDs are 4 bytes, stable, and depend on the mode
+    const detId = getKeyId('deterministic', keys.deterministic);
+    check('key ID format', /^[0-9a-f]{8}$/.test(detId) && getKeyId('deterministic', keys.deterministic) === detId);
+    check('key ID depends on the mode', getKeyId('nd', keys.deterministic) !== detId);
+
+    // Wrapping existing outputs gives the same envelopes as encryptEnvelope()
+    const detEnvelope = wrapEnvelope('deterministic', encryptDet('192.0.2.1', keys.deterministic), keys.deterministic);
+    check('wrap deterministic output',
+        detEnvelope.length === 22 && decryptEnvelope(detEnvelope, keyring) === '192.0.2.1');
+
+    const pfxEnvelope = wrapEnvelope('pfx', encryptPfx('192.0.2.1', keys.pfx), keys.pfx);
+    check('wrap pfx output', decryptEnvelope(pfxEnvelope, keyring) === '192.0.2.1');
+
+    const ndCtx = createNd(keys.nd, { encoding: 'prefixed' });
+    check('wrap nd text output', decryptEnvelope(wrapEnvelope('nd', ndCtx.encrypt('10.0.0.1'), keys.nd), keyring) === '10.0.0.1');
+
+    const ndxEnvelope = wrapEnvelope('ndx', encryptNdx('2001:db8::2', keys.ndx), keys.ndx);
+    check('wrap ndx output', decryptEnvelope(ndxEnvelope, keyring) === '2001:db8::2');
+
+    // Archived records decrypt after the key has been rotated out of first place
+    const archived = encryptEnvelope('198.51.100.7', 'deterministic', oldKey);
+    check('decrypt with an older key of the keyring', decryptEnvelope(archived, [keys.deterministic, oldKey]) === '198.51.100.7');
+
+    // Errors
+    console.log('\n=== Envelope Error Tests ===\n');
+
+    checkThrows('missing key', () => decryptEnvelope(archived, [keys.deterministic]), 'No deterministic key with ID');
+    checkThrows('keyring is not an array', () => decryptEnvelope(archived, oldKey), 'Keyring must be an array of keys or a keyring');
+
+    const badVersion = archived.slice();
+    badVersion[0] = 2;
+    checkThrows('unsupported version', () => parseEnvelope(badVersion), 'Unsupported envelope version: 2');
+
+    const badMode = archived.slice();
+    badMode[1] = 99;
+    checkThrows('unknown mode identifier', () => parseEnvelope(badMode), 'Unknown mode identifier: 99');
+
+    checkThrows('truncated envelope', () => parseEnvelope(archived.subarray(0, 21)), 'expected 22 bytes, got 21');
+    checkThrows('too short', () => parseEnvelope(new Uint8Array(3)), 'at least 6 bytes');
+    checkThrows('unknown mode', () => encryptEnvelope('192.0.2.1', 'foo', oldKey), 'Unknown mode: foo');
+    checkThrows('wrong key size', () => encryptEnvelope('192.0.2.1', 'pfx', oldKey), 'Key must be a 32-byte Uint8Array');
+    checkThrows('wrong ciphertext size', () => wrapEnvelope('ndx', new Uint8Array(24), keys.ndx), '32-byte');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
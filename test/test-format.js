@@ -0,0 +1,241 @@
+import { ipToBytes, bytesToIp, parseCidr, formatCidr } from '../src/utils.js';
+import { createContext as createDeterministic } from '../src/ipcrypt-deterministic.js';
+import { createContext as createDeterministicV4 } from '../src/ipcrypt-deterministic-v4.js';
+import { createContext as createNd } from '../src/ipcrypt-nd.js';
+import { createContext as createNdx } from '../src/ipcrypt-ndx.js';
+import { createContext as createPfx } from '../src/ipcrypt-pfx.js';
+import { createContext as createScoped } from '../src/ipcrypt-scoped.js';
+import { anonymize } from '../src/anonymizer.js';
+import { encryptEnvelope, decryptEnvelope } from '../src/envelope.js';
+
+// Helper function to convert Uint8Array to hex string
+function bytesToHex(bytes) {
+    return Array.from(bytes)
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Formatting: input address, options and expected text
+const formatTests = [
+    // Canonical form (RFC 5952, section 4)
+    ['2001:0db8:0000:0000:0000:0000:0000:0001', {}, '2001:db8::1'],
+    ['2001:db8:0:0:1:0:0:1', {}, '2001:db8::1:0:0:1'],
+    ['2001:0:0:1:0:0:0:1', {}, '2001:0:0:1::1'],
+    ['2001:db8:0:1:1:1:1:1', {}, '2001:db8:0:1:1:1:1:1'],
+    ['2001:DB8::ABCD', {}, '2001:db8::abcd'],
+    ['::', {}, '::'],
+    ['1::', {}, '1::'],
+    ['192.0.2.1', {}, '192.0.2.1'],
+    ['::ffff:c000:201', {}, '192.0.2.1'],
+
+    // Expanded form
+    ['2001:db8::1', { format: 'expanded' }, '2001:0db8:0000:0000:0000:0000:0000:0001'],
+    ['::', { format: 'expanded' }, '0000:0000:0000:0000:0000:0000:0000:0000'],
+    ['2001:db8:0:1:1:1:1:1', { format: 'expanded' }, '2001:0db8:0000:0001:0001:0001:0001:0001'],
+    ['192.0.2.1', { format: 'expanded' }, '192.0.2.1'],
+
+    // Uppercase
+    ['2001:db8::abcd', { uppercase: true }, '2001:DB8::ABCD'],
+    ['2001:db8::abcd', { format: 'expanded', uppercase: true }, '2001:0DB8:0000:0000:0000:0000:0000:ABCD'],
+    ['fe80::a', { uppercase: true, zone: 'eth0' }, 'FE80::A%eth0'],
+
+    // IPv4-mapped addresses kept as IPv6
+    ['192.0.2.1', { keepMapped: true }, '::ffff:c000:201'],
+    ['192.0.2.1', { keepMapped: true, mixed: true }, '::ffff:192.0.2.1'],
+    ['192.0.2.1', { keepMapped: true, uppercase: true }, '::FFFF:C000:201'],
+    ['192.0.2.1', { keepMapped: true, mixed: true, format: 'expanded' }, '0000:0000:0000:0000:0000:ffff:192.0.2.1'],
+    ['0.0.0.0', { keepMapped: true, mixed: true }, '::ffff:0.0.0.0'],
+    ['192.0.2.1', { mixed: true }, '192.0.2.1'],
+
+    // Mixed notation
+    ['64:ff9b::c000:201', { mixed: true }, '64:ff9b::192.0.2.1'],
+    ['64:ff9b::', { mixed: true }, '64:ff9b::0.0.0.0'],
+    ['64:ff9b::c000:201', { mixed: true, format: 'expanded' }, '0064:ff9b:0000:0000:0000:0000:192.0.2.1'],
+    ['::ffff:0:c000:201', { mixed: true }, '::ffff:0:192.0.2.1'],
+    ['64:ff9b::c000:201', {}, '64:ff9b::c000:201'],
+    ['2001:db8::c000:201', { mixed: true }, '2001:db8::c000:201'],
+    ['::c000:201', { mixed: true }, '::c000:201']
+];
+
+// Invalid options, with a part of the expected error message
+const invalidOptions = [
+    [{ format: 'compressed' }, 'Unknown address format'],
+    [{ format: 'EXPANDED' }, 'Unknown address format'],
+    [{ uppercase: 'yes' }, 'uppercase must be a boolean'],
+    [{ mixed: 1 }, 'mixed must be a boolean'],
+    [{ keepMapped: null }, 'keepMapped must be a boolean'],
+    [{ zone: 'eth 0' }, 'Invalid zone ID'],
+    [{ zone: 1 }, 'Invalid zone ID']
+];
+
+// Networks: CIDR, options and expected text
+const cidrTests = [
+    ['2001:db8::/32', {}, '2001:db8::/32'],
+    ['2001:db8::/32', { format: 'expanded' }, '2001:0db8:0000:0000:0000:0000:0000:0000/32'],
+    ['192.0.2.0/24', {}, '192.0.2.0/24'],
+    ['192.0.2.0/24', { keepMapped: true }, '::ffff:c000:200/120'],
+    ['192.0.2.0/24', { keepMapped: true, mixed: true }, '::ffff:192.0.2.0/120'],
+    ['64:ff9b::/96', { mixed: true }, '64:ff9b::0.0.0.0/96']
+];
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    console.log('=== Address Formatting ===\n');
+
+    for (const [ip, options, expected] of formatTests) {
+        const result = bytesToIp(ipToBytes(ip), options);
+        check(`${ip} ${JSON.stringify(options)} -> ${result}`, result === expected);
+    }
+
+    console.log('\n=== Invalid Options ===\n');
+
+    for (const [options, message] of invalidOptions) {
+        checkThrows(`bytesToIp ${JSON.stringify(options)}`, () => bytesToIp(ipToBytes('::1'), options), message);
+    }
+    checkThrows('invalid options are rejected for IPv4 addresses too',
+        () => bytesToIp(ipToBytes('192.0.2.1'), { format: 'compressed' }), 'Unknown address format');
+
+    console.log('\n=== Networks ===\n');
+
+    for (const [cidr, options, expected] of cidrTests) {
+        const { bytes, prefixLenBits } = parseCidr(cidr);
+        const result = formatCidr(bytes, prefixLenBits, options);
+        check(`${cidr} ${JSON.stringify(options)} -> ${result}`, result === expected);
+    }
+
+    // IPv4-mapped addresses with a prefix shorter than 96 bits
+    check('short IPv4-mapped prefix', formatCidr(ipToBytes('::ffff:0.0.0.0'), 80) === '::ffff:0.0.0.0/80');
+    check('short IPv4-mapped prefix, expanded', formatCidr(ipToBytes('::ffff:0.0.0.0'), 80, { format: 'expanded' }) ===
+        '0000:0000:0000:0000:0000:ffff:0.0.0.0/80');
+
+    console.log('\n=== Round Trips ===\n');
+
+    // Every form must parse back to the same address
+    const optionSets = [
+        {},
+        { format: 'expanded' },
+        { uppercase: true },
+        { keepMapped: true },
+        { keepMapped: true, mixed: true, format: 'expanded', uppercase: true }
+    ];
+    const special = ['::', '::1', '::ffff:0:0', '64:ff9b::', '::ffff:0:0:0', '1:0:0:2::'].map(ip => ipToBytes(ip));
+    let same = true;
+    for (let i = 0; i < 500; i++) {
+        const bytes = i < special.length ? special[i] : new Uint8Array(16).map(() => Math.floor(Math.random() * 256));
+        // Sprinkle zero groups and transition prefixes
+        if (i >= special.length && i % 3 === 0) {
+            bytes.fill(0, 2 * (i % 7), 2 * (i % 7) + 2 * (i % 4));
+        }
+        if (i >= special.length && i % 5 === 0) {
+            bytes.set(ipToBytes(['::ffff:0:0', '64:ff9b::', '::ffff:0:0:0'][i % 3]).subarray(0, 12));
+        }
+        for (const options of optionSets) {
+            const text = bytesToIp(bytes, { ...options, mixed: options.mixed || i % 2 === 0 });
+            same = same && bytesToHex(ipToBytes(text, { strict: true })) === bytesToHex(bytes);
+        }
+    }
+    check('all formats parse back to the same address on 500 addresses', same);
+
+    console.log('\n=== Mode Contexts ===\n');
+
+    const key16 = new Uint8Array(16).map((_, i) => i);
+    const key32 = new Uint8Array(32).map((_, i) => i);
+    const mapped = { keepMapped: true, mixed: true };
+    const expanded = { format: 'expanded' };
+
+    const det = createDeterministic(key16);
+    const detExpanded = createDeterministic(key16, { format: expanded });
+    const detMapped = createDeterministic(key16, { format: mapped });
+    const encrypted = det.encrypt('192.0.2.1');
+    check('deterministic encrypt', detExpanded.encrypt('192.0.2.1') === bytesToIp(ipToBytes(encrypted), expanded));
+    check('deterministic decrypt', detMapped.decrypt(encrypted) === '::ffff:192.0.2.1' &&
+        det.decrypt(encrypted) === '192.0.2.1');
+    check('deterministic encryptMany', detExpanded.encryptMany(['192.0.2.1', '::1']).every((ip, i) =>
+        ip === bytesToIp(ipToBytes(det.encryptMany(['192.0.2.1', '::1'])[i]), expanded)));
+    check('deterministic decryptMany', detMapped.decryptMany([encrypted])[0] === '::ffff:192.0.2.1');
+
+    const dv4 = createDeterministicV4(key16, { format: { keepMapped: true } });
+    check('deterministic-v4', dv4.encrypt('192.0.2.1') ===
+        bytesToIp(ipToBytes(createDeterministicV4(key16).encrypt('192.0.2.1')), { keepMapped: true }) &&
+        dv4.decrypt(dv4.encrypt('192.0.2.1')) === '::ffff:c000:201');
+
+    const scoped = createScoped(key16, { format: { uppercase: true } });
+    check('scoped', scoped.encrypt('2001:db8::abcd') ===
+        createScoped(key16).encrypt('2001:db8::abcd').toUpperCase() &&
+        scoped.decrypt(scoped.encrypt('2001:db8::abcd')) === '2001:DB8::ABCD');
+
+    const nd = createNd(key16, { format: mapped });
+    check('nd decrypt', nd.decrypt(nd.encrypt('192.0.2.1')) === '::ffff:192.0.2.1');
+    check('nd decryptMany', nd.decryptMany(nd.encryptMany(['192.0.2.1']))[0] === '::ffff:192.0.2.1');
+    const ndx = createNdx(key32, { format: expanded });
+    check('ndx decrypt', ndx.decrypt(ndx.encrypt('2001:db8::1')) === '2001:0db8:0000:0000:0000:0000:0000:0001');
+    check('ndx decryptMany', ndx.decryptMany(ndx.encryptMany(['::1']))[0] === '0000:0000:0000:0000:0000:0000:0000:0001');
+
+    const pfx = createPfx(key32);
+    const pfxMapped = createPfx(key32, { format: mapped });
+    check('pfx encrypt', pfxMapped.encrypt('192.0.2.1') === `::ffff:${pfx.encrypt('192.0.2.1')}`);
+    check('pfx decrypt', pfxMapped.decrypt(pfx.encrypt('192.0.2.1')) === '::ffff:192.0.2.1');
+    check('pfx encryptPrefix', pfxMapped.encryptPrefix('192.0.2.0/24') ===
+        `::ffff:${pfx.encryptPrefix('192.0.2.0/24').replace('/24', '/120')}`);
+    const pfxExpanded = createPfx(key32, { format: expanded });
+    check('pfx decryptPrefix', pfxExpanded.decryptPrefix(pfx.encryptPrefix('2001:db8::/32')) ===
+        '2001:0db8:0000:0000:0000:0000:0000:0000/32');
+
+    checkThrows('contexts check the options', () => createDeterministic(key16, { format: { format: 'short' } }),
+        'Unknown address format');
+    checkThrows('pfx contexts check the options', () => createPfx(key32, { format: { mixed: 'yes' } }),
+        'mixed must be a boolean');
+
+    console.log('\n=== Anonymizer and Envelopes ===\n');
+
+    check('anonymizer', anonymize('from 2001:db8::abcd', { key: key16, format: { uppercase: true } }) ===
+        anonymize('from 2001:db8::abcd', { key: key16 }).toUpperCase().replace('FROM', 'from'));
+    const envelope = encryptEnvelope('192.0.2.1', 'nd', key16);
+    check('decryptEnvelope', decryptEnvelope(envelope, [key16], { keepMapped: true }) === '::ffff:c000:201' &&
+        decryptEnvelope(envelope, [key16]) === '192.0.2.1');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
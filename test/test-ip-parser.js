@@ -0,0 +1,291 @@
+import { parseIp, ipToBytes, bytesToIp, parseCidr } from '../src/utils.js';
+import { createContext as createPfx } from '../src/ipcrypt-pfx.js';
+import { utils } from '../index.js';
+
+// Helper function to convert Uint8Array to hex string
+function bytesToHex(bytes) {
+    return Array.from(bytes)
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+// Valid addresses: input, 16-byte representation, family and zone ID
+const validTests = [
+    // IPv4
+    ['0.0.0.0', '00000000000000000000ffff00000000', 4, null],
+    ['192.0.2.1', '00000000000000000000ffffc0000201', 4, null],
+    ['255.255.255.255', '00000000000000000000ffffffffffff', 4, null],
+    ['10.0.0.10', '00000000000000000000ffff0a00000a', 4, null],
+
+    // IPv6, full and compressed
+    ['2001:db8:85a3:0:0:8a2e:370:7334', '20010db885a3000000008a2e03707334', 6, null],
+    ['2001:0db8:85a3:0000:0000:8a2e:0370:7334', '20010db885a3000000008a2e03707334', 6, null],
+    ['2001:DB8:85A3::8A2E:370:7334', '20010db885a3000000008a2e03707334', 6, null],
+    ['::', '00000000000000000000000000000000', 6, null],
+    ['::1', '00000000000000000000000000000001', 6, null],
+    ['1::', '00010000000000000000000000000000', 6, null],
+    ['1:2:3:4:5:6:7::', '00010002000300040005000600070000', 6, null],
+    ['::2:3:4:5:6:7:8', '00000002000300040005000600070008', 6, null],
+    ['1:2:3:4::5:6:7', '00010002000300040000000500060007', 6, null],
+    ['1:2:3:4:5:6:7:8', '00010002000300040005000600070008', 6, null],
+    ['ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff', 'ffffffffffffffffffffffffffffffff', 6, null],
+
+    // Embedded IPv4
+    ['::ffff:192.0.2.1', '00000000000000000000ffffc0000201', 6, null],
+    ['::FFFF:192.0.2.1', '00000000000000000000ffffc0000201', 6, null],
+    ['64:ff9b::1.2.3.4', '0064ff9b000000000000000001020304', 6, null],
+    ['::1.2.3.4', '00000000000000000000000001020304', 6, null],
+    ['1:2:3:4:5:6:1.2.3.4', '00010002000300040005000601020304', 6, null],
+    ['1::6:255.255.255.255', '000100000000000000000006ffffffff', 6, null],
+
+    // Zone IDs
+    ['fe80::1%eth0', 'fe800000000000000000000000000001', 6, 'eth0'],
+    ['fe80::1%1', 'fe800000000000000000000000000001', 6, '1'],
+    ['fe80::a:b%en0.100', 'fe80' + '0000'.repeat(5) + '000a000b', 6, 'en0.100'],
+    ['ff02::1%wlan-0', 'ff020000000000000000000000000001', 6, 'wlan-0'],
+    ['::ffff:10.0.0.1%lo', '00000000000000000000ffff0a000001', 6, 'lo'],
+
+    // Lenient forms
+    [' 192.0.2.1 ', '00000000000000000000ffffc0000201', 4, null],
+    ['\t2001:db8::1\n', '20010db8000000000000000000000001', 6, null],
+    ['[2001:db8::1]', '20010db8000000000000000000000001', 6, null],
+    ['[fe80::1%25eth0]', 'fe800000000000000000000000000001', 6, 'eth0'],
+    ['[fe80::1%eth0]', 'fe800000000000000000000000000001', 6, 'eth0'],
+    ['010.001.000.009', '00000000000000000000ffff0a010009', 4, null]
+];
+
+// Invalid addresses, with a part of the expected error message
+const invalidTests = [
+    // IPv4
+    ['256.0.0.1', 'Invalid IPv4 address'],
+    ['1.2.3.4.5', 'Invalid IPv4 address'],
+    ['1.2.3', 'Invalid IPv4 address'],
+    ['1.2.3.', 'Invalid IPv4 address'],
+    ['.1.2.3', 'Invalid IPv4 address'],
+    ['1..2.3', 'Invalid IPv4 address'],
+    ['1.2.3.0x4', 'Invalid IPv4 address'],
+    ['1.2.3.-4', 'Invalid IPv4 address'],
+    ['1.2.3.+4', 'Invalid IPv4 address'],
+    ['0001.2.3.4', 'Invalid IPv4 address'],
+    ['1.2.3.4 5', 'Invalid IPv4 address'],
+    ['3232235777', 'Invalid IPv4 address'],
+    ['1.2.3.4%eth0', 'Invalid zone ID'],
+    ['[1.2.3.4]', 'Invalid IPv4 address'],
+    ['', 'Invalid IPv4 address'],
+    ['   ', 'Invalid IPv4 address'],
+    ['localhost', 'Invalid IPv4 address'],
+
+    // IPv6 groups
+    ['2001:db8::g', 'Invalid IPv6 group'],
+    ['2001:db8::12zz', 'Invalid IPv6 group'],
+    ['2001:db8::00001', 'Invalid IPv6 group'],
+    ['00000001::', 'Invalid IPv6 group'],
+    ['2001:db8::-1', 'Invalid IPv6 group'],
+    ['2001:db8::+1', 'Invalid IPv6 group'],
+    ['2001:db8::0x1', 'Invalid IPv6 group'],
+    ['2001:db8:: 1', 'Invalid IPv6 group'],
+    ['1:2:3:4:5:6:7:8:9', 'wrong number of groups'],
+    ['1:2:3:4:5:6:7', 'wrong number of groups'],
+    ['1:2:3:4:5:6:7::8', 'too many groups'],
+    ['::1:2:3:4:5:6:7:8', 'too many groups'],
+    [':1:2:3:4:5:6:7', 'empty group'],
+    ['1:2:3:4:5:6:7:', 'empty group'],
+    ['1::2:', 'empty group'],
+    ['1:2:3:4:5:6:7:8:', 'empty group'],
+
+    // ::
+    ['1::2::3', 'invalid :: usage'],
+    [':::', 'invalid :: usage'],
+    ['1:::2', 'invalid :: usage'],
+    ['::::', 'invalid :: usage'],
+
+    // Embedded IPv4
+    ['::1.2.3', 'Invalid IPv4 address embedded'],
+    ['::256.1.1.1', 'Invalid IPv4 address embedded'],
+    ['::ffff:1.2.3.4.5', 'Invalid IPv4 address embedded'],
+    ['1.2.3.4::', 'Invalid IPv6 group'],
+    ['::1.2.3.4:1', 'Invalid IPv6 group'],
+    ['1.2.3.4::1', 'Invalid IPv6 group'],
+    ['1:2:3:4:5:6:7:1.2.3.4', 'wrong number of groups'],
+    ['1:2:3:4:5:6::1.2.3.4', 'too many groups'],
+
+    // Zone IDs and brackets
+    ['fe80::1%', 'Invalid zone ID'],
+    ['fe80::1%eth 0', 'Invalid zone ID'],
+    ['fe80::1%eth0%1', 'Invalid zone ID'],
+    ['fe80::1%a/64', 'Invalid zone ID'],
+    ['[2001:db8::1', 'Invalid IPv6 group'],
+    ['2001:db8::1]', 'Invalid IPv6 group'],
+    ['[[2001:db8::1]]', 'Invalid IPv6 group']
+];
+
+// Addresses accepted by default and rejected in strict mode
+const lenientOnly = [
+    '010.1.1.1',
+    '1.2.3.04',
+    '00.0.0.0',
+    '::ffff:192.0.2.01',
+    ' 192.0.2.1',
+    '192.0.2.1 ',
+    '2001:db8::1\n',
+    '[2001:db8::1]',
+    '[fe80::1%25eth0]'
+];
+
+// Addresses accepted in strict mode
+const strictTests = [
+    '0.0.0.0',
+    '10.0.0.1',
+    '192.0.2.100',
+    '2001:db8::1',
+    '::ffff:192.0.2.1',
+    '64:ff9b::0.0.0.0',
+    'fe80::1%eth0'
+];
+
+// Zone IDs attached when formatting
+const zoneTests = [
+    ['fe80::1', 'eth0', 'fe80::1%eth0'],
+    ['fe80::1', null, 'fe80::1'],
+    ['2001:db8:1:2:3:4:5:6', '7', '2001:db8:1:2:3:4:5:6%7'],
+    ['192.0.2.1', 'eth0', '192.0.2.1']
+];
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    console.log('=== Valid Addresses ===\n');
+
+    for (const [ip, hex, family, zone] of validTests) {
+        let result;
+        try {
+            result = parseIp(ip);
+        } catch (e) {
+            check(`${JSON.stringify(ip)}: ${e.message}`, false);
+            continue;
+        }
+        check(`${JSON.stringify(ip)} -> ${bytesToHex(result.bytes)}`,
+            bytesToHex(result.bytes) === hex && result.family === family && result.zone === zone &&
+            bytesToHex(ipToBytes(ip)) === hex);
+    }
+
+    console.log('\n=== Invalid Addresses ===\n');
+
+    for (const [ip, message] of invalidTests) {
+        checkThrows(`${JSON.stringify(ip)} is rejected (${message})`, () => ipToBytes(ip), message);
+    }
+    for (const value of [null, undefined, 42, ['1.2.3.4'], new Uint8Array(16)]) {
+        checkThrows(`${Object.prototype.toString.call(value)} is rejected`, () => ipToBytes(value), 'must be a string');
+    }
+
+    console.log('\n=== Strict Mode ===\n');
+
+    for (const ip of lenientOnly) {
+        let lenient = true;
+        try {
+            ipToBytes(ip);
+        } catch (e) {
+            lenient = false;
+        }
+        let strict = true;
+        try {
+            ipToBytes(ip, { strict: true });
+        } catch (e) {
+            strict = false;
+        }
+        check(`${JSON.stringify(ip)} is only accepted by default`, lenient && !strict);
+    }
+    for (const ip of strictTests) {
+        check(`${JSON.stringify(ip)} is accepted in strict mode`,
+            bytesToHex(ipToBytes(ip, { strict: true })) === bytesToHex(ipToBytes(ip)));
+    }
+    check('invalid addresses stay invalid in strict mode', invalidTests.every(([ip]) => {
+        try {
+            ipToBytes(ip, { strict: true });
+            return false;
+        } catch (e) {
+            return true;
+        }
+    }));
+
+    console.log('\n=== Zone IDs ===\n');
+
+    for (const [ip, zone, expected] of zoneTests) {
+        check(`${ip} with zone ${zone} -> ${expected}`, bytesToIp(ipToBytes(ip), { zone }) === expected);
+    }
+    const parsed = parseIp('fe80::1234%eth0');
+    check('zone IDs can be re-attached', bytesToIp(parsed.bytes, { zone: parsed.zone }) === 'fe80::1234%eth0');
+    checkThrows('invalid zone IDs are not attached', () => bytesToIp(parsed.bytes, { zone: 'a b' }), 'Invalid zone ID');
+    checkThrows('zone IDs must be strings', () => bytesToIp(parsed.bytes, { zone: 1 }), 'Invalid zone ID');
+
+    console.log('\n=== Equivalent Forms ===\n');
+
+    // Random addresses, written with hex groups and with an embedded IPv4 address
+    let same = true;
+    for (let i = 0; i < 500; i++) {
+        const bytes = new Uint8Array(16).map(() => Math.floor(Math.random() * 256));
+        const hexGroups = [];
+        for (let j = 0; j < 16; j += 2) {
+            hexGroups.push(((bytes[j] << 8) | bytes[j + 1]).toString(16));
+        }
+        const dotted = `${hexGroups.slice(0, 6).join(':')}:${bytes.slice(12).join('.')}`;
+        const canonical = bytesToIp(bytes);
+        same = same && bytesToHex(ipToBytes(dotted)) === bytesToHex(bytes) &&
+            bytesToHex(ipToBytes(hexGroups.join(':'))) === bytesToHex(bytes) &&
+            bytesToHex(ipToBytes(canonical)) === bytesToHex(bytes);
+    }
+    check('embedded IPv4, hex and canonical forms agree on 500 random addresses', same);
+
+    check('CIDR with embedded IPv4', parseCidr('::ffff:10.1.2.3/112').prefixLenBits === 112 &&
+        bytesToIp(parseCidr('::ffff:10.1.2.3/112').bytes) === '10.1.0.0');
+    check('CIDR family follows the text', parseCidr(' 10.1.2.3/16').prefixLenBits === 112);
+
+    const pfxKey = new Uint8Array(32).map((_, i) => i);
+    const pfx = createPfx(pfxKey, { transition: true });
+    check('NAT64 addresses with embedded IPv4', pfx.encrypt('64:ff9b::192.0.2.1') === pfx.encrypt('64:ff9b::c000:201'));
+    check('utils export', utils.parseIp('fe80::1%eth0').zone === 'eth0');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
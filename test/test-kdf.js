@@ -0,0 +1,154 @@
+import { hkdf, deriveKey, deriveKeyFromPassphrase } from '../src/kdf.js';
+import { encrypt as encryptPfx, decrypt as decryptPfx } from '../src/ipcrypt-pfx.js';
+import { encrypt as encryptNdx, decrypt as decryptNdx } from '../src/ipcrypt-ndx.js';
+
+// Helper function to convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+    }
+    return bytes;
+}
+
+// Helper function to convert Uint8Array to hex string
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// HKDF-SHA256 test vectors from RFC 5869, appendix A
+const hkdfTestVectors = [
+    {
+        ikm: '0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b',
+        salt: '000102030405060708090a0b0c',
+        info: 'f0f1f2f3f4f5f6f7f8f9',
+        length: 42,
+        okm: '3cb25f25faacd57a90434f64d0362f2a2d2d0a90cf1a5a4c5db02d56ecc4c5bf34007208d5b887185865'
+    },
+    {
+        ikm: '0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b0b',
+        salt: '',
+        info: '',
+        length: 42,
+        okm: '8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8'
+    }
+];
+
+const secret = hexToBytes('000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f');
+const fastScrypt = { salt: 'per-deployment salt', N: 1024, r: 8, p: 1 };
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    console.log('=== HKDF Test Vectors ===\n');
+
+    hkdfTestVectors.forEach((test, i) => {
+        const okm = hkdf(hexToBytes(test.ikm), hexToBytes(test.salt), hexToBytes(test.info), test.length);
+        check(`RFC 5869 test case ${i === 0 ? 1 : 3}`, bytesToHex(okm) === test.okm);
+    });
+
+    console.log('\n=== Key Derivation Tests ===\n');
+
+    const sizes = { deterministic: 16, nd: 16, ndx: 32, pfx: 32 };
+    const keys = {};
+    for (const [mode, size] of Object.entries(sizes)) {
+        keys[mode] = deriveKey(mode, secret);
+        check(`${mode} key size`, keys[mode].length === size);
+    }
+    check('derivation is deterministic', bytesToHex(deriveKey('pfx', secret)) === bytesToHex(keys.pfx));
+    check('modes give independent keys',
+        bytesToHex(keys.deterministic) !== bytesToHex(keys.nd) &&
+        bytesToHex(keys.ndx) !== bytesToHex(keys.pfx));
+    check('contexts give independent keys',
+        bytesToHex(deriveKey('deterministic', secret, { context: 'tenant-a' })) !==
+        bytesToHex(deriveKey('deterministic', secret, { context: 'tenant-b' })));
+    check('salt changes the key',
+        bytesToHex(deriveKey('deterministic', secret, { salt: 'x' })) !== bytesToHex(keys.deterministic));
+    check('string secrets are UTF-8',
+        bytesToHex(deriveKey('nd', 'correct horse battery staple')) ===
+        bytesToHex(deriveKey('nd', new TextEncoder().encode('correct horse battery staple'))));
+
+    // Known answers, so that the derivation never changes unnoticed
+    check('deterministic known answer', bytesToHex(keys.deterministic) === 'b2b973b13bce7fda047b262b005b3d15');
+    check('pfx known answer', bytesToHex(keys.pfx) === '66e8f7d60264dbe9d439d454f91151bec0d8527b0b09ad86371ce125ab18befe');
+
+    // Derived keys are usable, and pfx halves differ
+    check('pfx halves differ', bytesToHex(keys.pfx.subarray(0, 16)) !== bytesToHex(keys.pfx.subarray(16)));
+    check('derived pfx key works', decryptPfx(encryptPfx('192.0.2.1', keys.pfx), keys.pfx) === '192.0.2.1');
+    check('derived ndx key works', decryptNdx(encryptNdx('2001:db8::1', keys.ndx), keys.ndx) === '2001:db8::1');
+
+    console.log('\n=== Passphrase Tests ===\n');
+
+    const scryptKey = deriveKeyFromPassphrase('pfx', 'hunter2 hunter2', fastScrypt);
+    check('scrypt key size and halves', scryptKey.length === 32 &&
+        bytesToHex(scryptKey.subarray(0, 16)) !== bytesToHex(scryptKey.subarray(16)));
+    check('scrypt is deterministic',
+        bytesToHex(deriveKeyFromPassphrase('pfx', 'hunter2 hunter2', fastScrypt)) === bytesToHex(scryptKey));
+    check('scrypt salt matters',
+        bytesToHex(deriveKeyFromPassphrase('pfx', 'hunter2 hunter2', { ...fastScrypt, salt: 'another salt' })) !==
+        bytesToHex(scryptKey));
+    check('scrypt known answer', bytesToHex(deriveKeyFromPassphrase('deterministic', 'hunter2 hunter2', fastScrypt)) ===
+        '915745585c9bbb1e17a559c961924c7c');
+
+    const pbkdf2Key = deriveKeyFromPassphrase('ndx', 'hunter2 hunter2',
+        { salt: 'per-deployment salt', algorithm: 'pbkdf2', iterations: 1000 });
+    check('pbkdf2 key size', pbkdf2Key.length === 32);
+    check('pbkdf2 known answer', bytesToHex(deriveKeyFromPassphrase('deterministic', 'hunter2 hunter2',
+        { salt: 'per-deployment salt', algorithm: 'pbkdf2', iterations: 1000 })) === 'de8ffe5e18d115d51c08788610371bcc');
+
+    console.log('\n=== Key Derivation Error Tests ===\n');
+
+    checkThrows('unknown mode', () => deriveKey('foo', secret), 'Unknown mode: foo');
+    checkThrows('short secret', () => deriveKey('nd', secret.subarray(0, 8)), 'at least 16 bytes');
+    checkThrows('secret type', () => deriveKey('nd', 42), 'Secret must be a string or a Uint8Array');
+    checkThrows('missing salt', () => deriveKeyFromPassphrase('nd', 'passphrase'), 'A salt is required');
+    checkThrows('short salt', () => deriveKeyFromPassphrase('nd', 'passphrase', { salt: 'abc' }), 'at least 8 bytes');
+    checkThrows('empty passphrase', () => deriveKeyFromPassphrase('nd', '', fastScrypt), 'must not be empty');
+    checkThrows('unknown algorithm', () => deriveKeyFromPassphrase('nd', 'passphrase', { ...fastScrypt, algorithm: 'md5' }),
+        'Unknown passphrase algorithm');
+    checkThrows('HKDF length', () => hkdf(secret, '', '', 255 * 32 + 1), 'Length must be an integer');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
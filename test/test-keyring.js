@@ -0,0 +1,147 @@
+import { createKeyring, isKeyring, acceptKeyring } from '../src/keyring.js';
+import { getKeyId, parseEnvelope, encryptEnvelope, decryptEnvelope } from '../src/envelope.js';
+import { deterministic, nonDeterministic, nonDeterministicExtended, prefixPreserving } from '../index.js';
+import * as det from '../src/ipcrypt-deterministic.js';
+import * as pfx from '../src/ipcrypt-pfx.js';
+
+// Helper function to convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+    }
+    return bytes;
+}
+
+const january = hexToBytes('0123456789abcdeffedcba9876543210');
+const february = hexToBytes('00112233445566778899aabbccddeeff');
+const march = hexToBytes('1032547698badcfeefcdab8967452301');
+const pfxKey = hexToBytes('0123456789abcdeffedcba98765432101032547698badcfeefcdab8967452301');
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    console.log('=== Keyring Tests ===\n');
+
+    const keyring = createKeyring();
+    keyring.add('deterministic', '2024-01', january);
+    keyring.add('pfx', 'pfx-1', pfxKey);
+    check('isKeyring', isKeyring(keyring) && !isKeyring({}) && !isKeyring(january));
+    check('first key of a mode is current', keyring.getKey('deterministic') === keyring.getKey('deterministic', '2024-01'));
+
+    // Encrypt envelopes, rotate monthly, and decrypt all of them
+    const envelopes = [keyring.encrypt('deterministic', '192.0.2.1')];
+    keyring.rotate('deterministic', '2024-02', february);
+    envelopes.push(keyring.encrypt('deterministic', '192.0.2.2'));
+    keyring.rotate('deterministic', '2024-03', march);
+    envelopes.push(keyring.encrypt('deterministic', '192.0.2.3'));
+
+    check('envelopes name the key that was current',
+        parseEnvelope(envelopes[0]).keyId === getKeyId('deterministic', january) &&
+        parseEnvelope(envelopes[2]).keyId === getKeyId('deterministic', march));
+    check('decrypt envelopes across rotations',
+        envelopes.map(keyring.decrypt).join(',') === '192.0.2.1,192.0.2.2,192.0.2.3');
+    check('decryptEnvelope accepts a keyring', decryptEnvelope(envelopes[1], keyring) === '192.0.2.2');
+
+    const list = keyring.list('deterministic');
+    check('list keys', list.length === 3 && list.filter(k => k.current).map(k => k.name).join() === '2024-03' &&
+        list.every(k => /^[0-9a-f]{8}$/.test(k.keyId) && !('key' in k)) && keyring.list().length === 4);
+
+    keyring.setCurrent('deterministic', '2024-02');
+    check('setCurrent', keyring.getKey('deterministic') === keyring.getKey('deterministic', '2024-02'));
+    keyring.setCurrent('deterministic', '2024-03');
+
+    keyring.remove('deterministic', '2024-01');
+    checkThrows('removed keys no longer decrypt', () => keyring.decrypt(envelopes[0]), 'No deterministic key with ID');
+
+    // The keyring keeps a copy of the keys
+    const external = hexToBytes('ffeeddccbbaa99887766554433221100');
+    keyring.add('nd', 'nd-1', external);
+    external.fill(0);
+    check('keys are copied', keyring.getKey('nd')[0] === 0xff);
+
+    // Integration with the mode objects: a keyring stands for its current key
+    console.log('\n=== Mode Integration Tests ===\n');
+
+    const detOut = deterministic.encrypt('198.51.100.1', keyring);
+    check('deterministic.encrypt with a keyring', detOut === det.encrypt('198.51.100.1', march));
+    check('deterministic.decrypt with a keyring', deterministic.decrypt(detOut, keyring) === '198.51.100.1');
+    check('deterministic.decrypt accepts envelopes of older keys',
+        deterministic.decrypt(envelopes[1], keyring) === '192.0.2.2');
+    check('deterministic.encryptMany with a keyring',
+        deterministic.encryptMany(['198.51.100.1'], keyring)[0] === detOut);
+    check('keys still work', deterministic.decrypt(detOut, march) === '198.51.100.1');
+
+    const pfxOut = prefixPreserving.encrypt('10.0.0.1', keyring);
+    check('prefixPreserving with a keyring',
+        pfxOut === pfx.encrypt('10.0.0.1', pfxKey) && prefixPreserving.decrypt(pfxOut, keyring) === '10.0.0.1');
+
+    const ndOut = nonDeterministic.encrypt('2001:db8::1', keyring);
+    const ndEnvelope = keyring.encrypt('nd', '2001:db8::2');
+    check('nonDeterministic with a keyring',
+        nonDeterministic.decrypt(ndOut, keyring) === '2001:db8::1' &&
+        nonDeterministic.decrypt(ndEnvelope, keyring) === '2001:db8::2' &&
+        nonDeterministic.decryptBytes(nonDeterministic.encryptBytes(new Uint8Array(16), keyring), keyring).every(b => b === 0));
+
+    checkThrows('mode without a key', () => nonDeterministicExtended.encrypt('192.0.2.1', keyring), 'No ndx key in the keyring');
+
+    const wrapped = acceptKeyring('deterministic', (input, key) => key);
+    check('acceptKeyring passes keys through', wrapped(null, january) === january && wrapped(null, keyring) === keyring.getKey('deterministic'));
+
+    // Errors
+    console.log('\n=== Keyring Error Tests ===\n');
+
+    checkThrows('duplicate name', () => keyring.add('deterministic', '2024-03', january), 'already has a deterministic key named');
+    checkThrows('duplicate key', () => keyring.add('deterministic', 'copy', march), 'has the same ID as deterministic key \'2024-03\'');
+    checkThrows('wrong key size', () => keyring.add('pfx', 'short', january), 'Key must be a 32-byte Uint8Array');
+    checkThrows('unknown mode', () => keyring.add('foo', 'x', january), 'Unknown mode: foo');
+    checkThrows('empty name', () => keyring.add('deterministic', '', january), 'non-empty string');
+    checkThrows('unknown key', () => keyring.setCurrent('deterministic', '2023-12'), 'No deterministic key named \'2023-12\'');
+    checkThrows('remove current key', () => keyring.remove('deterministic', '2024-03'), 'Cannot remove the current');
+    checkThrows('envelope from another keyring', () => keyring.decrypt(encryptEnvelope('192.0.2.1', 'ndx', pfxKey)),
+        'No ndx key with ID');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
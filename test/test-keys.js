@@ -0,0 +1,116 @@
+import { generateKey, validateKey, exportKey, importKey } from '../src/keys.js';
+import { getKeyId } from '../src/envelope.js';
+import { encrypt as encryptPfx, decrypt as decryptPfx } from '../src/ipcrypt-pfx.js';
+
+// Helper function to convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+    }
+    return bytes;
+}
+
+// Helper function to convert Uint8Array to hex string
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+const sizes = { deterministic: 16, nd: 16, ndx: 32, pfx: 32 };
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    console.log('=== Key Generation Tests ===\n');
+
+    for (const [mode, size] of Object.entries(sizes)) {
+        const key = generateKey(mode);
+        check(`${mode} key size`, key instanceof Uint8Array && key.length === size && validateKey(mode, key) === key);
+    }
+    check('generated keys differ', bytesToHex(generateKey('nd')) !== bytesToHex(generateKey('nd')));
+    const pfxKey = generateKey('pfx');
+    check('generated pfx key works', decryptPfx(encryptPfx('192.0.2.1', pfxKey), pfxKey) === '192.0.2.1');
+
+    console.log('\n=== Key Serialization Tests ===\n');
+
+    const key = hexToBytes('0123456789abcdeffedcba98765432101032547698badcfeefcdab8967452301');
+    const hex = exportKey('pfx', key);
+    const base64 = exportKey('pfx', key, 'base64');
+    const jwk = exportKey('pfx', key, 'jwk');
+    check('export hex', hex === '0123456789abcdeffedcba98765432101032547698badcfeefcdab8967452301');
+    check('export base64', base64 === 'ASNFZ4mrze/+3LqYdlQyEBAyVHaYutz+782riWdFIwE=');
+    check('export jwk', jwk.kty === 'oct' && jwk.alg === 'ipcrypt-pfx' && jwk.kid === getKeyId('pfx', key) &&
+        jwk.k === 'ASNFZ4mrze_-3LqYdlQyEBAyVHaYutz-782riWdFIwE');
+
+    for (const [name, data] of [['hex', hex], ['uppercase hex', hex.toUpperCase()], ['base64', base64],
+        ['jwk object', jwk], ['jwk JSON', JSON.stringify(jwk)], ['hex with newline', hex + '\n']]) {
+        check(`import ${name}`, bytesToHex(importKey('pfx', data)) === hex);
+    }
+    const ndKey = generateKey('nd');
+    check('16-byte key round trips', ['hex', 'base64', 'jwk'].every(format =>
+        bytesToHex(importKey('nd', exportKey('nd', ndKey, format))) === bytesToHex(ndKey)));
+
+    console.log('\n=== Key Validation Tests ===\n');
+
+    const halves = hexToBytes('0123456789abcdeffedcba98765432100123456789abcdeffedcba9876543210');
+    checkThrows('all-zero key', () => validateKey('deterministic', new Uint8Array(16)), 'Weak deterministic key: all bytes are zero');
+    checkThrows('identical pfx halves', () => validateKey('pfx', halves), 'Weak pfx key: the two 16-byte halves are identical');
+    checkThrows('identical ndx halves', () => validateKey('ndx', halves), 'Weak ndx key');
+    checkThrows('wrong size', () => validateKey('nd', key), 'Key must be a 16-byte Uint8Array for the nd mode, got 32 bytes');
+    checkThrows('wrong type', () => validateKey('nd', 'key'), 'got string');
+    checkThrows('unknown mode', () => generateKey('foo'), 'Unknown mode: foo');
+    checkThrows('import weak key', () => importKey('nd', '00'.repeat(16)), 'Weak nd key');
+    checkThrows('import weak pfx key', () => importKey('pfx', bytesToHex(halves)), 'halves are identical');
+    checkThrows('import malformed key', () => importKey('nd', 'not a key'), 'Malformed nd key');
+    checkThrows('import wrong size', () => importKey('nd', hex), 'Key must be a 16-byte Uint8Array');
+    checkThrows('import key of another mode', () => importKey('ndx', jwk), 'Expected a ndx key, got a pfx key');
+    checkThrows('import JWK with wrong kid', () => importKey('pfx', { ...jwk, kid: '00000000' }), 'does not match the key');
+    checkThrows('import malformed JWK', () => importKey('pfx', { kty: 'RSA' }), 'Malformed JWK');
+    checkThrows('import invalid JSON', () => importKey('pfx', '{"kty":'), 'invalid JSON');
+    checkThrows('unknown export format', () => exportKey('pfx', key, 'pem'), 'Unknown key format: pem');
+    checkThrows('export weak key', () => exportKey('pfx', halves), 'Weak pfx key');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
@@ -1,5 +1,7 @@
-import { encrypt, decrypt } from '../src/ipcrypt-pfx.js';
-import { ipToBytes } from '../src/utils.js';
+import {
+    encrypt, decrypt, createContext, encryptMany, decryptMany, encryptBytes, decryptBytes, encryptPrefix, decryptPrefix
+} from '../src/ipcrypt-pfx.js';
+import { ipToBytes, bytesToIp } from '../src/utils.js';
 
 /**
  * Test vectors for ipcrypt-pfx from the specification
@@ -222,6 +224,309 @@ function runTests() {
         failed++;
     }
     
+    // Test reusable context
+    console.log('\n=== Context Tests ===');
+    
+    const contextKey = hexToBytes(testVectors[4].key);
+    const context = createContext(contextKey);
+    const contextVectors = testVectors.filter(v => v.key === testVectors[4].key);
+    const contextOk = contextVectors.every(v =>
+        context.encrypt(v.ip) === v.encrypted &&
+        ipToBytes(context.decrypt(v.encrypted)).every((b, idx) => b === ipToBytes(v.ip)[idx])
+    );
+    
+    if (contextOk) {
+        console.log(`✓ Context reproduces ${contextVectors.length} test vectors`);
+        passed++;
+    } else {
+        console.error('❌ Context output differs from test vectors');
+        failed++;
+    }
+    
+    // Test AES backends
+    for (const backend of ['reference', 'ttable', 'constant-time', 'native', 'auto']) {
+        const backendContext = createContext(contextKey, { backend });
+        const backendOk = contextVectors.every(v => backendContext.encrypt(v.ip) === v.encrypted);
+        
+        if (backendOk) {
+            console.log(`✓ ${backend} backend reproduces test vectors`);
+            passed++;
+        } else {
+            console.error(`❌ ${backend} backend output differs from test vectors`);
+            failed++;
+        }
+    }
+    
+    // Test PRF cache
+    const cachedContext = createContext(contextKey, { cacheSize: 1024 });
+    const cacheOk = contextVectors.every(v =>
+        cachedContext.encrypt(v.ip) === v.encrypted &&
+        ipToBytes(cachedContext.decrypt(v.encrypted)).every((b, idx) => b === ipToBytes(v.ip)[idx])
+    );
+    
+    if (cacheOk) {
+        console.log('✓ Cached context reproduces test vectors');
+        passed++;
+    } else {
+        console.error('❌ Cached context output differs from test vectors');
+        failed++;
+    }
+    
+    cachedContext.clearCache();
+    cachedContext.encrypt('10.0.0.47');
+    const afterFirst = cachedContext.cacheStats();
+    cachedContext.encrypt('10.0.0.129');
+    const afterSecond = cachedContext.cacheStats();
+    cachedContext.decrypt('19.214.210.80');
+    const afterDecrypt = cachedContext.cacheStats();
+    
+    if (afterFirst.hits === 0 && afterFirst.misses === 32 &&
+        afterSecond.hits - afterFirst.hits >= 24 &&
+        afterDecrypt.hits - afterSecond.hits === 32) {
+        console.log(`✓ Cache reuses shared /24 prefix work (${afterDecrypt.hits} hits, ${afterDecrypt.misses} misses)`);
+        passed++;
+    } else {
+        console.error(`❌ Unexpected cache statistics: ${JSON.stringify(afterDecrypt)}`);
+        failed++;
+    }
+    
+    const smallCache = createContext(contextKey, { cacheSize: 8 });
+    smallCache.encrypt('2001:db8::1');
+    if (smallCache.cacheStats().size === 8) {
+        console.log('✓ Cache size is bounded');
+        passed++;
+    } else {
+        console.error(`❌ Cache grew beyond its capacity: ${smallCache.cacheStats().size}`);
+        failed++;
+    }
+    
+    try {
+        createContext(contextKey, { cacheSize: -1 });
+        console.error('❌ Should have thrown error for negative cache size');
+        failed++;
+    } catch (e) {
+        console.log('✓ Correctly rejects negative cache size');
+        passed++;
+    }
+    
+    // Test batch API
+    console.log('\n=== Batch API Tests ===\n');
+    
+    const batchInputs = contextVectors.map(v => v.ip);
+    const batchExpected = contextVectors.map(v => v.encrypted);
+    const batchOut = encryptMany(batchInputs, contextKey);
+    const packedInputs = new Uint8Array(batchInputs.length * 16);
+    batchInputs.forEach((ip, i) => packedInputs.set(ipToBytes(ip), i * 16));
+    const batchCtx = createContext(contextKey);
+    const packedOut = batchCtx.encryptMany(packedInputs);
+    
+    if (batchOut.every((out, i) => out === batchExpected[i]) &&
+        batchOut.every((out, i) => bytesToIp(packedOut.subarray(i * 16, (i + 1) * 16)) === out) &&
+        decryptMany(batchOut, contextKey).every((ip, i) => bytesToIp(ipToBytes(ip)) === bytesToIp(ipToBytes(batchInputs[i]))) &&
+        batchCtx.decryptMany(packedOut).every((b, i) => b === packedInputs[i])) {
+        console.log(`✓ encryptMany/decryptMany match the ${batchInputs.length} test vectors for arrays and packed buffers`);
+        passed++;
+    } else {
+        console.error('❌ encryptMany/decryptMany do not match the test vectors');
+        failed++;
+    }
+    
+    // Test byte-level API
+    console.log('\n=== Byte API Tests ===\n');
+    
+    const ipv4Vector = contextVectors.find(v => !v.ip.includes(':'));
+    const ipv6Vector = contextVectors.find(v => v.ip.includes(':'));
+    const ipv4Bytes = ipToBytes(ipv4Vector.ip).slice(12);
+    const ipv4Out = encryptBytes(ipv4Bytes, contextKey);
+    const ipv6Out = encryptBytes(ipToBytes(ipv6Vector.ip), contextKey);
+    
+    if (ipv4Out.length === 4 && ipv4Out.join('.') === ipv4Vector.encrypted &&
+        decryptBytes(ipv4Out, contextKey).join('.') === ipv4Bytes.join('.') &&
+        bytesToIp(ipv6Out) === bytesToIp(ipToBytes(ipv6Vector.encrypted)) &&
+        bytesToIp(decryptBytes(ipv6Out, contextKey)) === bytesToIp(ipToBytes(ipv6Vector.ip))) {
+        console.log('✓ encryptBytes/decryptBytes match the test vectors for 4-byte and 16-byte addresses');
+        passed++;
+    } else {
+        console.error('❌ encryptBytes/decryptBytes do not match the test vectors');
+        failed++;
+    }
+    
+    // Test prefix (CIDR) API
+    console.log('\n=== Prefix API Tests ===\n');
+    
+    const prefixCtx = createContext(contextKey, { cacheSize: 64 });
+    const prefixCases = [
+        ['10.1.0.0/16', '10.1.2.3', 16, 32],
+        ['192.0.2.0/24', '192.0.2.77', 24, 32],
+        ['2001:db8::/48', '2001:db8:0:1::1', 48, 128],
+        ['2001:db8:e000::/35', '2001:db8:f234:5678::9', 35, 128],
+        ['0.0.0.0/0', '203.0.113.9', 0, 32],
+        ['198.51.100.7/32', '198.51.100.7', 32, 32]
+    ];
+    
+    /**
+     * Clears the host bits of an address, given as a string.
+     */
+    function networkOf(ip, length, maxLength) {
+        const bytes = ipToBytes(ip);
+        const offset = 128 - maxLength;
+        for (let bit = offset + length; bit < 128; bit++) {
+            bytes[bit >> 3] &= ~(0x80 >> (bit & 7));
+        }
+        return bytesToIp(bytes);
+    }
+    
+    for (const [cidr, member, length, maxLength] of prefixCases) {
+        const encryptedCidr = encryptPrefix(cidr, contextKey);
+        const [network, encryptedLength] = encryptedCidr.split('/');
+        const encryptedMember = encrypt(member, contextKey);
+        if (Number(encryptedLength) === length &&
+            network === networkOf(encryptedMember, length, maxLength) &&
+            decryptPrefix(encryptedCidr, contextKey) === cidr &&
+            prefixCtx.encryptPrefix(cidr) === encryptedCidr && prefixCtx.decryptPrefix(encryptedCidr) === cidr) {
+            console.log(`✓ ${cidr} -> ${encryptedCidr} contains the encryption of ${member}`);
+            passed++;
+        } else {
+            console.error(`❌ ${cidr} -> ${encryptedCidr} does not match the encryption of ${member} (${encryptedMember})`);
+            failed++;
+        }
+    }
+    
+    if (encryptPrefix('10.1.2.3/16', contextKey) === encryptPrefix('10.1.0.0/16', contextKey)) {
+        console.log('✓ Host bits of the network are ignored');
+        passed++;
+    } else {
+        console.error('❌ Host bits of the network change the encrypted prefix');
+        failed++;
+    }
+    
+    for (const badCidr of ['10.1.0.0', '10.1.0.0/33', '2001:db8::/129', '10.1.0.0/a', 'foo/8']) {
+        try {
+            encryptPrefix(badCidr, contextKey);
+            console.error(`❌ Should have rejected ${badCidr}`);
+            failed++;
+        } catch (e) {
+            console.log(`✓ Correctly rejects ${badCidr}: ${e.message}`);
+            passed++;
+        }
+    }
+    
+    console.log('\n=== Clear Prefix Tests ===\n');
+    
+    /**
+     * Checks whether a range of bits of two addresses, given as strings, are equal.
+     */
+    function sameBits(ip1, ip2, from, to) {
+        const b1 = ipToBytes(ip1);
+        const b2 = ipToBytes(ip2);
+        for (let bit = from; bit < to; bit++) {
+            const mask = 0x80 >> (bit & 7);
+            if ((b1[bit >> 3] & mask) !== (b2[bit >> 3] & mask)) {
+                return false;
+            }
+        }
+        return true;
+    }
+    
+    const clearCases = [
+        [{ ipv4: 8 }, '10.1.2.3', 104],
+        [{ ipv4: 16 }, '192.168.77.1', 112],
+        [{ ipv4: 12, ipv6: 32 }, '172.31.4.5', 108],
+        [{ ipv6: 32 }, '2001:db8:abcd:12::1', 32],
+        [{ ipv6: 37 }, '2001:db8:f234:5678::9', 37],
+        [{ ipv6: 96 }, '2001:db8::1:2', 96],
+        [{ ipv4: 32, ipv6: 128 }, '203.0.113.9', 128],
+        [{ ipv4: 32, ipv6: 128 }, 'fe80::1', 128]
+    ];
+    
+    for (const [clearPrefix, ip, clearBits] of clearCases) {
+        const plain = createContext(contextKey, { clearPrefix });
+        const cached = createContext(contextKey, { clearPrefix, cacheSize: 64 });
+        const encryptedIp = plain.encrypt(ip);
+        const full = encrypt(ip, contextKey);
+        // The clear bits are copied, and the remaining bits match full encryption
+        if (sameBits(encryptedIp, ip, 0, clearBits) && sameBits(encryptedIp, full, clearBits, 128) &&
+            plain.decrypt(encryptedIp) === ip &&
+            cached.encrypt(ip) === encryptedIp && cached.decrypt(encryptedIp) === ip) {
+            console.log(`✓ ${JSON.stringify(clearPrefix)}: ${ip} -> ${encryptedIp}`);
+            passed++;
+        } else {
+            console.error(`❌ ${JSON.stringify(clearPrefix)}: ${ip} -> ${encryptedIp} (full encryption: ${full})`);
+            failed++;
+        }
+    }
+    
+    const clearCtx = createContext(contextKey, { clearPrefix: { ipv4: 16, ipv6: 48 }, cacheSize: 64 });
+    const clearNetwork = clearCtx.encryptPrefix('10.1.160.0/20');
+    if (clearNetwork.startsWith('10.1.') && clearCtx.decryptPrefix(clearNetwork) === '10.1.160.0/20' &&
+        clearCtx.encryptPrefix('10.1.0.0/16') === '10.1.0.0/16' &&
+        clearCtx.encryptMany(['2001:db8:1::1', '2001:db8:1::2']).every(ip => ip.startsWith('2001:db8:1:'))) {
+        console.log(`✓ Clear prefix with the prefix and batch APIs: 10.1.160.0/20 -> ${clearNetwork}`);
+        passed++;
+    } else {
+        console.error(`❌ Clear prefix with the prefix and batch APIs: 10.1.160.0/20 -> ${clearNetwork}`);
+        failed++;
+    }
+    
+    for (const badClear of [{ ipv4: 33 }, { ipv6: -1 }, { ipv4: 1.5 }, { ipv6: '32' }]) {
+        try {
+            createContext(contextKey, { clearPrefix: badClear });
+            console.error(`❌ Should have rejected clearPrefix ${JSON.stringify(badClear)}`);
+            failed++;
+        } catch (e) {
+            console.log(`✓ Correctly rejects clearPrefix ${JSON.stringify(badClear)}: ${e.message}`);
+            passed++;
+        }
+    }
+    
+    console.log('\n=== Transition Address Tests ===\n');
+    
+    const transitionCtx = createContext(contextKey, { transition: true });
+    const cachedTransitionCtx = createContext(contextKey, { transition: true, cacheSize: 64 });
+    const native = encrypt('192.0.2.1', contextKey); // 137.192.175.247
+    const transitionCases = [
+        // NAT64, 6to4 and Teredo forms of 192.0.2.1
+        ['64:ff9b::c000:201', '64:ff9b::89c0:aff7'],
+        ['2002:c000:201:1::1', '2002:89c0:aff7:4c75:7cff:47ed:bc03:51f7'],
+        ['2001:0:c000:201:0:f227:3fff:fdfe', '2001:0:89c0:aff7:0:f227:763f:5008']
+    ];
+    
+    for (const [ip, expected] of transitionCases) {
+        const encryptedIp = transitionCtx.encrypt(ip);
+        if (native === '137.192.175.247' && encryptedIp === expected && transitionCtx.decrypt(encryptedIp) === ip &&
+            cachedTransitionCtx.encrypt(ip) === expected && cachedTransitionCtx.decrypt(expected) === ip) {
+            console.log(`✓ ${ip} -> ${encryptedIp}`);
+            passed++;
+        } else {
+            console.error(`❌ ${ip} -> ${encryptedIp} (expected ${expected})`);
+            failed++;
+        }
+    }
+    
+    // Host bits of 6to4 addresses stay prefix-preserved under the encrypted IPv4 address
+    const sixToFour = transitionCtx.encryptMany(['2002:c000:201:1::1', '2002:c000:201:1::2', '2002:c000:201:2::1']);
+    if (sixToFour[0].startsWith('2002:89c0:aff7:4c75:') && sixToFour[1].startsWith('2002:89c0:aff7:4c75:') &&
+        !sixToFour[2].startsWith('2002:89c0:aff7:4c75:') && sixToFour[2].startsWith('2002:89c0:aff7:')) {
+        console.log('✓ 6to4 host bits are prefix-preserved');
+        passed++;
+    } else {
+        console.error(`❌ 6to4 host bits are not prefix-preserved: ${sixToFour.join(', ')}`);
+        failed++;
+    }
+    
+    // 4d7e:1::1 encrypts to 2002:6cfd:... without the option, so it is encrypted again
+    const walked = transitionCtx.encrypt('4d7e:1::1');
+    if (encrypt('4d7e:1::1', contextKey).startsWith('2002:') && !walked.startsWith('2002:') &&
+        transitionCtx.decrypt(walked) === '4d7e:1::1' &&
+        transitionCtx.encrypt('2001:db8::1') === encrypt('2001:db8::1', contextKey) &&
+        transitionCtx.encrypt('192.0.2.1') === native) {
+        console.log(`✓ Other addresses stay out of the transition ranges: 4d7e:1::1 -> ${walked}`);
+        passed++;
+    } else {
+        console.error(`❌ Other addresses: 4d7e:1::1 -> ${walked}`);
+        failed++;
+    }
+    
     // Test error conditions
     console.log('\n=== Error Handling Tests ===');
     
@@ -0,0 +1,155 @@
+import {
+    createNd,
+    createNdx,
+    nonDeterministic,
+    nonDeterministicExtended,
+    createKeyring,
+    utils
+} from '../index.js';
+import { createContextTweaks } from '../src/pseudonym.js';
+import { hmacSha256 } from '../src/core/hmac.js';
+
+// Helper function to convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+    }
+    return bytes;
+}
+
+// Helper function to convert Uint8Array to hex string
+function bytesToHex(bytes) {
+    return Array.from(bytes)
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+}
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    const ndKey = hexToBytes('0123456789abcdeffedcba9876543210');
+    const ndxKey = hexToBytes('0123456789abcdeffedcba98765432101032547698badcfeefcdab8967452301');
+    const encoder = new TextEncoder();
+
+    console.log('=== Tweak Derivation ===\n');
+
+    // tweak = HMAC-SHA256(HMAC-SHA256(key, 'ipcrypt <mode> context'), context), truncated
+    const ndTweak = hmacSha256(hmacSha256(ndKey, encoder.encode('ipcrypt nd context')), encoder.encode('tenant-1'))
+        .subarray(0, 8);
+    const ndxTweak = hmacSha256(hmacSha256(ndxKey, encoder.encode('ipcrypt ndx context')), encoder.encode('tenant-1'))
+        .subarray(0, 16);
+    check('nd tweaks', bytesToHex(createContextTweaks('nd', ndKey, 8)('tenant-1')) === bytesToHex(ndTweak));
+    check('ndx tweaks', bytesToHex(createContextTweaks('ndx', ndxKey, 16)('tenant-1')) === bytesToHex(ndxTweak));
+    const tweaks = createContextTweaks('nd', ndKey, 8);
+    check('tweaks of other contexts differ', bytesToHex(tweaks('tenant-1')) !== bytesToHex(tweaks('tenant-2')) &&
+        bytesToHex(tweaks('tenant-1')) === bytesToHex(ndTweak));
+    check('tweaks depend on the mode', bytesToHex(createContextTweaks('ndx', ndKey, 8)('tenant-1')) !== bytesToHex(ndTweak));
+
+    // Pseudonyms are the ciphertext part of a regular output, with the derived tweak
+    const nd = createNd(ndKey);
+    const ndx = createNdx(ndxKey);
+    const ndPseudonym = nd.pseudonymize('192.0.2.1', 'tenant-1');
+    const ndxPseudonym = ndx.pseudonymize('192.0.2.1', 'tenant-1');
+    check('nd pseudonyms match encrypt()', bytesToHex(utils.ipToBytes(ndPseudonym)) ===
+        bytesToHex(nd.encrypt('192.0.2.1', ndTweak).subarray(8)));
+    check('ndx pseudonyms match encrypt()', bytesToHex(utils.ipToBytes(ndxPseudonym)) ===
+        bytesToHex(ndx.encrypt('192.0.2.1', ndxTweak).subarray(16)));
+    check('nd known answer', ndPseudonym === 'ee0c:21e5:43c6:b1a4:4071:3d36:4e11:bd57');
+    check('ndx known answer', ndxPseudonym === '690e:3440:6e08:9818:84b8:93a4:a212:d935');
+
+    console.log('\n=== Consistency ===\n');
+
+    const addresses = ['0.0.0.0', '192.0.2.1', '10.0.0.1', '2001:db8::1', '::', 'fe80::1', 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff'];
+    for (const [name, ctx] of [['nd', nd], ['ndx', ndx]]) {
+        const day1 = addresses.map(ip => ctx.pseudonymize(ip, '2024-10-01'));
+        const again = addresses.map(ip => ctx.pseudonymize(ip, '2024-10-01'));
+        const day2 = addresses.map(ip => ctx.pseudonymize(ip, '2024-10-02'));
+        check(`${name}: stable within a context`, day1.every((p, i) => p === again[i]));
+        check(`${name}: unrelated across contexts`, day1.every((p, i) => p !== day2[i]));
+        check(`${name}: distinct addresses get distinct pseudonyms`, new Set(day1).size === addresses.length);
+        check(`${name}: round trip`, day1.every((p, i) => ctx.depseudonymize(p, '2024-10-01') === addresses[i]) &&
+            day2.every((p, i) => ctx.depseudonymize(p, '2024-10-02') === addresses[i]));
+        check(`${name}: another context does not decrypt`,
+            day1.every((p, i) => ctx.depseudonymize(p, '2024-10-02') !== addresses[i]));
+        check(`${name}: pseudonyms are addresses`, day1.every(p => utils.ipToBytes(p).length === 16));
+    }
+
+    // Contexts are compared exactly
+    check('contexts are case-sensitive', nd.pseudonymize('192.0.2.1', 'Tenant-1') !== ndPseudonym);
+    check('contexts are not trimmed', nd.pseudonymize('192.0.2.1', 'tenant-1 ') !== ndPseudonym);
+    check('Unicode contexts', nd.depseudonymize(nd.pseudonymize('192.0.2.1', 'données'), 'données') === '192.0.2.1');
+
+    // Interleaved contexts give the same results as separate runs
+    const interleaved = ['a', 'b', 'a', 'b'].map(c => nd.pseudonymize('192.0.2.1', c));
+    check('interleaved contexts', interleaved[0] === interleaved[2] && interleaved[1] === interleaved[3] &&
+        interleaved[0] === createNd(ndKey).pseudonymize('192.0.2.1', 'a'));
+
+    console.log('\n=== API ===\n');
+
+    check('nd free functions', nonDeterministic.pseudonymize('192.0.2.1', ndKey, 'tenant-1') === ndPseudonym &&
+        nonDeterministic.depseudonymize(ndPseudonym, ndKey, 'tenant-1') === '192.0.2.1');
+    check('ndx free functions', nonDeterministicExtended.pseudonymize('192.0.2.1', ndxKey, 'tenant-1') === ndxPseudonym &&
+        nonDeterministicExtended.depseudonymize(ndxPseudonym, ndxKey, 'tenant-1') === '192.0.2.1');
+
+    const keyring = createKeyring();
+    keyring.add('nd', 'current', ndKey);
+    check('keyrings', nonDeterministic.pseudonymize('192.0.2.1', keyring, 'tenant-1') === ndPseudonym &&
+        nonDeterministic.depseudonymize(ndPseudonym, keyring, 'tenant-1') === '192.0.2.1');
+
+    const formatted = createNd(ndKey, { format: { format: 'expanded' } });
+    check('format options', formatted.pseudonymize('192.0.2.1', 'tenant-1') ===
+        utils.bytesToIp(utils.ipToBytes(ndPseudonym), { format: 'expanded' }));
+    check('tags do not apply', createNd(ndKey, { tagLength: 8 }).pseudonymize('192.0.2.1', 'tenant-1') === ndPseudonym);
+
+    checkThrows('empty contexts', () => nd.pseudonymize('192.0.2.1', ''), 'Context must be a non-empty string');
+    checkThrows('missing contexts', () => nd.pseudonymize('192.0.2.1'), 'Context must be a non-empty string');
+    checkThrows('contexts must be strings', () => ndx.depseudonymize(ndxPseudonym, 42), 'Context must be a non-empty string');
+    checkThrows('invalid addresses', () => nd.pseudonymize('192.0.2.256', 'tenant-1'), 'Invalid IPv4 address');
+    checkThrows('invalid pseudonyms', () => ndx.depseudonymize('not an address', 'tenant-1'), 'Invalid');
+    checkThrows('invalid keys', () => nonDeterministic.pseudonymize('192.0.2.1', ndxKey, 'tenant-1'), 'Key must be a 16-byte');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
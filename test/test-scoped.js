@@ -0,0 +1,143 @@
+import {
+    encrypt, decrypt, createContext, encryptMany, decryptMany, encryptBytes, decryptBytes
+} from '../src/ipcrypt-scoped.js';
+import { ipToBytes } from '../src/utils.js';
+import { scoped, createScoped, encryptEnvelope, decryptEnvelope, generateKey, anonymize } from '../index.js';
+
+// Helper function to convert hex string to Uint8Array
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes[i / 2] = parseInt(hex.slice(i, i + 2), 16);
+    }
+    return bytes;
+}
+
+// Test vectors for the default ranges: the interface identifier of IPv6
+// addresses, and whole IPv4 addresses
+const testVectors = [
+    { key: '0123456789abcdeffedcba9876543210', ip: '2001:db8::1', encrypted: '2001:db8::2010:c17:83bb:bd7b' },
+    { key: '0123456789abcdeffedcba9876543210', ip: '2001:db8:1::1', encrypted: '2001:db8:1:0:3e9c:6f6f:b02e:e8f6' },
+    { key: '2b7e151628aed2a6abf7158809cf4f3c', ip: '2001:db8:85a3::8a2e:370:7334', encrypted: '2001:db8:85a3:0:bf3a:6f3:d782:28eb' },
+    { key: '2b7e151628aed2a6abf7158809cf4f3c', ip: 'fe80::1', encrypted: 'fe80::166:7cc4:ed68:5feb' },
+    { key: '0123456789abcdeffedcba9876543210', ip: '192.0.2.1', encrypted: '39.165.195.190' },
+    { key: '2b7e151628aed2a6abf7158809cf4f3c', ip: '10.0.0.1', encrypted: '87.186.255.247' }
+];
+
+// Custom ranges: the subnet ID of a /48, and the last two bytes of IPv4 addresses
+const rangeVectors = [
+    { ip: '2001:db8:1:2::1', encrypted: '2001:db8:1:f3db::1' },
+    { ip: '2001:db8:1:3::1', encrypted: '2001:db8:1:c4ec::1' },
+    { ip: '192.168.1.1', encrypted: '192.168.195.166' }
+];
+
+const key = hexToBytes('0123456789abcdeffedcba9876543210');
+
+function runTests() {
+    let passed = 0;
+    let failed = 0;
+
+    /**
+     * Records the outcome of a check.
+     * @param {string} name - Check description
+     * @param {boolean} ok - Whether the check passed
+     */
+    function check(name, ok) {
+        if (ok) {
+            console.log(`✓ ${name}`);
+            passed++;
+        } else {
+            console.error(`❌ ${name}`);
+            failed++;
+        }
+    }
+
+    /**
+     * Checks that a function throws an error whose message contains a string.
+     * @param {string} name - Check description
+     * @param {function(): void} fn - Function expected to throw
+     * @param {string} message - Expected part of the error message
+     */
+    function checkThrows(name, fn, message) {
+        try {
+            fn();
+            check(name, false);
+        } catch (e) {
+            check(name, e.message.includes(message));
+        }
+    }
+
+    console.log('=== ipcrypt-scoped Test Vectors ===\n');
+
+    for (const test of testVectors) {
+        const testKey = hexToBytes(test.key);
+        const encrypted = encrypt(test.ip, testKey);
+        check(`${test.ip} -> ${encrypted}`, encrypted === test.encrypted && decrypt(encrypted, testKey) === test.ip);
+    }
+
+    const rangeCtx = createContext(key, { range: [48, 64], ipv4Range: [16, 32] });
+    for (const test of rangeVectors) {
+        const encrypted = rangeCtx.encrypt(test.ip);
+        check(`custom ranges: ${test.ip} -> ${encrypted}`, encrypted === test.encrypted && rangeCtx.decrypt(encrypted) === test.ip);
+    }
+
+    console.log('\n=== Scope Tests ===\n');
+
+    // Bits outside of the range are kept, and select the permutation
+    const ctx = createContext(key);
+    const a = ctx.encrypt('2001:db8:aaaa:1::1234');
+    const b = ctx.encrypt('2001:db8:bbbb:1::1234');
+    check('prefix is kept', a.startsWith('2001:db8:aaaa:1:') && b.startsWith('2001:db8:bbbb:1:'));
+    check('same interface identifier differs across prefixes', a.split(':').slice(4).join() !== b.split(':').slice(4).join());
+    check('ranges give independent permutations',
+        createContext(key, { range: [56, 128] }).encrypt('2001:db8::1') !== ctx.encrypt('2001:db8::1'));
+
+    // With a range over the ::ffff:0:0/96 prefix, IPv6 addresses never
+    // encrypt to IPv4 addresses: all 255 IPv6 addresses ::ffXX:0:1 map to
+    // distinct IPv6 addresses of the same form
+    const walkCtx = createContext(key, { range: [88, 96] });
+    const inputs = [];
+    for (let i = 0; i < 255; i++) {
+        inputs.push(`::ff${i.toString(16).padStart(2, '0')}:0:1`);
+    }
+    const outputs = walkCtx.encryptMany(inputs);
+    check('IPv6 addresses never encrypt to IPv4 addresses',
+        new Set(outputs).size === 255 && outputs.every(ip => ip.startsWith('::ff') && ipToBytes(ip)[11] !== 0xff));
+    check('round trip around the IPv4-mapped prefix', walkCtx.decryptMany(outputs).every((ip, i) => ip === inputs[i]));
+
+    console.log('\n=== API Tests ===\n');
+
+    const v4Bytes = new Uint8Array([192, 0, 2, 1]);
+    const encryptedV4 = encryptBytes(v4Bytes, key);
+    check('4-byte inputs give 4-byte outputs',
+        encryptedV4.join('.') === '39.165.195.190' && decryptBytes(encryptedV4, key).join('.') === '192.0.2.1');
+
+    const packed = ipToBytes('2001:db8::1');
+    const packedOut = encryptMany(packed, key);
+    check('packed batches', packedOut.length === 16 && decryptMany(packedOut, key).every((x, i) => x === packed[i]));
+
+    check('index exports', scoped.encrypt('2001:db8::1', key) === '2001:db8::2010:c17:83bb:bd7b' &&
+        createScoped(key).decrypt('2001:db8::2010:c17:83bb:bd7b') === '2001:db8::1');
+    const envelopeKey = generateKey('scoped');
+    check('envelopes', decryptEnvelope(encryptEnvelope('2001:db8::7', 'scoped', envelopeKey), [envelopeKey]) === '2001:db8::7');
+    check('anonymizer', anonymize('from 2001:db8::1 ok', { mode: 'scoped', key }) === 'from 2001:db8::2010:c17:83bb:bd7b ok');
+
+    checkThrows('key size', () => encrypt('2001:db8::1', new Uint8Array(32)), 'Key must be a 16-byte Uint8Array');
+    checkThrows('narrow range', () => createContext(key, { range: [64, 70] }), 'at least 8 bits');
+    checkThrows('range past the address', () => createContext(key, { range: [64, 129] }), 'range must be [start, end]');
+    checkThrows('IPv4 range', () => createContext(key, { ipv4Range: [8, 40] }), 'ipv4Range must be [start, end]');
+    checkThrows('range type', () => createContext(key, { range: 64 }), 'range must be [start, end]');
+
+    // Summary
+    console.log('\n=== Test Summary ===');
+    console.log(`Total: ${passed + failed}`);
+    console.log(`Passed: ${passed}`);
+    console.log(`Failed: ${failed}`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Run the tests
+runTests();
@@ -1,7 +1,12 @@
 import * as det from '../src/ipcrypt-deterministic.js';
 import * as nd from '../src/ipcrypt-nd.js';
-import { encrypt as encryptNdx, decrypt as decryptNdx } from '../src/ipcrypt-ndx.js';
-import { ipToBytes, bytesToIp } from '../src/utils.js';
+import { encrypt as encryptNdx, decrypt as decryptNdx, createContext as createNdxContext } from '../src/ipcrypt-ndx.js';
+import { ipToBytes, bytesToIp, randomBytes } from '../src/utils.js';
+import { ENCODINGS, decodeCiphertext } from '../src/encoding.js';
+import { AuthenticationError } from '../src/authentication.js';
+import { getBackend, createBlockCipher } from '../src/core/backends.js';
+import { SBOX, INV_SBOX } from '../src/core/aes.js';
+import { subBytes as ctSubBytes } from '../src/core/aes-ct.js';
 
 // Helper function to convert hex string to Uint8Array
 function hexToBytes(hex) {
@@ -214,4 +219,321 @@ try {
     console.log('Failed: Should throw error for invalid input length');
 } catch (e) {
     console.log('Passed: ' + e.message);
-} 
\ No newline at end of file
+}
+
+// Test reusable contexts
+console.log('\nTesting reusable contexts...');
+{
+    const detCtx = det.createContext(hexToBytes(detTestVectors[0].key));
+    const detOut = detCtx.encrypt(detTestVectors[0].input);
+    const detBack = detCtx.decrypt(detOut);
+    console.log(`deterministic context: ${detOut === detTestVectors[0].expected && detBack === detTestVectors[0].input ? 'OK' : 'FAIL'}`);
+
+    const ndCtx = nd.createContext(hexToBytes(ndTestVectors[2].key));
+    const ndOut = ndCtx.encrypt(ndTestVectors[2].input, hexToBytes(ndTestVectors[2].tweak));
+    const ndBack = ndCtx.decrypt(ndOut);
+    console.log(`nd context: ${bytesToHex(ndOut) === ndTestVectors[2].expected && ndBack === ndTestVectors[2].input ? 'OK' : 'FAIL'}`);
+
+    const ndxCtx = createNdxContext(hexToBytes(ndxTestVectors[1].key));
+    const ndxOut = ndxCtx.encrypt(ndxTestVectors[1].input, hexToBytes(ndxTestVectors[1].tweak));
+    const ndxBack = ndxCtx.decrypt(ndxOut);
+    console.log(`ndx context: ${bytesToHex(ndxOut) === ndxTestVectors[1].expected && ndxBack === ndxTestVectors[1].input ? 'OK' : 'FAIL'}`);
+
+    try {
+        det.createContext(new Uint8Array(15));
+        console.log('Failed: Should throw error for invalid context key length');
+    } catch (e) {
+        console.log('Passed: ' + e.message);
+    }
+}
+
+// Test AES backends
+console.log('\nTesting AES backends...');
+for (const backend of ['reference', 'ttable', 'constant-time', 'native', 'auto']) {
+    const ok = detTestVectors.every(test => {
+        const ctx = det.createContext(hexToBytes(test.key), { backend });
+        return ctx.encrypt(test.input) === test.expected && ctx.decrypt(test.expected) === test.input;
+    }) && ndTestVectors.every(test => {
+        const ctx = nd.createContext(hexToBytes(test.key), { backend });
+        const encrypted = ctx.encrypt(test.input, hexToBytes(test.tweak));
+        return bytesToHex(encrypted) === test.expected && ctx.decrypt(encrypted) === test.input;
+    }) && ndxTestVectors.every(test => {
+        const ctx = createNdxContext(hexToBytes(test.key), { backend });
+        const encrypted = ctx.encrypt(test.input, hexToBytes(test.tweak));
+        return bytesToHex(encrypted) === test.expected && ctx.decrypt(encrypted) === test.input;
+    });
+    console.log(`${backend} backend test vectors: ${ok ? 'OK' : 'FAIL'}`);
+}
+
+{
+    const reference = getBackend('reference');
+    const ttable = getBackend('ttable');
+    let mismatches = 0;
+    for (let i = 0; i < 200; i++) {
+        const key = randomBytes(16);
+        const block = randomBytes(16);
+        const refCipher = reference.fromRoundKeys(reference.expandKey(key));
+        const fastCipher = ttable.fromRoundKeys(ttable.expandKey(key));
+        const refOut = refCipher.encrypt(block);
+        if (bytesToHex(fastCipher.encrypt(block)) !== bytesToHex(refOut) ||
+            bytesToHex(fastCipher.decrypt(refOut)) !== bytesToHex(block)) {
+            mismatches++;
+        }
+    }
+    console.log(`ttable vs reference on 200 random blocks: ${mismatches === 0 ? 'OK' : 'FAIL'}`);
+
+    try {
+        det.createContext(new Uint8Array(16), { backend: 'unknown' });
+        console.log('Failed: Should throw error for unknown backend');
+    } catch (e) {
+        console.log('Passed: ' + e.message);
+    }
+}
+
+// Test constant-time AES backend
+console.log('\nTesting constant-time AES backend...');
+{
+    const allBytes = new Uint8Array(256).map((_, i) => i);
+    let sboxOk = true;
+    for (let offset = 0; offset < 256; offset += 16) {
+        const forward = allBytes.slice(offset, offset + 16);
+        const inverse = allBytes.slice(offset, offset + 16);
+        ctSubBytes(forward);
+        ctSubBytes(inverse, true);
+        for (let i = 0; i < 16; i++) {
+            if (forward[i] !== SBOX[offset + i] || inverse[i] !== INV_SBOX[offset + i]) {
+                sboxOk = false;
+            }
+        }
+    }
+    console.log(`S-box matches reference table for all 256 inputs: ${sboxOk ? 'OK' : 'FAIL'}`);
+
+    const reference = getBackend('reference');
+    const constantTime = getBackend('constant-time');
+    let mismatches = 0;
+    for (let i = 0; i < 50; i++) {
+        const key = randomBytes(16);
+        const block = randomBytes(16);
+        const roundKeys = constantTime.expandKey(key);
+        if (bytesToHex(roundKeys) !== bytesToHex(reference.expandKey(key))) {
+            mismatches++;
+            continue;
+        }
+        const refOut = reference.fromRoundKeys(roundKeys).encrypt(block);
+        const ctCipher = constantTime.fromRoundKeys(roundKeys);
+        if (bytesToHex(ctCipher.encrypt(block)) !== bytesToHex(refOut) ||
+            bytesToHex(ctCipher.decrypt(refOut)) !== bytesToHex(block)) {
+            mismatches++;
+        }
+    }
+    console.log(`constant-time vs reference on 50 random keys and blocks: ${mismatches === 0 ? 'OK' : 'FAIL'}`);
+}
+
+// Test native AES backend
+console.log('\nTesting native AES backend...');
+{
+    const key = randomBytes(16);
+    const blocks = randomBytes(16 * 64);
+    const nativeCipher = createBlockCipher(key, 'native');
+    const jsCipher = createBlockCipher(key, 'ttable');
+    const nativeOut = nativeCipher.encryptBlocks(blocks);
+    const blocksOk = bytesToHex(nativeOut) === bytesToHex(jsCipher.encryptBlocks(blocks)) &&
+        bytesToHex(nativeCipher.decryptBlocks(nativeOut)) === bytesToHex(blocks) &&
+        bytesToHex(nativeCipher.encrypt(blocks.subarray(0, 16))) === bytesToHex(nativeOut.subarray(0, 16));
+    console.log(`native vs ttable on 64 blocks: ${blocksOk ? 'OK' : 'FAIL'}`);
+
+    // KIASU-BC cannot run natively and must fall back to a JavaScript backend
+    const ndCtx = nd.createContext(hexToBytes(ndTestVectors[0].key), { backend: 'native' });
+    const ndOut = ndCtx.encrypt(ndTestVectors[0].input, hexToBytes(ndTestVectors[0].tweak));
+    console.log(`nd with native backend falls back to JavaScript: ${bytesToHex(ndOut) === ndTestVectors[0].expected ? 'OK' : 'FAIL'}`);
+}
+
+// Test batch APIs
+console.log('\nTesting batch APIs...');
+{
+    const ips = ['0.0.0.0', '192.0.2.1', '2001:db8::1', 'ffff:ffff:ffff:ffff:ffff:ffff:ffff:ffff'];
+    const packed = new Uint8Array(ips.length * 16);
+    ips.forEach((ip, i) => packed.set(ipToBytes(ip), i * 16));
+
+    const detKey = hexToBytes(detTestVectors[0].key);
+    const detOut = det.encryptMany(ips, detKey);
+    const detPacked = det.encryptMany(packed, detKey);
+    const detOk = detOut.every((out, i) => out === det.encrypt(ips[i], detKey)) &&
+        detOut.every((out, i) => bytesToHex(detPacked.subarray(i * 16, (i + 1) * 16)) === bytesToHex(ipToBytes(out))) &&
+        det.decryptMany(detOut, detKey).every((ip, i) => ip === ips[i]) &&
+        bytesToHex(det.decryptMany(detPacked, detKey)) === bytesToHex(packed);
+    console.log(`deterministic encryptMany/decryptMany: ${detOk ? 'OK' : 'FAIL'}`);
+
+    const ndKey = hexToBytes(ndTestVectors[0].key);
+    const ndOut = nd.encryptMany(ips, ndKey);
+    const ndPacked = nd.encryptMany(packed, ndKey);
+    const ndOk = ndOut.every(out => out.length === 24) && ndPacked.length === ips.length * 24 &&
+        nd.decryptMany(ndOut, ndKey).every((ip, i) => ip === ips[i]) &&
+        bytesToHex(nd.decryptMany(ndPacked, ndKey)) === bytesToHex(packed);
+    console.log(`nd encryptMany/decryptMany: ${ndOk ? 'OK' : 'FAIL'}`);
+
+    const ndxCtx = createNdxContext(hexToBytes(ndxTestVectors[0].key));
+    const ndxOut = ndxCtx.encryptMany(ips);
+    const ndxPacked = ndxCtx.encryptMany(packed);
+    const ndxOk = ndxOut.every((out, i) => out.length === 32 && ndxCtx.decrypt(out) === ips[i]) &&
+        ndxPacked.length === ips.length * 32 &&
+        ndxCtx.decryptMany(ndxOut).every((ip, i) => ip === ips[i]) &&
+        bytesToHex(ndxCtx.decryptMany(ndxPacked)) === bytesToHex(packed);
+    console.log(`ndx encryptMany/decryptMany: ${ndxOk ? 'OK' : 'FAIL'}`);
+
+    try {
+        det.encryptMany(new Uint8Array(20), detKey);
+        console.log('Failed: Should throw error for packed input of the wrong length');
+    } catch (e) {
+        console.log('Successfully caught packed input of the wrong length');
+    }
+    try {
+        det.encryptMany('192.0.2.1', detKey);
+        console.log('Failed: Should throw error for a batch that is not an array');
+    } catch (e) {
+        console.log('Successfully caught batch that is not an array');
+    }
+}
+
+// Test byte-level APIs
+console.log('\nTesting byte-level APIs...');
+{
+    const detKey = hexToBytes(detTestVectors[1].key);
+    const detIn = ipToBytes(detTestVectors[1].input);
+    const detOut = det.encryptBytes(detIn, detKey);
+    const detOk = bytesToIp(detOut) === detTestVectors[1].expected &&
+        bytesToHex(det.decryptBytes(detOut, detKey)) === bytesToHex(detIn) &&
+        bytesToHex(det.encryptBytes(new Uint8Array([192, 0, 2, 1]), detKey)) ===
+            bytesToHex(ipToBytes(det.encrypt('192.0.2.1', detKey)));
+    console.log(`deterministic encryptBytes/decryptBytes: ${detOk ? 'OK' : 'FAIL'}`);
+
+    const ndTest = ndTestVectors[0];
+    const ndOut = nd.encryptBytes(ipToBytes(ndTest.input), hexToBytes(ndTest.key), hexToBytes(ndTest.tweak));
+    const ndOk = bytesToHex(ndOut) === ndTest.expected &&
+        bytesToIp(nd.decryptBytes(ndOut, hexToBytes(ndTest.key))) === ndTest.input;
+    console.log(`nd encryptBytes/decryptBytes: ${ndOk ? 'OK' : 'FAIL'}`);
+
+    const ndxTest = ndxTestVectors[0];
+    const ndxCtx = createNdxContext(hexToBytes(ndxTest.key));
+    const ndxOut = ndxCtx.encryptBytes(ipToBytes(ndxTest.input), hexToBytes(ndxTest.tweak));
+    const ndxOk = bytesToHex(ndxOut) === ndxTest.expected &&
+        bytesToIp(ndxCtx.decryptBytes(ndxOut)) === ndxTest.input;
+    console.log(`ndx encryptBytes/decryptBytes: ${ndxOk ? 'OK' : 'FAIL'}`);
+
+    try {
+        det.encryptBytes(new Uint8Array(8), detKey);
+        console.log('Failed: Should throw error for an address that is neither 4 nor 16 bytes');
+    } catch (e) {
+        console.log('Successfully caught address of invalid length');
+    }
+}
+
+// Test ciphertext encodings
+console.log('\nTesting ciphertext encodings...');
+{
+    const ndTest = ndTestVectors[0];
+    const ndKey = hexToBytes(ndTest.key);
+    const ndBytes = Buffer.from(ndTest.expected, 'hex');
+    const expectedNd = {
+        hex: ndTest.expected,
+        base64: ndBytes.toString('base64'),
+        base64url: ndBytes.toString('base64url'),
+        prefixed: 'nd:' + ndBytes.toString('base64url')
+    };
+    for (const encoding of ENCODINGS) {
+        const ctx = nd.createContext(ndKey, { encoding });
+        const encoded = ctx.encrypt(ndTest.input, hexToBytes(ndTest.tweak));
+        const ok = encoded === expectedNd[encoding] && ctx.decrypt(encoded) === ndTest.input &&
+            nd.decrypt(encoded, ndKey) === ndTest.input;
+        console.log(`nd ${encoding}: ${ok ? 'OK' : 'FAIL'}`);
+    }
+
+    const ndxTest = ndxTestVectors[0];
+    const ndxKey = hexToBytes(ndxTest.key);
+    for (const encoding of ENCODINGS) {
+        const ctx = createNdxContext(ndxKey, { encoding });
+        const encoded = ctx.encrypt(ndxTest.input, hexToBytes(ndxTest.tweak));
+        const many = ctx.encryptMany(['192.0.2.1', '2001:db8::1']);
+        const ok = bytesToHex(decodeCiphertext(encoded, 32, 'ndx')) === ndxTest.expected &&
+            decryptNdx(encoded, ndxKey) === ndxTest.input &&
+            many.every(value => typeof value === 'string') &&
+            ctx.decryptMany(many).join(',') === '192.0.2.1,2001:db8::1';
+        console.log(`ndx ${encoding}: ${ok ? 'OK' : 'FAIL'}`);
+    }
+
+    // Padded and unpadded base64 in either alphabet are all accepted
+    const unpadded = expectedNd.base64url.replace(/-/g, '+').replace(/_/g, '/');
+    console.log(`nd base64 without padding: ${nd.decrypt(unpadded, ndKey) === ndTest.input ? 'OK' : 'FAIL'}`);
+
+    const malformed = [
+        ['ndx:' + expectedNd.base64url, 'Expected a nd ciphertext, got a ndx ciphertext'],
+        [expectedNd.hex.slice(2), 'Malformed nd ciphertext'],
+        ['%' + expectedNd.base64url.slice(1), 'Malformed nd ciphertext'],
+        ['nd:' + expectedNd.base64url + 'AAAA', 'expected 24 bytes, got 27']
+    ];
+    for (const [text, message] of malformed) {
+        try {
+            nd.decrypt(text, ndKey);
+            console.log(`Failed: Should throw error for malformed ciphertext ${text}`);
+        } catch (e) {
+            console.log(`Malformed ciphertext ${text}: ${e.message.includes(message) ? 'OK' : 'FAIL'}`);
+        }
+    }
+    try {
+        nd.createContext(ndKey, { encoding: 'base32' });
+        console.log('Failed: Should throw error for an unknown encoding');
+    } catch (e) {
+        console.log('Successfully caught unknown encoding');
+    }
+}
+
+// Test authenticated ciphertexts
+console.log('\nTesting authenticated ciphertexts...');
+{
+    const ndTest = ndTestVectors[0];
+    const ndKey = hexToBytes(ndTest.key);
+    const ndCtx = nd.createContext(ndKey, { tagLength: 8 });
+    const sealed = ndCtx.encrypt(ndTest.input, hexToBytes(ndTest.tweak));
+    const ndOk = bytesToHex(sealed) === ndTest.expected + 'eb77e33f30de8c48' &&
+        ndCtx.decrypt(sealed) === ndTest.input;
+    console.log(`nd with an 8-byte tag: ${ndOk ? 'OK' : 'FAIL'}`);
+
+    const ndxTest = ndxTestVectors[0];
+    const ndxCtx = createNdxContext(hexToBytes(ndxTest.key), { tagLength: 16, encoding: 'prefixed' });
+    const many = ndxCtx.encryptMany(['192.0.2.1', '2001:db8::1']);
+    const packed = ndxCtx.encryptMany(new Uint8Array(32));
+    const ndxOk = decodeCiphertext(many[0], 48, 'ndx').length === 48 &&
+        ndxCtx.decryptMany(many).join(',') === '192.0.2.1,2001:db8::1' &&
+        packed.length === 96 && ndxCtx.decryptMany(packed).every(b => b === 0);
+    console.log(`ndx with a 16-byte tag: ${ndxOk ? 'OK' : 'FAIL'}`);
+
+    // Any change to the tweak, ciphertext or tag is detected
+    let detected = 0;
+    for (let i = 0; i < sealed.length; i++) {
+        const tampered = sealed.slice();
+        tampered[i] ^= 0x01;
+        try {
+            ndCtx.decryptBytes(tampered);
+        } catch (e) {
+            if (e instanceof AuthenticationError && e.name === 'AuthenticationError') {
+                detected++;
+            }
+        }
+    }
+    console.log(`tampering detected at every position: ${detected === sealed.length ? 'OK' : 'FAIL'}`);
+
+    const otherKey = nd.createContext(hexToBytes(ndTestVectors[1].key), { tagLength: 8 });
+    const checks = [
+        ['wrong key', () => otherKey.decrypt(sealed), AuthenticationError],
+        ['untagged ciphertext', () => ndCtx.decrypt(sealed.subarray(0, 24)), Error],
+        ['tag length', () => nd.createContext(ndKey, { tagLength: 2 }), Error]
+    ];
+    for (const [name, fn, errorClass] of checks) {
+        try {
+            fn();
+            console.log(`Failed: Should throw error for ${name}`);
+        } catch (e) {
+            console.log(`${name}: ${e instanceof errorClass ? 'OK' : 'FAIL'} (${e.message})`);
+        }
+    }
+}
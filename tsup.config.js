@@ -1,22 +1,53 @@
 import { defineConfig } from 'tsup';
 
-export default defineConfig({
-  entry: {
-    'index': 'index.js',
-    'ipcrypt-deterministic': 'src/ipcrypt-deterministic.js',
-    'ipcrypt-nd': 'src/ipcrypt-nd.js',
-    'ipcrypt-ndx': 'src/ipcrypt-ndx.js',
-    'ipcrypt-pfx': 'src/ipcrypt-pfx.js',
-    'utils': 'src/utils.js',
-  },
-  format: ['cjs', 'esm'],
+const modes = {
+  'ipcrypt-deterministic': 'src/ipcrypt-deterministic.js',
+  'ipcrypt-deterministic-v4': 'src/ipcrypt-deterministic-v4.js',
+  'ipcrypt-nd': 'src/ipcrypt-nd.js',
+  'ipcrypt-ndx': 'src/ipcrypt-ndx.js',
+  'ipcrypt-pfx': 'src/ipcrypt-pfx.js',
+  'ipcrypt-scoped': 'src/ipcrypt-scoped.js',
+  'utils': 'src/utils.js',
+};
+
+const common = {
   dts: true,
-  clean: true,
   sourcemap: true,
   splitting: false,
   treeshake: true,
   minify: false,
-  outDir: 'dist',
-  external: ['crypto'],
+  // The "#platform" import is resolved at build time, and bundled
+  noExternal: ['#platform'],
   skipNodeModulesBundle: true,
-});
+};
+
+export default defineConfig([
+  // Node.js and Bun
+  {
+    ...common,
+    entry: {
+      'index': 'index.js',
+      ...modes,
+      'anonymizer': 'src/anonymizer-stream.js',
+      'cli': 'src/cli.js',
+    },
+    format: ['cjs', 'esm'],
+    platform: 'node',
+    clean: ['!browser/**'],
+    outDir: 'dist',
+    external: ['crypto', 'fs', 'readline', 'stream', 'string_decoder'],
+  },
+  // Browsers, Deno and edge runtimes: no Node built-ins, no Buffer
+  {
+    ...common,
+    entry: {
+      'index': 'index.browser.js',
+      ...modes,
+      'anonymizer': 'src/anonymizer.js',
+    },
+    format: ['esm'],
+    platform: 'browser',
+    clean: true,
+    outDir: 'dist/browser',
+  },
+]);